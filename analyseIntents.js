@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * CXOne Confusable-Intent Analysis
+ *
+ * Reads an intent export with examples and reports which intents compete
+ * for the same utterances (lib/intentSimilarity.js):
+ *
+ *   Confusable Pairs   intent pairs ranked by TF-IDF similarity of their
+ *                      examples, with shared phrases and a suggestion
+ *   Duplicate Phrases  phrases listed under more than one intent
+ *   Topic Similarity   one intent × intent matrix per topic
+ *
+ * The export can be any format diffIntents.js reads; a saved Intent
+ * Builder page has no examples, so export them with the live or console
+ * scraper first.
+ *
+ * Usage:  node analyseIntents.js <export> [threshold]
+ * Writes CXOne_Intents_Analysis.xlsx and CXOne_Intents_Analysis.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const log = require('./lib/logger');
+const { DEFAULTS, SUGGESTIONS, analyseIntents } = require('./lib/intentSimilarity');
+const { loadExport } = require('./diffIntents');
+
+const OUTPUT_FILE = path.join(__dirname, 'CXOne_Intents_Analysis.xlsx');
+
+const HEADER_FILL = 'FF4472C4';
+const MERGE_FILL = 'FFFFC7CE';
+const SAME_TOPIC_FILL = 'FFFFEB9C';
+const TITLE_FILL = 'FFD9E1F2';
+
+// Similarity shading of the matrix cells: white (0) to red (1)
+function similarityFill(value) {
+  const shade = Math.round(255 - Math.max(0, Math.min(1, value)) * 140);
+  const hex = shade.toString(16).padStart(2, '0').toUpperCase();
+  return { type: 'pattern', pattern: 'solid', fgColor: { argb: `FFFF${hex}${hex}` } };
+}
+
+function styleHeader(row) {
+  row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: HEADER_FILL } };
+  row.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+}
+
+function pathText(side) {
+  return `${side.category} > ${side.topic}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Writing reports
+// ─────────────────────────────────────────────────────────────────────────────
+
+function addPairsSheet(workbook, pairs) {
+  const sheet = workbook.addWorksheet('Confusable Pairs');
+  sheet.columns = [
+    { header: 'Rank', key: 'rank', width: 7 },
+    { header: 'Similarity', key: 'similarity', width: 11 },
+    { header: 'Intent A', key: 'intentA', width: 36 },
+    { header: 'Path A', key: 'pathA', width: 36 },
+    { header: 'Intent B', key: 'intentB', width: 36 },
+    { header: 'Path B', key: 'pathB', width: 36 },
+    { header: 'Same Topic', key: 'sameTopic', width: 11 },
+    { header: 'Duplicate Phrases', key: 'duplicates', width: 12 },
+    { header: 'Duplicated Share', key: 'duplicateShare', width: 12 },
+    { header: 'Shared Terms', key: 'terms', width: 40 },
+    { header: 'Suggestion', key: 'suggestion', width: 46 },
+  ];
+  styleHeader(sheet.getRow(1));
+
+  pairs.forEach((pair, i) => {
+    const row = sheet.addRow({
+      rank: i + 1,
+      similarity: pair.similarity,
+      intentA: pair.a.intent,
+      pathA: pathText(pair.a),
+      intentB: pair.b.intent,
+      pathB: pathText(pair.b),
+      sameTopic: pair.sameTopic ? 'yes' : '',
+      duplicates: pair.duplicates,
+      duplicateShare: pair.duplicateShare,
+      terms: pair.terms.join(', '),
+      suggestion: pair.suggestion,
+    });
+    row.getCell('similarity').numFmt = '0.000';
+    row.getCell('duplicateShare').numFmt = '0%';
+    if (pair.suggestion === SUGGESTIONS.merge) {
+      row.getCell('suggestion').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: MERGE_FILL } };
+    }
+    if (pair.sameTopic) {
+      row.getCell('sameTopic').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: SAME_TOPIC_FILL } };
+    }
+  });
+
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: pairs.length + 1, column: sheet.columns.length } };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+function addDuplicatesSheet(workbook, duplicates) {
+  const sheet = workbook.addWorksheet('Duplicate Phrases');
+  sheet.columns = [
+    { header: 'Phrase', key: 'phrase', width: 50 },
+    { header: 'Intents', key: 'count', width: 9 },
+    { header: 'Listed Under', key: 'intents', width: 70 },
+  ];
+  styleHeader(sheet.getRow(1));
+
+  for (const entry of duplicates) {
+    const row = sheet.addRow({ phrase: entry.examples[0], count: entry.intents.length, intents: entry.intents.join('\n') });
+    row.getCell('intents').alignment = { wrapText: true, vertical: 'top' };
+  }
+
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: duplicates.length + 1, column: 3 } };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+/** One block per topic: title row, intent names across, matrix below. */
+function addMatrixSheet(workbook, topics) {
+  const sheet = workbook.addWorksheet('Topic Similarity');
+  const widest = topics.reduce((max, topic) => Math.max(max, topic.intents.length), 0);
+  sheet.getColumn(1).width = 40;
+  for (let c = 2; c <= widest + 1; c++) sheet.getColumn(c).width = 14;
+
+  for (const topic of topics) {
+    const title = sheet.addRow([`${topic.category} > ${topic.topic}`]);
+    title.font = { bold: true };
+    title.getCell(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: TITLE_FILL } };
+
+    const header = sheet.addRow(['', ...topic.intents]);
+    header.font = { bold: true };
+    header.alignment = { wrapText: true, vertical: 'bottom', horizontal: 'center' };
+
+    topic.matrix.forEach((values, i) => {
+      const row = sheet.addRow([topic.intents[i], ...values]);
+      row.getCell(1).font = { bold: true };
+      values.forEach((value, j) => {
+        const cell = row.getCell(j + 2);
+        cell.numFmt = '0.00';
+        if (i !== j) cell.fill = similarityFill(value);
+      });
+    });
+    sheet.addRow([]);
+  }
+}
+
+async function writeAnalysisExcel(analysis, meta, outputFile) {
+  log.info('Writing analysis workbook...');
+  const workbook = new ExcelJS.Workbook();
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [
+    { header: 'Item', key: 'item', width: 24 },
+    { header: 'Value', key: 'value', width: 60 },
+  ];
+  summary.addRow({ item: 'Export', value: meta.input });
+  summary.addRow({ item: 'Similarity threshold', value: meta.threshold });
+  for (const [item, value] of Object.entries(analysis.summary)) {
+    summary.addRow({ item: item.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase()), value });
+  }
+  summary.getRow(1).font = { bold: true };
+
+  addPairsSheet(workbook, analysis.pairs);
+  addDuplicatesSheet(workbook, analysis.duplicates);
+  addMatrixSheet(workbook, analysis.topics);
+
+  await workbook.xlsx.writeFile(outputFile);
+  log.info(`  Analysis workbook written to: ${outputFile}`);
+}
+
+function writeAnalysisJson(analysis, meta, jsonFile) {
+  const doc = { ...meta, generatedAt: new Date().toISOString(), ...analysis };
+  fs.writeFileSync(jsonFile, JSON.stringify(doc, null, 2) + '\n');
+  log.info(`  JSON analysis written to: ${jsonFile}`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {{input: string, output?: string, jsonOutput?: string,
+ *          threshold?: number, limit?: number, sheet?: string, model?: string}} options
+ *   threshold: minimum similarity for a confusable pair; limit: pairs kept;
+ *   sheet / model: the intent sheet or JSON document of an export with several
+ * @returns {Promise<{summary: Object, output: string, jsonOutput: string}>}
+ */
+async function run(options) {
+  const output = options.output || OUTPUT_FILE;
+  const jsonOutput = options.jsonOutput ||
+    path.join(path.dirname(output), path.basename(output, path.extname(output)) + '.json');
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULTS.threshold;
+
+  log.info(`Loading ${path.basename(options.input)}...`);
+  const rows = await loadExport(options.input, { sheet: options.sheet, model: options.model });
+  const analysis = analyseIntents(rows, { threshold, limit: options.limit || 0 });
+  if (analysis.summary.intents < 2) {
+    throw new Error(`${analysis.summary.intents} intent(s) with examples; at least 2 are needed. ` +
+      'Export examples with the live or console scraper first.');
+  }
+
+  const s = analysis.summary;
+  log.info(`  ${s.intents} intents, ${s.examples} examples`);
+  log.info(`  ${s.duplicatePhrases} phrase(s) listed under more than one intent`);
+  log.info(`  ${s.confusablePairs} confusable pair(s) (similarity >= ${threshold} or a shared phrase)` +
+    (s.mergeCandidates ? `, ${s.mergeCandidates} suggested for merging` : ''));
+  for (const pair of analysis.pairs.slice(0, 5)) {
+    log.info(`    ${pair.similarity.toFixed(3)}  ${pair.a.intent}  ↔  ${pair.b.intent}`);
+  }
+
+  const meta = { input: path.basename(options.input), threshold };
+  await writeAnalysisExcel(analysis, meta, output);
+  writeAnalysisJson(analysis, meta, jsonOutput);
+
+  return { summary: analysis.summary, output, jsonOutput };
+}
+
+async function main() {
+  const [input, threshold] = process.argv.slice(2);
+  if (!input) {
+    log.error('Usage: node analyseIntents.js <export> [threshold]');
+    process.exit(2);
+  }
+  try {
+    await run({ input, threshold: threshold !== undefined ? Number(threshold) : undefined });
+    log.info('\nDone!');
+  } catch (err) {
+    log.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { OUTPUT_FILE, writeAnalysisExcel, run };
@@ -0,0 +1,742 @@
+#!/usr/bin/env node
+
+/**
+ * cxone-intents — command-line entry point for the CXOne intent scrapers.
+ *
+ *   cxone-intents parse <input...>    Parse saved Intent Builder HTML page(s)
+ *   cxone-intents live                Scrape a logged-in Chrome session
+ *   cxone-intents diff <a> <b>        Compare two exports or snapshots
+ *   cxone-intents train <input>       Export examples as NLU training data
+ *   cxone-intents analyse <input>     Rank intents whose examples overlap
+ *   cxone-intents doctor [<input>]    Check the selector profile against a page
+ *
+ * Exit codes: 0 success, 1 scrape/runtime failure, 2 bad usage,
+ * 3 percentage validation failed (--strict), 4 CXOne session expired
+ * (live --launch).
+ * Run `cxone-intents <command> --help` for the flags of each command.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const log = require('../lib/logger');
+const { FORMATS } = require('../lib/exportFormats');
+const { TRAINING_FORMATS, GRANULARITIES } = require('../lib/trainingData');
+const { DEFAULTS: SIMILARITY_DEFAULTS } = require('../lib/intentSimilarity');
+const { DEFAULT_TOLERANCE, ValidationError } = require('../lib/percentageCheck');
+const { SessionExpiredError } = require('../lib/browserSession');
+const selectorProfile = require('../lib/selectorProfile');
+
+// Intent Builder views (mirrors scrapeIntents.VIEWS without loading cheerio)
+const VIEWS = ['auto', 'kanban', 'grid'];
+
+const EXIT = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  VALIDATION: 3,
+  SESSION: 4,
+};
+
+class UsageError extends Error {}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Help text
+// ─────────────────────────────────────────────────────────────────────────────
+
+const GLOBAL_HELP = `Usage: cxone-intents <command> [options]
+
+Commands:
+  parse <input...> Parse saved Intent Builder HTML page(s) (offline)
+  live             Scrape the Intent Builder in a running Chrome session
+  diff <a> <b>     Compare two exports (xlsx, csv, json, jsonl or saved HTML)
+  train <input>    Export examples as Rasa, Dialogflow, Lex or CSV training data
+  analyse <input>  Find duplicate examples and confusable intents in an export
+  doctor [input]   Report selectors of the selector profile that match nothing
+  help [command]   Show help for a command
+
+Global options:
+  -q, --quiet      Only print warnings and errors
+      --json       Log as JSON lines on stderr; print the result as JSON on stdout
+  -h, --help       Show help
+
+Exit codes: 0 success, 1 scrape failed, 2 bad usage, 3 percentages do not
+add up (--strict), 4 CXOne session expired (live --launch).`;
+
+const COMMAND_HELP = {
+  parse: `Usage: cxone-intents parse <input...> [options]
+
+Parse saved CXOne Intent Builder pages into a workbook. Each input is a file,
+a directory (its .html/.htm/.txt files) or a file-name glob such as
+"snapshots/*.html". A single file gives one "Intents" sheet; anything more
+gives a combined workbook with an "All Snapshots" sheet tagged by source
+file, model and capture time, plus one sheet per snapshot. A quality report
+(<output>.quality.html and .json) is written next to the output.
+
+Options:
+  -o, --output <path>        Output file (default: CXOne_Intents_Output.<format>)
+  -f, --format <format>      Output format: ${FORMATS.join(', ')} (default: xlsx)
+      --view <view>          Intent Builder view to read: ${VIEWS.join(', ')}
+                             (default: auto — kanban tree, else hierarchy-grid;
+                             when both are saved they are cross-checked)
+      --strict               Exit with code 3 when the percentages do not add up
+                             (the output and its Validation sheet are still written)
+      --tolerance <points>   Extra slack when summing percentages (default: ${DEFAULT_TOLERANCE})
+      --total-interactions <n>
+                             Interactions in the period; every volume is then
+                             estimated from its percentage (default: the count
+                             in the saved page header, if any)
+      --profile <name|file>  Selector profile for the CXOne UI build (default:
+                             ${selectorProfile.DEFAULT_PROFILE}; see selectors/)
+      --selector <key=css>   Override one selector of the profile (node, name,
+                             percentage, tag, gridRow, gridName, gridPercentage,
+                             modelName, totalInteractions, ...); repeatable`,
+
+  live: `Usage: cxone-intents live [options]
+
+Connect to Chrome (started with --remote-debugging-port), expand the Intent
+Builder tree, click every intent and export the detail panel data. A quality
+report (<output>.quality.html and .json) lists intents without examples,
+skipped intents, duplicate names, suspected stale panels and odd phrases.
+
+With --launch, start a local Chromium instead (for unattended runs): restore
+a session saved with --save-session, open --url and wait for the tree. If
+CXOne asks for a login, the run fails with exit code 4.
+
+Options:
+  -p, --port <port>          Remote debugging port (default: 9222)
+      --browser-url <url>    Full remote debugging URL (overrides --port)
+      --tab-url <regex>      Scrape the tab whose URL matches (case-insensitive)
+      --tab-title <regex>    Scrape the tab whose title matches; with neither,
+                             tabs whose URL mentions cxone, nice or intent are
+                             candidates. Ambiguous matches list the tabs.
+      --save-session <path>  Save the CXOne tab's cookies and web storage for
+                             later --launch runs, then scrape as usual
+      --launch               Start Chromium instead of connecting to Chrome
+      --executable-path <path>
+                             Chrome / Chromium binary for --launch (default:
+                             $PUPPETEER_EXECUTABLE_PATH or $CHROME_PATH)
+      --session <path>       Session file to restore (from --save-session)
+      --user-data-dir <dir>  Chrome profile to reuse instead of / with --session
+      --url <url>            Intent Builder URL to open (required with --launch)
+      --headed               Show the launched browser window
+      --navigation-timeout <ms>
+                             Max wait for the Intent Builder to load with
+                             --launch (default: 60000)
+  -o, --output <path>        Output file (default: CXOne_Intents_Output.<format>)
+  -f, --format <format>      Output format: ${FORMATS.join(', ')} (default: xlsx)
+      --detail-timeout <ms>  Max wait for the detail panel to show the clicked
+                             intent (default: 15000)
+      --settle <ms>          Panel must stop changing this long before it is
+                             read (default: 400)
+      --retries <n>          Extra clicks when the panel is not ready (default: 2)
+      --stale-retries <n>    Re-opens of a panel that still shows the previous
+                             intent's phrases or another intent (default: 3)
+      --stale-backoff <ms>   Wait before the first stale retry, doubled on each
+                             further one (default: 1000)
+      --expand-timeout <ms>  Max wait for a tree node to expand (default: 10000)
+      --max-phrases <n>      Phrases kept per intent; long phrase lists are loaded
+                             (load more, scrolling, paging) until this many are
+                             in, 0 for no cap (default: 500)
+      --rename-field <title=header>
+                             Column header for a detail-panel info item; every
+                             item other than volume, examples and active gets
+                             a column headed by its title; repeatable
+      --drop-field <title>   Leave an info item out of the export; repeatable
+      --resume               Skip intents already captured by an interrupted run
+      --checkpoint <path>    Checkpoint file (default: <output>.checkpoint.jsonl)
+      --view <view>          Intent Builder view to scrape: ${VIEWS.join(', ')}
+                             (default: auto — kanban tree, else hierarchy-grid,
+                             paged with the grid's paging buttons)
+      --no-cross-check       Do not compare the kanban view with the grid
+      --all-models           Scrape every model in the model-selection-dropdown,
+                             one sheet (or JSON document) per model
+      --strict               Exit with code 3 when the percentages do not add up
+                             (the output and its Validation sheet are still written)
+      --tolerance <points>   Extra slack when summing percentages (default: ${DEFAULT_TOLERANCE})
+      --total-interactions <n>
+                             Interactions in the period; volumes the detail panel
+                             does not show are estimated from the percentages
+                             (default: the count in the page header, if shown)
+      --profile <name|file>  Selector profile for the CXOne UI build (default:
+                             ${selectorProfile.DEFAULT_PROFILE}; see selectors/)
+      --selector <key=css>   Override one selector of the profile (kanbanPanel,
+                             collapsedToggler, infoPanel, phrases, infoItem,
+                             modelBox, ...; "cxone-intents doctor" lists them
+                             all); repeatable`,
+
+  diff: `Usage: cxone-intents diff <before> <after> [options]
+
+Compare two intent exports and report added, removed, renamed and moved
+intents, percentage deltas and example-phrase changes. Each side may be an
+.xlsx, .csv, .json or .jsonl export or a saved Intent Builder page (.html/.htm/.txt).
+
+Options:
+  -o, --output <path>        Changes workbook (default: CXOne_Intents_Changes.xlsx)
+      --json-output <path>   Machine-readable diff (default: output name with .json)
+      --sheet <name>         Intent sheet to compare in both workbooks, for
+                             multi-model and batch workbooks (default: Intents,
+                             or the only sheet with Category and Intent columns)
+      --model <name>         Model (or snapshot file) to compare in both JSON
+                             exports, for multi-model and batch JSON`,
+
+  doctor: `Usage: cxone-intents doctor [<input>] [options]
+
+Check every selector of a selector profile against a saved Intent Builder
+page (default: CXOne_ReadIntents.txt) or, with --live, against the Intent
+Builder open in Chrome, and report the ones that match nothing. Selectors of
+parts not showing (the detail panel with no intent open, the model list, the
+grid in kanban view) are listed as not checked. Exits 1 when a selector is
+missing or invalid.
+
+Options:
+      --profile <name|file>  Profile to check (default: ${selectorProfile.DEFAULT_PROFILE})
+      --selector <key=css>   Override one selector before checking; repeatable
+      --list                 List the profiles in selectors/
+      --live                 Check the live page instead of a file; takes the
+                             connection flags of "live": --port, --browser-url,
+                             --tab-url, --tab-title, --launch, --url,
+                             --session, --executable-path, --headed`,
+
+  train: `Usage: cxone-intents train <input> [options]
+
+Export the example phrases of an intent export (xlsx, csv, json, jsonl or a
+saved Intent Builder page) as NLU training data. Labels without examples are
+left out.
+
+Options:
+  -f, --format <format>      ${TRAINING_FORMATS.join(', ')} (default: rasa)
+  -l, --label <level>        Label granularity: ${GRANULARITIES.join(', ')}
+                             (default: intent)
+  -o, --output <path>        Output file, or directory for dialogflow
+                             (default: nlu.yml, dialogflow_intents/,
+                             CXOne_Intents_Lex.json, CXOne_Intents_Training.csv)
+      --sheet <name>         Intent sheet of a multi-model or batch workbook
+      --model <name>         Model (or snapshot file) of a multi-model or
+                             batch JSON export`,
+
+  analyse: `Usage: cxone-intents analyse <input> [options]
+
+Find intents that compete for the same utterances in an intent export with
+examples (xlsx, csv, json or jsonl from the live or console scraper): phrases
+listed under more than one intent, and TF-IDF similarity (word and character
+n-grams) between every pair of intents. Writes a ranked "Confusable Pairs"
+sheet, the duplicate phrases and one similarity matrix per topic.
+
+Options:
+  -o, --output <path>        Analysis workbook (default: CXOne_Intents_Analysis.xlsx)
+      --json-output <path>   Machine-readable analysis (default: output name with .json)
+      --threshold <n>        Minimum similarity (0-1) for a confusable pair
+                             (default: ${SIMILARITY_DEFAULTS.threshold}); pairs sharing a phrase are always listed
+      --limit <n>            Keep only the top <n> pairs (default: all)
+      --sheet <name>         Intent sheet of a multi-model or batch workbook
+      --model <name>         Model (or snapshot file) of a multi-model or
+                             batch JSON export`,
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Option helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+const GLOBAL_OPTIONS = {
+  quiet: { type: 'boolean', short: 'q' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const OUTPUT_OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  view: { type: 'string' },
+  strict: { type: 'boolean' },
+  tolerance: { type: 'string' },
+  'total-interactions': { type: 'string' },
+  profile: { type: 'string' },
+  selector: { type: 'string', multiple: true },
+};
+
+// How the live and doctor commands reach the Intent Builder
+const BROWSER_OPTIONS = {
+  port: { type: 'string', short: 'p' },
+  'browser-url': { type: 'string' },
+  'tab-url': { type: 'string' },
+  'tab-title': { type: 'string' },
+  launch: { type: 'boolean' },
+  'executable-path': { type: 'string' },
+  session: { type: 'string' },
+  'user-data-dir': { type: 'string' },
+  url: { type: 'string' },
+  headed: { type: 'boolean' },
+  'navigation-timeout': { type: 'string' },
+};
+
+function parseCommandArgs(args, options) {
+  try {
+    return parseArgs({
+      args,
+      options: { ...GLOBAL_OPTIONS, ...options },
+      allowPositionals: true,
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+}
+
+function parseSelectors(list = []) {
+  const selectors = {};
+  for (const entry of list) {
+    const eq = entry.indexOf('=');
+    if (eq <= 0 || eq === entry.length - 1) {
+      throw new UsageError(`--selector expects key=css, got "${entry}"`);
+    }
+    const key = entry.slice(0, eq).trim();
+    if (!selectorProfile.KEYS[key]) {
+      throw new UsageError(`Unknown selector key "${key}". Expected one of: ${Object.keys(selectorProfile.KEYS).join(', ')}`);
+    }
+    selectors[key] = entry.slice(eq + 1).trim();
+  }
+  return selectors;
+}
+
+/** --rename-field "Created On=Created" entries → { title: header }. */
+function parseFieldRenames(list = []) {
+  const rename = {};
+  for (const entry of list) {
+    const eq = entry.indexOf('=');
+    if (eq <= 0 || eq === entry.length - 1) {
+      throw new UsageError(`--rename-field expects title=header, got "${entry}"`);
+    }
+    rename[entry.slice(0, eq).trim()] = entry.slice(eq + 1).trim();
+  }
+  return rename;
+}
+
+/** Checks a --tab-url / --tab-title expression; the scraper compiles it. */
+function parsePattern(value, flag) {
+  if (value === undefined) return null;
+  try {
+    new RegExp(value, 'i');
+  } catch (err) {
+    throw new UsageError(`${flag} expects a regular expression (${err.message})`);
+  }
+  return value;
+}
+
+function parseCount(value, flag) {
+  if (value === undefined) return undefined;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0) {
+    throw new UsageError(`${flag} expects a non-negative integer, got "${value}"`);
+  }
+  return num;
+}
+
+/** --total-interactions for parse and live: a positive integer, or undefined. */
+function parseTotalInteractions(value) {
+  if (value === undefined) return undefined;
+  const num = Number(value);
+  if (value.trim() === '' || !Number.isInteger(num) || num <= 0) {
+    throw new UsageError(`--total-interactions expects a positive integer, got "${value}"`);
+  }
+  return num;
+}
+
+function parseTolerance(value) {
+  if (value === undefined) return undefined;
+  const num = Number(value);
+  if (value.trim() === '' || !Number.isFinite(num) || num < 0) {
+    throw new UsageError(`--tolerance expects a non-negative number, got "${value}"`);
+  }
+  return num;
+}
+
+function parseThreshold(value) {
+  if (value === undefined) return undefined;
+  const num = Number(value);
+  if (value.trim() === '' || !Number.isFinite(num) || num < 0 || num > 1) {
+    throw new UsageError(`--threshold expects a number from 0 to 1, got "${value}"`);
+  }
+  return num;
+}
+
+function resolveFormat(values) {
+  const format = values.format || 'xlsx';
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`Unknown format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+function resolveView(values) {
+  const view = values.view || 'auto';
+  if (!VIEWS.includes(view)) {
+    throw new UsageError(`Unknown view "${view}". Expected one of: ${VIEWS.join(', ')}`);
+  }
+  return view;
+}
+
+function isPlainFile(input) {
+  return !/[*?]/.test(input) && fs.existsSync(input) && fs.statSync(input).isFile();
+}
+
+function resolveOutput(values) {
+  return values.output ? path.resolve(values.output) : undefined;
+}
+
+/**
+ * CONFIG overrides saying how to reach the Intent Builder: a connected
+ * Chrome (--port / --browser-url, --tab-url / --tab-title) or a launched
+ * Chromium (--launch and its flags).
+ */
+function resolveBrowser(values) {
+  const overrides = {};
+  if (values['browser-url']) {
+    overrides.browserURL = values['browser-url'];
+  } else if (values.port) {
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+      throw new UsageError(`--port expects a TCP port, got "${values.port}"`);
+    }
+    overrides.browserURL = `http://127.0.0.1:${port}`;
+  }
+  const launchOnly = ['executable-path', 'session', 'user-data-dir', 'url', 'headed', 'navigation-timeout'];
+  if (values.launch) {
+    if (!values.url) throw new UsageError('--launch needs the Intent Builder --url');
+    overrides.launch = true;
+    overrides.url = values.url;
+    overrides.headless = !values.headed;
+    if (values['executable-path']) overrides.executablePath = path.resolve(values['executable-path']);
+    if (values.session) {
+      if (!fs.existsSync(values.session)) throw new UsageError(`No such file: ${values.session}`);
+      overrides.sessionFile = path.resolve(values.session);
+    }
+    if (values['user-data-dir']) overrides.userDataDir = path.resolve(values['user-data-dir']);
+    const stray = ['tab-url', 'tab-title'].find((flag) => values[flag] !== undefined);
+    if (stray) throw new UsageError(`--${stray} picks a tab of a connected Chrome; it does not apply with --launch`);
+  } else {
+    const stray = launchOnly.find((flag) => values[flag] !== undefined);
+    if (stray) throw new UsageError(`--${stray} only applies with --launch`);
+    overrides.tabUrl = parsePattern(values['tab-url'], '--tab-url');
+    overrides.tabTitle = parsePattern(values['tab-title'], '--tab-title');
+  }
+  const navigationTimeout = parseCount(values['navigation-timeout'], '--navigation-timeout');
+  if (navigationTimeout !== undefined) overrides.navigationTimeout = navigationTimeout;
+  return overrides;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Commands
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function parseCommand(args) {
+  const { values, positionals } = parseCommandArgs(args, OUTPUT_OPTIONS);
+  if (values.help) return printHelp('parse');
+  log.configure(values);
+
+  if (positionals.length === 0) {
+    throw new UsageError('parse expects at least one input file, directory or glob');
+  }
+  const options = {
+    format: resolveFormat(values),
+    view: resolveView(values),
+    output: resolveOutput(values),
+    strict: !!values.strict,
+    tolerance: parseTolerance(values.tolerance),
+    totalInteractions: parseTotalInteractions(values['total-interactions']),
+    profile: values.profile,
+    selectors: parseSelectors(values.selector),
+  };
+  const { run, runBatch } = require('../scrapeIntents');
+
+  if (positionals.length === 1 && isPlainFile(positionals[0])) {
+    const { rows, validation, output, report } = await run({ ...options, input: path.resolve(positionals[0]) });
+    return { rows: rows.length, issues: validation.length, output, report };
+  }
+
+  const { rows, snapshots, validation, output, report } = await runBatch({ ...options, inputs: positionals });
+  return { rows: rows.length, snapshots, issues: validation.length, output, report };
+}
+
+async function liveCommand(args) {
+  const { values, positionals } = parseCommandArgs(args, {
+    ...OUTPUT_OPTIONS,
+    ...BROWSER_OPTIONS,
+    'save-session': { type: 'string' },
+    'detail-timeout': { type: 'string' },
+    settle: { type: 'string' },
+    retries: { type: 'string' },
+    'stale-retries': { type: 'string' },
+    'stale-backoff': { type: 'string' },
+    'expand-timeout': { type: 'string' },
+    'max-phrases': { type: 'string' },
+    'rename-field': { type: 'string', multiple: true },
+    'drop-field': { type: 'string', multiple: true },
+    resume: { type: 'boolean' },
+    checkpoint: { type: 'string' },
+    'no-cross-check': { type: 'boolean' },
+    'all-models': { type: 'boolean' },
+  });
+  if (values.help) return printHelp('live');
+  log.configure(values);
+
+  if (positionals.length > 0) {
+    throw new UsageError(`live takes no positional arguments, got "${positionals[0]}"`);
+  }
+  const overrides = {
+    ...resolveBrowser(values),
+    format: resolveFormat(values),
+    view: resolveView(values),
+    crossCheck: !values['no-cross-check'],
+    selectors: parseSelectors(values.selector),
+    infoFields: { rename: parseFieldRenames(values['rename-field']), drop: values['drop-field'] || [] },
+  };
+  if (values.profile) overrides.profile = values.profile;
+  if (values['save-session']) overrides.saveSession = path.resolve(values['save-session']);
+  const output = resolveOutput(values);
+  if (output) overrides.output = output;
+  // CONFIG key → flag
+  const numeric = {
+    detailTimeout: 'detail-timeout',
+    settleTime: 'settle',
+    detailRetries: 'retries',
+    staleRetries: 'stale-retries',
+    staleBackoff: 'stale-backoff',
+    expandTimeout: 'expand-timeout',
+    maxPhrases: 'max-phrases',
+  };
+  for (const [key, flag] of Object.entries(numeric)) {
+    const value = parseCount(values[flag], `--${flag}`);
+    if (value !== undefined) overrides[key] = value;
+  }
+  if (values.checkpoint) overrides.checkpointFile = path.resolve(values.checkpoint);
+  overrides.resume = !!values.resume;
+  overrides.allModels = !!values['all-models'];
+  overrides.strict = !!values.strict;
+  const tolerance = parseTolerance(values.tolerance);
+  if (tolerance !== undefined) overrides.tolerance = tolerance;
+  const totalInteractions = parseTotalInteractions(values['total-interactions']);
+  if (totalInteractions !== undefined) overrides.totalInteractions = totalInteractions;
+
+  const { run } = require('../scrapeIntentsLive');
+  const result = await run(overrides);
+  return {
+    rows: result.rows.length,
+    models: result.models,
+    issues: result.validation.length,
+    output: result.output,
+    report: result.report,
+  };
+}
+
+async function diffCommand(args) {
+  const { values, positionals } = parseCommandArgs(args, {
+    output: { type: 'string', short: 'o' },
+    'json-output': { type: 'string' },
+    sheet: { type: 'string' },
+    model: { type: 'string' },
+  });
+  if (values.help) return printHelp('diff');
+  log.configure(values);
+
+  if (positionals.length !== 2) {
+    throw new UsageError('diff expects exactly two inputs: <before> <after>');
+  }
+  for (const input of positionals) {
+    if (!fs.existsSync(input)) throw new UsageError(`No such file: ${input}`);
+  }
+
+  const { run } = require('../diffIntents');
+  const result = await run({
+    before: path.resolve(positionals[0]),
+    after: path.resolve(positionals[1]),
+    output: resolveOutput(values),
+    jsonOutput: values['json-output'] ? path.resolve(values['json-output']) : undefined,
+    sheet: values.sheet,
+    model: values.model,
+  });
+  return { summary: result.summary, output: result.output, jsonOutput: result.jsonOutput };
+}
+
+async function trainCommand(args) {
+  const { values, positionals } = parseCommandArgs(args, {
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string', short: 'f' },
+    label: { type: 'string', short: 'l' },
+    sheet: { type: 'string' },
+    model: { type: 'string' },
+  });
+  if (values.help) return printHelp('train');
+  log.configure(values);
+
+  if (positionals.length !== 1) {
+    throw new UsageError('train expects exactly one input export');
+  }
+  if (!fs.existsSync(positionals[0])) throw new UsageError(`No such file: ${positionals[0]}`);
+
+  const format = values.format || 'rasa';
+  if (!TRAINING_FORMATS.includes(format)) {
+    throw new UsageError(`Unknown format "${format}". Expected one of: ${TRAINING_FORMATS.join(', ')}`);
+  }
+  const label = values.label || 'intent';
+  if (!GRANULARITIES.includes(label)) {
+    throw new UsageError(`Unknown label "${label}". Expected one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const { run } = require('../exportTrainingData');
+  return run({
+    input: path.resolve(positionals[0]),
+    format,
+    label,
+    output: resolveOutput(values),
+    sheet: values.sheet,
+    model: values.model,
+  });
+}
+
+async function analyseCommand(args) {
+  const { values, positionals } = parseCommandArgs(args, {
+    output: { type: 'string', short: 'o' },
+    'json-output': { type: 'string' },
+    threshold: { type: 'string' },
+    limit: { type: 'string' },
+    sheet: { type: 'string' },
+    model: { type: 'string' },
+  });
+  if (values.help) return printHelp('analyse');
+  log.configure(values);
+
+  if (positionals.length !== 1) {
+    throw new UsageError('analyse expects exactly one input export');
+  }
+  if (!fs.existsSync(positionals[0])) throw new UsageError(`No such file: ${positionals[0]}`);
+
+  const { run } = require('../analyseIntents');
+  return run({
+    input: path.resolve(positionals[0]),
+    output: resolveOutput(values),
+    jsonOutput: values['json-output'] ? path.resolve(values['json-output']) : undefined,
+    threshold: parseThreshold(values.threshold),
+    limit: parseCount(values.limit, '--limit'),
+    sheet: values.sheet,
+    model: values.model,
+  });
+}
+
+async function doctorCommand(args) {
+  const { values, positionals } = parseCommandArgs(args, {
+    ...BROWSER_OPTIONS,
+    profile: { type: 'string' },
+    selector: { type: 'string', multiple: true },
+    list: { type: 'boolean' },
+    live: { type: 'boolean' },
+  });
+  if (values.help) return printHelp('doctor');
+  log.configure(values);
+
+  if (values.list) {
+    const profiles = selectorProfile.listProfiles();
+    for (const name of profiles) {
+      log.info(name === selectorProfile.DEFAULT_PROFILE ? `${name} (default)` : name);
+    }
+    return { profiles };
+  }
+  if (positionals.length > 1) {
+    throw new UsageError('doctor checks one page: a saved snapshot, or --live');
+  }
+  if (values.live && positionals.length > 0) {
+    throw new UsageError('doctor takes either a snapshot file or --live, not both');
+  }
+  if (!values.live) {
+    const stray = Object.keys(BROWSER_OPTIONS).find((flag) => values[flag] !== undefined);
+    if (stray) throw new UsageError(`--${stray} only applies with --live`);
+  }
+  const input = positionals[0];
+  if (input && !fs.existsSync(input)) throw new UsageError(`No such file: ${input}`);
+
+  const { run } = require('../checkSelectors');
+  const result = await run({
+    input: input && path.resolve(input),
+    profile: values.profile,
+    selectors: parseSelectors(values.selector),
+    live: values.live ? resolveBrowser(values) : null,
+  });
+  if (result.broken.length > 0) {
+    throw new Error(`${result.broken.length} selector(s) of profile ${result.profile} match nothing ` +
+      `or are invalid: ${result.broken.map((b) => b.key).join(', ')}`);
+  }
+  return result;
+}
+
+const COMMANDS = {
+  parse: parseCommand,
+  live: liveCommand,
+  diff: diffCommand,
+  train: trainCommand,
+  analyse: analyseCommand,
+  doctor: doctorCommand,
+};
+
+function printHelp(command) {
+  console.log(COMMAND_HELP[command] || GLOBAL_HELP);
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function main(argv) {
+  const [command, ...args] = argv;
+
+  if (!command || command === '-h' || command === '--help') {
+    printHelp();
+    return command ? EXIT.OK : EXIT.USAGE;
+  }
+  if (command === 'help') {
+    printHelp(args[0]);
+    return EXIT.OK;
+  }
+
+  const handler = COMMANDS[command];
+  if (!handler) {
+    log.error(`Unknown command "${command}".\n`);
+    printHelp();
+    return EXIT.USAGE;
+  }
+
+  try {
+    const result = await handler(args);
+    if (result) {
+      log.result({ ok: true, command, ...result });
+      log.info('\nDone!');
+    }
+    return EXIT.OK;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      log.error(`Error: ${err.message}\n`);
+      log.error(`Run "cxone-intents ${command} --help" for usage.`);
+      return EXIT.USAGE;
+    }
+    if (err instanceof ValidationError) {
+      log.error(`Error: ${err.message} (see the Validation sheet).`);
+      log.result({ ok: false, command, error: err.message, issues: err.issues.length });
+      return EXIT.VALIDATION;
+    }
+    if (err instanceof SessionExpiredError) {
+      log.error(`Error: ${err.message}`);
+      log.result({ ok: false, command, error: err.message, sessionExpired: true });
+      return EXIT.SESSION;
+    }
+    log.error('Error:', err.message);
+    log.result({ ok: false, command, error: err.message });
+    return EXIT.FAILURE;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { EXIT, main };
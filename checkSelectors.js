@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * CXOne Selector Doctor
+ *
+ * Checks a selector profile (selectors/*.json, lib/selectorProfile.js)
+ * against an Intent Builder page and reports which selectors match nothing,
+ * so a CXOne release that renamed a class is caught before a scrape comes
+ * back empty.
+ *
+ * The page is either a saved snapshot (.html / .htm / .txt) or, with
+ * `live`, the Intent Builder tab of a running Chrome (or a launched one,
+ * see scrapeIntentsLive.js). Selectors for parts of the page that are not
+ * showing — the detail panel with no intent open, the grid in kanban view —
+ * are listed as not checked rather than broken.
+ *
+ * Usage:  node checkSelectors.js [snapshot.html] [profile]
+ * Exits 1 when a selector is missing or invalid.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const log = require('./lib/logger');
+const selectorProfile = require('./lib/selectorProfile');
+
+const HTML_FILE = path.join(__dirname, 'CXOne_ReadIntents.txt');
+
+const STATUS_LABELS = {
+  ok: 'ok',
+  missing: 'MISSING',
+  invalid: 'INVALID',
+  absent: 'no match',
+  skipped: 'skipped',
+  unset: 'unset',
+};
+
+/** Selectors of the profile with per-run overrides. */
+function profileSelectors(profile, overrides) {
+  return { ...selectorProfile.resolve(profile), ...overrides };
+}
+
+function checkSnapshot(file, selectors, profile) {
+  const $ = cheerio.load(fs.readFileSync(file, 'utf-8'));
+  const report = selectorProfile.check(selectors, (css) => $(css).length, profile);
+  return { ...report, ngVersion: $('[ng-version]').first().attr('ng-version') || '' };
+}
+
+async function checkLivePage(options, selectors, profile) {
+  const live = require('./scrapeIntentsLive');
+  const config = live.resolveConfig({ ...options.live, selectors });
+  const { browser, page } = await live.openBrowser(config);
+  try {
+    await live.injectLibrary(page, 'selectorProfile');
+    const report = await page.evaluate((sel, raw) => {
+      const result = window.CXOneSelectors.check(sel, (css) => document.querySelectorAll(css).length, raw);
+      const versioned = document.querySelector('[ng-version]');
+      result.ngVersion = versioned ? versioned.getAttribute('ng-version') : '';
+      return result;
+    }, selectors, profile);
+    return { ...report, url: page.url() };
+  } finally {
+    await live.closeBrowser(browser, config);
+  }
+}
+
+function printReport(report, profile, source) {
+  const build = profile.uiBuild || {};
+  log.info(`Profile ${profile.chain.join(' → ')}` +
+    (build.ngVersion ? ` (Angular ${build.ngVersion}${build.seen ? `, seen ${build.seen}` : ''})` : ''));
+  log.info(`Page    ${source}${report.ngVersion ? ` (Angular ${report.ngVersion})` : ''}`);
+  if (build.ngVersion && report.ngVersion && build.ngVersion !== report.ngVersion) {
+    log.warn(`  The page runs a different CXOne build than the profile was made for; ` +
+      'broken selectors below may need a new profile (one that "extends" this one).');
+  }
+
+  const width = Math.max(...report.results.map((r) => r.key.length));
+  for (const scope of Object.keys(selectorProfile.SCOPES)) {
+    const results = report.results.filter((r) => r.scope === scope);
+    const title = selectorProfile.SCOPES[scope].title;
+    if (!report.scopes[scope]) {
+      log.info(`\n${title}: not showing — ${results.map((r) => r.key).join(', ')} not checked`);
+      continue;
+    }
+    log.info(`\n${title}:`);
+    for (const result of results) {
+      const line = `  ${STATUS_LABELS[result.status].padEnd(8)} ${result.key.padEnd(width)}  ` +
+        `${String(result.count).padStart(5)}  ${result.selector}`;
+      if (result.status === 'missing' || result.status === 'invalid') {
+        log.warn(line + (result.error ? `  (${result.error})` : ''));
+      } else {
+        log.info(line);
+      }
+      // Which alternatives of a list still match anything
+      if (result.alternatives && result.status !== 'skipped') {
+        for (const alt of result.alternatives) {
+          log.info(`  ${''.padEnd(8)} ${''.padEnd(width)}  ${String(alt.count).padStart(5)}    ${alt.selector}`);
+        }
+      }
+    }
+  }
+
+  const c = report.counts;
+  log.info(`\n${c.ok} ok, ${c.missing} missing, ${c.invalid} invalid, ` +
+    `${c.absent} optional without a match, ${c.skipped} not checked, ${c.unset} unset`);
+}
+
+/**
+ * @param {{input?: string, profile?: string, selectors?: Object,
+ *          live?: Object|null}} [options]
+ *   live: CONFIG overrides for scrapeIntentsLive (browserURL, tabUrl,
+ *   launch, url, ...) to check the live page instead of `input`
+ * @returns {Promise<{profile: string, source: string, counts: Object,
+ *                    broken: Object[], scopes: Object}>}
+ *   broken: missing and invalid selectors
+ */
+async function run(options = {}) {
+  const profile = selectorProfile.loadProfile(options.profile);
+  const selectors = profileSelectors(profile, options.selectors);
+
+  let report;
+  let source;
+  if (options.live) {
+    report = await checkLivePage(options, selectors, profile);
+    source = report.url;
+  } else {
+    const input = options.input || HTML_FILE;
+    if (!fs.existsSync(input)) throw new Error(`No such file: ${input}`);
+    report = checkSnapshot(input, selectors, profile);
+    source = path.basename(input);
+  }
+
+  printReport(report, profile, source);
+  const broken = report.results
+    .filter((r) => r.status === 'missing' || r.status === 'invalid')
+    .map((r) => ({ key: r.key, selector: r.selector, status: r.status, error: r.error || '' }));
+  return { profile: profile.profile, source, counts: report.counts, broken, scopes: report.scopes };
+}
+
+async function main() {
+  const [input, profile] = process.argv.slice(2);
+  try {
+    const result = await run({ input, profile });
+    if (result.broken.length > 0) process.exit(1);
+  } catch (err) {
+    log.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { run };
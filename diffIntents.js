@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+/**
+ * CXOne Intent Snapshot Diff
+ *
+ * Compares two exports of the intent tree and reports what changed between
+ * them: added, removed, renamed and moved intents, percentage deltas and
+ * example-phrase changes.
+ *
+ * Either side can be any format the scrapers produce:
+ *   .xlsx  – workbook from scrapeIntents.js / scrapeIntentsLive.js / console
+ *   .csv   – CSV backup from the console scripts
+ *   .json  – flat row array, { rows: [...] } or nested { categories: [...] }
+ *   .jsonl – one row object per line
+ *   .html / .htm / .txt – a raw saved Intent Builder page
+ *
+ * Usage:  node diffIntents.js <before> <after>
+ * Writes CXOne_Intents_Changes.xlsx and CXOne_Intents_Changes.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const log = require('./lib/logger');
+const { parseCsvObjects } = require('./lib/csv');
+const { diffIntents } = require('./lib/intentDiff');
+
+const OUTPUT_FILE = path.join(__dirname, 'CXOne_Intents_Changes.xlsx');
+
+// Header text (lower-cased, letters/digits only) → row key
+const HEADER_KEYS = {
+  category: 'category',
+  topic: 'topic',
+  intent: 'intent',
+  intentpercentage: 'intentPercentage',
+  percentage: 'intentPercentage',
+  volume: 'volume',
+  examples: 'examples',
+  active: 'active',
+  tag: 'tag',
+  intentid: 'intentId',
+};
+
+// Fill colour per change type
+const CHANGE_FILLS = {
+  added: 'FFC6EFCE',
+  removed: 'FFFFC7CE',
+  renamed: 'FFFFEB9C',
+  moved: 'FFDDEBF7',
+  modified: 'FFFCE4D6',
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Loading exports
+// ─────────────────────────────────────────────────────────────────────────────
+
+function normaliseRow(obj) {
+  const row = {};
+  for (const [header, value] of Object.entries(obj)) {
+    const key = HEADER_KEYS[String(header).toLowerCase().replace(/[^a-z0-9]/g, '')];
+    if (!key) continue;
+    if (Array.isArray(value)) row[key] = value.join('\n');
+    else row[key] = value == null ? '' : String(value);
+  }
+  return row;
+}
+
+/** Flattens the nested JSON shape (categories → topics → intents). */
+function rowsFromNested(doc) {
+  const rows = [];
+  for (const category of doc.categories || []) {
+    for (const topic of category.topics || []) {
+      for (const intent of topic.intents || []) {
+        rows.push({
+          category: category.name,
+          topic: topic.name,
+          intent: intent.name,
+          intentPercentage: intent.percentage,
+          intentId: intent.intentId || '',
+          examples: Array.isArray(intent.examples) ? intent.examples.join('\n') : intent.examples || '',
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+function sheetHeaders(sheet) {
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    headers[col] = cell.text;
+  });
+  return headers;
+}
+
+/** True for a sheet with Category and Intent columns. */
+function isIntentSheet(sheet) {
+  const keys = sheetHeaders(sheet).map((header) => HEADER_KEYS[String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '')]);
+  return keys.includes('category') && keys.includes('intent');
+}
+
+/**
+ * Rows of the workbook's intent sheet: `sheet` when given, else "Intents",
+ * else the only sheet with Category and Intent columns. Multi-model and
+ * batch workbooks have one per model or snapshot; reading just the first
+ * would silently diff part of the export, so they need `sheet`.
+ */
+async function loadXlsx(file, opts = {}) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(file);
+  const name = path.basename(file);
+  let sheet;
+  if (opts.sheet) {
+    sheet = workbook.getWorksheet(opts.sheet);
+    if (!sheet) {
+      throw new Error(`${name}: no sheet "${opts.sheet}". Sheets: ${workbook.worksheets.map((s) => s.name).join(', ')}`);
+    }
+  } else {
+    const intentSheets = workbook.worksheets.filter(isIntentSheet);
+    sheet = workbook.getWorksheet('Intents');
+    if (!sheet && intentSheets.length > 1) {
+      throw new Error(`${name} has ${intentSheets.length} intent sheets ` +
+        `(${intentSheets.map((s) => `"${s.name}"`).join(', ')}); choose one with --sheet <name>`);
+    }
+    sheet = sheet || intentSheets[0] || workbook.worksheets[0];
+  }
+  if (!sheet) return [];
+
+  const headers = sheetHeaders(sheet);
+
+  const rows = [];
+  sheet.eachRow((excelRow, rowNumber) => {
+    if (rowNumber === 1) return;
+    const obj = {};
+    headers.forEach((header, col) => {
+      if (header) obj[header] = excelRow.getCell(col).text;
+    });
+    rows.push(normaliseRow(obj));
+  });
+  return rows;
+}
+
+/**
+ * The document of a batch (`{snapshots: [...]}`) or multi-model
+ * (`{models: [...]}`) JSON export to read: the only one, else the one
+ * `name` picks by model name or snapshot file.
+ */
+function pickDocument(docs, name, file) {
+  const base = path.basename(file);
+  const label = (doc, i) => doc.sourceFile || doc.model || `#${i + 1}`;
+  const list = docs.map((doc, i) => `"${label(doc, i)}"`).join(', ');
+  if (!name) {
+    if (docs.length <= 1) return docs[0] || { categories: [] };
+    throw new Error(`${base} has ${docs.length} models or snapshots (${list}); choose one with --model <name>`);
+  }
+  const matches = docs.filter((doc, i) => [doc.model, doc.sourceFile, label(doc, i)].includes(name));
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    throw new Error(`${base}: "${name}" names ${matches.length} snapshots; choose one by file (${list})`);
+  }
+  throw new Error(`${base}: no model or snapshot "${name}". Found: ${list}`);
+}
+
+/**
+ * Reads any supported export into flat rows.
+ * @param {string} file
+ * @param {{sheet?: string, model?: string}} [opts]  sheet: the intent sheet
+ *   of an .xlsx export with several (see loadXlsx); model: the model or
+ *   snapshot of a JSON export with several (see pickDocument)
+ * @returns {Promise<Object[]>}
+ */
+async function loadExport(file, opts = {}) {
+  const ext = path.extname(file).toLowerCase();
+
+  if (ext === '.xlsx') {
+    return loadXlsx(file, opts);
+  }
+  if (ext === '.csv') {
+    return parseCsvObjects(fs.readFileSync(file, 'utf-8')).map(normaliseRow);
+  }
+  if (ext === '.json') {
+    const doc = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (Array.isArray(doc)) return doc.map(normaliseRow);
+    if (Array.isArray(doc.rows)) return doc.rows.map(normaliseRow);
+    if (Array.isArray(doc.categories)) return rowsFromNested(doc);
+    if (Array.isArray(doc.snapshots)) return rowsFromNested(pickDocument(doc.snapshots, opts.model, file));
+    if (Array.isArray(doc.models)) return rowsFromNested(pickDocument(doc.models, opts.model, file));
+    throw new Error(`${path.basename(file)}: unrecognised JSON export shape`);
+  }
+  if (ext === '.jsonl') {
+    return fs.readFileSync(file, 'utf-8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => normaliseRow(JSON.parse(line)));
+  }
+  if (['.html', '.htm', '.txt'].includes(ext)) {
+    // Lazy require: only HTML snapshots need cheerio
+    const { scrapeIntents } = require('./scrapeIntents');
+    return scrapeIntents(file);
+  }
+  throw new Error(`${path.basename(file)}: unsupported export type "${ext}"`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Writing reports
+// ─────────────────────────────────────────────────────────────────────────────
+
+function pathText(side) {
+  return side ? `${side.category} > ${side.topic}` : '';
+}
+
+async function writeChangesExcel(diff, meta, outputFile) {
+  log.info('Writing changes workbook...');
+  const workbook = new ExcelJS.Workbook();
+
+  // Summary
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [
+    { header: 'Item', key: 'item', width: 22 },
+    { header: 'Value', key: 'value', width: 60 },
+  ];
+  summary.addRow({ item: 'Before', value: meta.before });
+  summary.addRow({ item: 'After', value: meta.after });
+  for (const [item, value] of Object.entries(diff.summary)) {
+    const row = summary.addRow({ item: item.charAt(0).toUpperCase() + item.slice(1), value });
+    if (CHANGE_FILLS[item]) {
+      row.getCell('item').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: CHANGE_FILLS[item] } };
+    }
+  }
+  summary.getRow(1).font = { bold: true };
+
+  // Changes (unchanged intents are left out of the sheet)
+  const sheet = workbook.addWorksheet('Changes');
+  sheet.columns = [
+    { header: 'Change', key: 'type', width: 12 },
+    { header: 'Intent (Before)', key: 'beforeIntent', width: 40 },
+    { header: 'Intent (After)', key: 'afterIntent', width: 40 },
+    { header: 'Path (Before)', key: 'beforePath', width: 40 },
+    { header: 'Path (After)', key: 'afterPath', width: 40 },
+    { header: 'Before %', key: 'beforePct', width: 11 },
+    { header: 'After %', key: 'afterPct', width: 11 },
+    { header: 'Delta (pp)', key: 'delta', width: 11 },
+    { header: 'Examples Added', key: 'examplesAdded', width: 50 },
+    { header: 'Examples Removed', key: 'examplesRemoved', width: 50 },
+  ];
+
+  const headerRow = sheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4472C4' },
+  };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+
+  const visible = diff.changes.filter((c) => c.type !== 'unchanged');
+  for (const change of visible) {
+    const excelRow = sheet.addRow({
+      type: change.type === 'renamed' && change.moved ? 'renamed+moved' : change.type,
+      beforeIntent: change.before ? change.before.intent : '',
+      afterIntent: change.after ? change.after.intent : '',
+      beforePath: pathText(change.before),
+      afterPath: pathText(change.after),
+      beforePct: change.before ? change.before.percentage : null,
+      afterPct: change.after ? change.after.percentage : null,
+      delta: change.percentageDelta,
+      examplesAdded: change.examplesAdded.join('\n'),
+      examplesRemoved: change.examplesRemoved.join('\n'),
+    });
+    excelRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: CHANGE_FILLS[change.type] } };
+    excelRow.getCell('examplesAdded').alignment = { wrapText: true, vertical: 'top' };
+    excelRow.getCell('examplesRemoved').alignment = { wrapText: true, vertical: 'top' };
+  }
+
+  sheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: visible.length + 1, column: sheet.columns.length },
+  };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  await workbook.xlsx.writeFile(outputFile);
+  log.info(`  Changes workbook written to: ${outputFile}`);
+}
+
+function writeChangesJson(diff, meta, jsonFile) {
+  const doc = { before: meta.before, after: meta.after, generatedAt: new Date().toISOString(), ...diff };
+  fs.writeFileSync(jsonFile, JSON.stringify(doc, null, 2) + '\n');
+  log.info(`  JSON diff written to: ${jsonFile}`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {{before: string, after: string, output?: string, jsonOutput?: string, sheet?: string,
+ *          model?: string}} options
+ *   sheet / model: the intent sheet or JSON document to compare in exports
+ *   with several (see loadExport)
+ * @returns {Promise<{summary: Object, output: string, jsonOutput: string}>}
+ */
+async function run(options) {
+  const output = options.output || OUTPUT_FILE;
+  const jsonOutput = options.jsonOutput ||
+    path.join(path.dirname(output), path.basename(output, path.extname(output)) + '.json');
+
+  log.info(`Loading ${path.basename(options.before)} and ${path.basename(options.after)}...`);
+  const select = { sheet: options.sheet, model: options.model };
+  const beforeRows = await loadExport(options.before, select);
+  const afterRows = await loadExport(options.after, select);
+
+  const diff = diffIntents(beforeRows, afterRows);
+  const meta = { before: path.basename(options.before), after: path.basename(options.after) };
+
+  log.info('\nChanges:');
+  for (const [type, count] of Object.entries(diff.summary)) {
+    log.info(`  ${type.padEnd(10)} ${count}`);
+  }
+
+  await writeChangesExcel(diff, meta, output);
+  writeChangesJson(diff, meta, jsonOutput);
+
+  return { summary: diff.summary, output, jsonOutput };
+}
+
+async function main() {
+  const [before, after] = process.argv.slice(2);
+  if (!before || !after) {
+    log.error('Usage: node diffIntents.js <before> <after>');
+    process.exit(2);
+  }
+  try {
+    await run({ before, after });
+    log.info('\nDone!');
+  } catch (err) {
+    log.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { OUTPUT_FILE, loadExport, writeChangesExcel, run };
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * CXOne NLU Training Data Export
+ *
+ * Turns an intent export (or a saved Intent Builder page) into a training
+ * set other NLU platforms can import:
+ *
+ *   rasa        nlu.yml (Rasa 3.x)
+ *   dialogflow  intents/ directory of Dialogflow ES intent + usersays files
+ *   lex         Amazon Lex (V1) bot import JSON
+ *   csv         text,label
+ *
+ * Labels are the intent, topic or category path (--label).
+ *
+ * Usage:  node exportTrainingData.js <export> [rasa|dialogflow|lex|csv] [intent|topic|category]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./lib/logger');
+const training = require('./lib/trainingData');
+const { loadExport } = require('./diffIntents');
+
+// Default output per format, next to the scripts
+const OUTPUT_FILES = {
+  rasa: path.join(__dirname, 'nlu.yml'),
+  dialogflow: path.join(__dirname, 'dialogflow_intents'),
+  lex: path.join(__dirname, 'CXOne_Intents_Lex.json'),
+  csv: path.join(__dirname, 'CXOne_Intents_Training.csv'),
+};
+
+/**
+ * Writes the training set; Dialogflow gets a directory, the rest one file.
+ * @returns {number} files written
+ */
+function writeTrainingData(groups, format, output) {
+  if (format === 'dialogflow') {
+    fs.mkdirSync(output, { recursive: true });
+    const files = training.toDialogflow(groups);
+    for (const { file, content } of files) {
+      fs.writeFileSync(path.join(output, file), JSON.stringify(content, null, 2) + '\n');
+    }
+    return files.length;
+  }
+
+  const content = format === 'rasa'
+    ? training.toRasa(groups)
+    : format === 'lex'
+      ? JSON.stringify(training.toLex(groups), null, 2) + '\n'
+      : training.toCsv(groups);
+  fs.writeFileSync(output, content);
+  return 1;
+}
+
+/**
+ * @param {{input: string, format?: string, label?: string, output?: string, sheet?: string,
+ *          model?: string}} options
+ * @returns {Promise<{labels: number, examples: number, skipped: number, output: string}>}
+ */
+async function run(options) {
+  const format = options.format || 'rasa';
+  const label = options.label || 'intent';
+  if (!training.TRAINING_FORMATS.includes(format)) {
+    throw new Error(`Unknown training format "${format}". Expected one of: ${training.TRAINING_FORMATS.join(', ')}`);
+  }
+  const output = options.output || OUTPUT_FILES[format];
+
+  log.info(`Loading ${path.basename(options.input)}...`);
+  const rows = await loadExport(options.input, { sheet: options.sheet, model: options.model });
+  const groups = training.groupExamples(rows, label);
+
+  // A label without examples cannot be trained on
+  const usable = groups.filter((group) => group.examples.length > 0);
+  const skipped = groups.length - usable.length;
+  if (usable.length === 0) {
+    throw new Error('No examples found. Export examples with the live or console scraper first.');
+  }
+  if (skipped > 0) {
+    log.warn(`  ${skipped} ${label} label(s) have no examples and were left out.`);
+  }
+
+  const examples = usable.reduce((sum, group) => sum + group.examples.length, 0);
+  log.info(`  ${usable.length} ${label} labels, ${examples} examples`);
+
+  const files = writeTrainingData(usable, format, output);
+  log.info(`  ${format} training data written to: ${output}${files > 1 ? ` (${files} files)` : ''}`);
+
+  return { labels: usable.length, examples, skipped, output };
+}
+
+async function main() {
+  const [input, format, label] = process.argv.slice(2);
+  if (!input) {
+    log.error('Usage: node exportTrainingData.js <export> [rasa|dialogflow|lex|csv] [intent|topic|category]');
+    process.exit(2);
+  }
+  try {
+    await run({ input, format, label });
+    log.info('\nDone!');
+  } catch (err) {
+    log.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { OUTPUT_FILES, writeTrainingData, run };
@@ -0,0 +1,211 @@
+/**
+ * Unattended browser sessions for the live scraper.
+ *
+ * By default scrapeIntentsLive.js attaches to a Chrome that someone started
+ * with --remote-debugging-port and logged into. Launch mode instead starts
+ * a local Chromium (`executablePath`), restores a saved session file, opens
+ * the Intent Builder URL and waits for the tree, so nightly jobs need no
+ * one at the keyboard.
+ *
+ * A session file is JSON:
+ *
+ *   {
+ *     "savedAt": "2026-01-31T22:00:00.000Z",
+ *     "url": "https://...",                  page the session was saved from
+ *     "cookies": [ ... ],                     the url's site only (see siteCookies)
+ *     "localStorage": { "key": "value" },     for the url's origin
+ *     "sessionStorage": { "key": "value" }
+ *   }
+ *
+ * A bare cookie array (as exported by most cookie-editor extensions) is
+ * accepted too. saveSession() writes one from an already logged-in tab.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+// Hints that the app bounced us to its sign-in page instead of the builder
+const LOGIN_URL_PATTERN = /login|signin|sign-in|auth|sso|oauth|saml/i;
+const LOGIN_SELECTOR = 'input[type="password"], form[action*="login" i]';
+
+/** The saved session no longer gets past the sign-in page. */
+class SessionExpiredError extends Error {
+  constructor(url, sessionFile) {
+    super(
+      `CXOne session expired: ${url} shows the sign-in page. ` +
+      (sessionFile
+        ? `Log in again and re-save ${sessionFile} (cxone-intents live --save-session ${sessionFile}).`
+        : 'Pass a saved session with --session (see cxone-intents live --help).')
+    );
+    this.name = 'SessionExpiredError';
+    this.url = url;
+    this.sessionFile = sessionFile || null;
+  }
+}
+
+/**
+ * Reads a session file; throws when it is missing or not a session.
+ *
+ * @param {string} file
+ * @returns {{cookies: Object[], localStorage: Object, sessionStorage: Object, url?: string, savedAt?: string}}
+ */
+function loadSession(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Session file not found: ${file}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Session file ${file} is not valid JSON (${err.message})`);
+  }
+  const session = Array.isArray(data) ? { cookies: data } : data;
+  if (!session || !Array.isArray(session.cookies)) {
+    throw new Error(`Session file ${file} has no "cookies" array`);
+  }
+  return {
+    ...session,
+    localStorage: session.localStorage || {},
+    sessionStorage: session.sessionStorage || {},
+  };
+}
+
+/**
+ * The cookies that belong to `url`'s site: those for its host or a domain
+ * above it, and those for hosts under its parent domain (the CXOne sign-in
+ * host beside the app host). An attached Chrome holds the user's cookies
+ * for every other site too; they have no place in a session file.
+ *
+ * @param {Object[]} cookies  as returned by browser.cookies()
+ * @param {string} url
+ * @returns {Object[]}
+ */
+function siteCookies(cookies, url) {
+  const host = new URL(url).hostname.toLowerCase();
+  const labels = host.split('.');
+  // "app.example.com" → "example.com"; never a bare top-level domain
+  const parent = labels.length > 2 ? labels.slice(1).join('.') : host;
+  const within = (domain, base) => domain === base || domain.endsWith('.' + base);
+  return cookies.filter((cookie) => {
+    const domain = String(cookie.domain || '').replace(/^\./, '').toLowerCase();
+    return !!domain && (within(host, domain) || within(domain, parent));
+  });
+}
+
+/**
+ * Saves the cookies of `page`'s site and the page's web storage, so a
+ * later launch-mode run can start already logged in.
+ *
+ * @param {import('puppeteer-core').Page} page  a logged-in CXOne tab
+ * @param {string} file
+ * @returns {Promise<number>} cookies saved
+ */
+async function saveSession(page, file) {
+  const cookies = siteCookies(await page.browser().cookies(), page.url());
+  const storage = await page.evaluate(() => {
+    const dump = (store) => {
+      const out = {};
+      for (let i = 0; i < store.length; i++) out[store.key(i)] = store.getItem(store.key(i));
+      return out;
+    };
+    return { localStorage: dump(window.localStorage), sessionStorage: dump(window.sessionStorage) };
+  });
+  const session = { savedAt: new Date().toISOString(), url: page.url(), cookies, ...storage };
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  // Cookies are credentials: keep the file private to the current user
+  fs.writeFileSync(file, JSON.stringify(session, null, 2) + '\n', { mode: 0o600 });
+  return cookies.length;
+}
+
+/**
+ * Starts a local Chromium.
+ *
+ * @param {typeof import('puppeteer-core')} puppeteer
+ * @param {{executablePath: string, headless: boolean, userDataDir?: string|null}} config
+ */
+async function launchBrowser(puppeteer, config) {
+  const executablePath = config.executablePath
+    || process.env.PUPPETEER_EXECUTABLE_PATH
+    || process.env.CHROME_PATH;
+  if (!executablePath) {
+    throw new Error(
+      'Launch mode needs a Chrome / Chromium binary: pass --executable-path or set ' +
+      'PUPPETEER_EXECUTABLE_PATH.'
+    );
+  }
+  try {
+    return await puppeteer.launch({
+      executablePath,
+      headless: config.headless,
+      userDataDir: config.userDataDir || undefined,
+      defaultViewport: { width: 1600, height: 1000 },
+      args: ['--no-first-run', '--no-default-browser-check'],
+    });
+  } catch (err) {
+    throw new Error(`Failed to launch ${executablePath} (${err.message})`);
+  }
+}
+
+/**
+ * Restores the session into a fresh page: cookies now, web storage on the
+ * next document of the session's origin (it needs that origin to be loaded).
+ *
+ * @param {import('puppeteer-core').Page} page
+ * @param {ReturnType<typeof loadSession>} session
+ * @param {string} url  where the page is about to navigate
+ */
+async function restoreSession(page, session, url) {
+  if (session.cookies.length > 0) {
+    await page.browser().setCookie(...session.cookies);
+  }
+  const origin = new URL(session.url || url).origin;
+  await page.evaluateOnNewDocument((storageOrigin, local, stored) => {
+    if (window.location.origin !== storageOrigin) return;
+    for (const [key, value] of Object.entries(local)) window.localStorage.setItem(key, value);
+    for (const [key, value] of Object.entries(stored)) window.sessionStorage.setItem(key, value);
+  }, origin, session.localStorage, session.sessionStorage);
+}
+
+/**
+ * Opens `url` and waits for the Intent Builder tree (any of `readySelectors`).
+ * Throws SessionExpiredError when the app shows its sign-in page instead.
+ *
+ * @param {import('puppeteer-core').Page} page
+ * @param {{url: string, readySelectors: string[], timeoutMs: number, sessionFile?: string|null}} opts
+ */
+async function openIntentBuilder(page, opts) {
+  log.info('  Opening', opts.url, '...');
+  await page.goto(opts.url, { waitUntil: 'domcontentloaded', timeout: opts.timeoutMs });
+
+  const ready = opts.readySelectors.join(', ');
+  try {
+    await page.waitForFunction(
+      (readySel, loginSel) => !!(document.querySelector(readySel) || document.querySelector(loginSel)),
+      { timeout: opts.timeoutMs, polling: 500 },
+      ready, LOGIN_SELECTOR
+    );
+  } catch {
+    // Neither showed up; the checks below say which way it went
+  }
+
+  if (await page.$(ready)) return;
+  const { hostname, pathname } = new URL(page.url());
+  if (LOGIN_URL_PATTERN.test(hostname + pathname) || (await page.$(LOGIN_SELECTOR))) {
+    throw new SessionExpiredError(page.url(), opts.sessionFile);
+  }
+  throw new Error(
+    `The Intent Builder did not load within ${opts.timeoutMs} ms at ${page.url()} ` +
+    `(waited for ${ready}). Check the --url and that the tree is visible there.`
+  );
+}
+
+module.exports = {
+  SessionExpiredError,
+  loadSession,
+  siteCookies,
+  saveSession,
+  launchBrowser,
+  restoreSession,
+  openIntentBuilder,
+};
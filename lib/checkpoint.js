@@ -0,0 +1,108 @@
+/**
+ * ============================================================================
+ *  CXOne Checkpoint — per-intent progress that survives a crashed run
+ * ============================================================================
+ *
+ *  The live and console scrapers append one record per captured intent, so
+ *  a session timeout at intent 400 of 500 keeps the first 399 and a resumed
+ *  run skips them. Two backends share the same { load, append, clear } API:
+ *
+ *    jsonlCheckpoint(file)          Node: one JSON object per line on disk
+ *    storageCheckpoint(storage, k)  Browser: a JSON map in localStorage
+ *
+ *  Records are keyed by CXOneIntentTree.intentKey(row).
+ *
+ *  Loads as CommonJS under Node and as the `CXOneCheckpoint` global in a page.
+ * ============================================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CXOneCheckpoint = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * @typedef {Object} Checkpoint
+   * @property {function(): Map<string, Object>} load   captured records by key
+   * @property {function(Object): void} append          persist one record (needs .key)
+   * @property {function(): void} clear                 forget everything
+   */
+
+  /**
+   * Node backend. Appends synchronously so a record is on disk before the
+   * next intent is clicked; a half-written last line (crash mid-append) is
+   * ignored on load.
+   *
+   * @param {string} file
+   * @returns {Checkpoint}
+   */
+  function jsonlCheckpoint(file) {
+    const fs = require('fs');
+
+    return {
+      file,
+      load() {
+        const records = new Map();
+        if (!fs.existsSync(file)) return records;
+        for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            const record = JSON.parse(line);
+            if (record && record.key) records.set(record.key, record);
+          } catch {
+            // Truncated line from an interrupted write
+          }
+        }
+        return records;
+      },
+      append(record) {
+        fs.appendFileSync(file, JSON.stringify(record) + '\n');
+      },
+      clear() {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+      },
+    };
+  }
+
+  /**
+   * Browser backend (localStorage survives a reload of the CXOne tab).
+   *
+   * @param {Storage} storage  usually window.localStorage
+   * @param {string} storageKey
+   * @returns {Checkpoint}
+   */
+  function storageCheckpoint(storage, storageKey) {
+    function read() {
+      try {
+        return JSON.parse(storage.getItem(storageKey) || '{}');
+      } catch {
+        return {};
+      }
+    }
+
+    return {
+      storageKey,
+      load() {
+        const records = new Map();
+        const data = read();
+        for (const key of Object.keys(data)) records.set(key, data[key]);
+        return records;
+      },
+      append(record) {
+        const data = read();
+        data[record.key] = record;
+        // Throws QuotaExceededError when full; callers decide whether to stop
+        storage.setItem(storageKey, JSON.stringify(data));
+      },
+      clear() {
+        storage.removeItem(storageKey);
+      },
+    };
+  }
+
+  return { jsonlCheckpoint, storageCheckpoint };
+});
@@ -0,0 +1,76 @@
+/**
+ * Minimal RFC 4180 CSV parsing, enough to read back the CSV backups the
+ * console scrapers download (quoted fields, embedded quotes and newlines).
+ */
+
+/**
+ * @param {string} text
+ * @returns {string[][]} rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Strip a UTF-8 BOM left by Excel
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parses CSV with a header row into objects keyed by header text.
+ * @returns {Object[]}
+ */
+function parseCsvObjects(text) {
+  const [header = [], ...body] = parseCsv(text);
+  return body
+    .filter((fields) => fields.some((f) => f !== ''))
+    .map((fields) => {
+      const obj = {};
+      header.forEach((name, i) => {
+        obj[name] = fields[i] !== undefined ? fields[i] : '';
+      });
+      return obj;
+    });
+}
+
+module.exports = { parseCsv, parseCsvObjects };
@@ -0,0 +1,200 @@
+/**
+ * ============================================================================
+ *  CXOne Export Formats — JSON and JSON Lines
+ * ============================================================================
+ *
+ *  Turns scraped rows into the documents downstream NLU tooling reads:
+ *
+ *    json   one nested document: categories → topics → intents, with each
+ *           intent's examples as an array
+ *    jsonl  one flat JSON object per intent row, examples as an array
+ *
+ *  Rows scraped from the detail panel also carry `exampleRecords` (lib/
+ *  phrases.js: position, snippet and highlight metadata per example),
+ *  copied next to the plain `examples` array, and `info`: the panel's
+ *  other info items, header → value (lib/infoFields.js).
+ *
+ *  Shared by the Node scrapers and the browser console scripts so every
+ *  entry point emits the same shape. Loads as CommonJS under Node and as the
+ *  `CXOneExport` global in a page.
+ * ============================================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CXOneExport = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const FORMATS = ['xlsx', 'json', 'jsonl'];
+
+  const EXTENSIONS = {
+    xlsx: '.xlsx',
+    json: '.json',
+    jsonl: '.jsonl',
+    csv: '.csv',
+  };
+
+  // Row fields carried into the exports, in output order
+  const ROW_FIELDS = ['intentId', 'category', 'topic', 'intent', 'intentPercentage', 'volume', 'volumeSource', 'active', 'tag'];
+
+  // Snapshot metadata (batch parsing) copied when present
+  const META_FIELDS = ['sourceFile', 'model', 'modelVersion', 'capturedAt'];
+
+  // Live / console scrape outcome (status, stale-panel check, examples
+  // CXOne reports versus captured) copied when present
+  const SCRAPE_FIELDS = ['status', 'panelCheck', 'panelRetries', 'examplesReported', 'examplesCaptured', 'examplesCapped'];
+
+  /** Examples as an array, whether stored newline-joined or already split. */
+  function exampleList(examples) {
+    if (Array.isArray(examples)) return examples.slice();
+    return String(examples || '')
+      .split('\n')
+      .map((e) => e.trim())
+      .filter(Boolean);
+  }
+
+  /** Copies the panel's example records, when the row has any. */
+  function withRecords(row, out) {
+    if (Array.isArray(row.exampleRecords) && row.exampleRecords.length) out.exampleRecords = row.exampleRecords;
+    return out;
+  }
+
+  /** Copies the panel's info fields, when the row has any. */
+  function withInfo(row, out) {
+    if (row.info && Object.keys(row.info).length) out.info = row.info;
+    return out;
+  }
+
+  /** Keeps 0 (a derived volume can be 0), blanks undefined / null. */
+  function orBlank(value) {
+    return value === undefined || value === null ? '' : value;
+  }
+
+  function copyFields(from, to, fields) {
+    for (const field of fields) {
+      if (from[field] !== undefined && from[field] !== '') to[field] = from[field];
+    }
+    return to;
+  }
+
+  /** A row as written to JSON Lines (no DOM refs or internal fields). */
+  function exportRow(row) {
+    const out = {};
+    for (const field of ROW_FIELDS) {
+      out[field] = row[field] !== undefined ? row[field] : '';
+    }
+    out.examples = exampleList(row.examples);
+    withRecords(row, out);
+    withInfo(row, out);
+    if (row.collapsed) out.collapsed = true;
+    copyFields(row, out, SCRAPE_FIELDS);
+    return copyFields(row, out, META_FIELDS);
+  }
+
+  /**
+   * Nested document. Category and topic order follows the rows; collapsed
+   * topic placeholders become topics with `collapsed: true` and no intents.
+   * Category and topic volumes are estimates (lib/volumes.js), '' without a
+   * total interaction count.
+   *
+   * @param {Object[]} rows
+   * @param {Object} [meta]  extra top-level fields (source, model, ...)
+   */
+  function toNestedJson(rows, meta) {
+    const doc = Object.assign({ generatedAt: new Date().toISOString() }, meta);
+    const categories = [];
+    // Maps, so names like "constructor" index like any other
+    const categoryIndex = new Map();
+
+    for (const row of rows) {
+      let category = categoryIndex.get(row.category);
+      if (!category) {
+        category = {
+          name: row.category,
+          percentage: row.categoryPercentage || '',
+          volume: orBlank(row.categoryVolume),
+          topics: [],
+          _topics: new Map(),
+        };
+        categoryIndex.set(row.category, category);
+        categories.push(category);
+      }
+
+      let topic = category._topics.get(row.topic);
+      if (!topic) {
+        topic = { name: row.topic, percentage: row.topicPercentage || '', volume: orBlank(row.topicVolume), intents: [] };
+        category._topics.set(row.topic, topic);
+        category.topics.push(topic);
+      }
+
+      if (row.collapsed) {
+        topic.collapsed = true;
+        continue;
+      }
+
+      topic.intents.push(copyFields(row, withInfo(row, withRecords(row, {
+        intentId: row.intentId || '',
+        name: row.intent,
+        percentage: row.intentPercentage,
+        volume: orBlank(row.volume),
+        volumeSource: row.volumeSource || '',
+        active: row.active || '',
+        tag: row.tag || '',
+        examples: exampleList(row.examples),
+      })), SCRAPE_FIELDS));
+    }
+
+    for (const category of categories) delete category._topics;
+    doc.categories = categories;
+    return doc;
+  }
+
+  /** One JSON object per line, newline-terminated. */
+  function toJsonLines(rows) {
+    return rows.map((row) => JSON.stringify(exportRow(row)) + '\n').join('');
+  }
+
+  /**
+   * Document properties for a workbook of one model's intents, so the model
+   * travels with the file even when its sheets are copied elsewhere.
+   *
+   * @param {{model?: string, modelVersion?: string, sourceFile?: string, capturedAt?: string}} meta
+   * @returns {{title: string, subject: string, keywords: string, category: string, description: string}}
+   */
+  function workbookProperties(meta) {
+    const m = meta || {};
+    const model = [m.model, m.modelVersion].filter(Boolean).join(' ');
+    const description = [
+      m.sourceFile ? 'Source: ' + m.sourceFile : '',
+      m.capturedAt ? 'Captured: ' + m.capturedAt : '',
+    ].filter(Boolean).join('; ');
+    return {
+      title: model ? 'CXOne Intents - ' + model : 'CXOne Intents',
+      subject: m.model || '',
+      keywords: m.modelVersion || '',
+      category: 'CXOne Intent Builder',
+      description,
+    };
+  }
+
+  /** Replaces the extension of `file` with the one for `format`. */
+  function withExtension(file, format) {
+    const ext = EXTENSIONS[format] || '';
+    return file.replace(/\.[^./\\]*$/, '') + ext;
+  }
+
+  return {
+    FORMATS,
+    EXTENSIONS,
+    exampleList,
+    exportRow,
+    toNestedJson,
+    toJsonLines,
+    workbookProperties,
+    withExtension,
+  };
+});
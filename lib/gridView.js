@@ -0,0 +1,255 @@
+/**
+ * ============================================================================
+ *  CXOne Grid View — drive the hierarchy-grid (ag-grid) in a live page
+ * ============================================================================
+ *
+ *  The Intent Builder can show the tree as an ag-grid instead of the kanban
+ *  view. Its group rows start contracted and the grid may be paged, so
+ *  before CXOneIntentTree can see every intent the scraper has to
+ *
+ *    1. expand every contracted group row on the current page,
+ *    2. collect the page's rows, and
+ *    3. step through the pages with the `ag-paging-button` controls.
+ *
+ *  ag-grid also virtualises rows: only those near the `.ag-body-viewport`
+ *  scroll position (plus a small buffer) are in the DOM. Expanding and
+ *  collecting therefore scroll the viewport through the whole page;
+ *  collectRows() merges what it sees by `row-index` into detached copies
+ *  for CXOneIntentTree.extractGridTree(), and revealRow() scrolls a row
+ *  back into the DOM before it is clicked.
+ *
+ *  Group rows keep their children on the parent's page (ag-grid's default
+ *  paginateChildRows: false), so each page holds whole categories.
+ *
+ *  Runs in the page: puppeteer calls it through page.evaluate(). Loads as
+ *  CommonJS under Node and as the `CXOneGrid` global in a page.
+ * ============================================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CXOneGrid = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULTS = {
+    rowSelector: 'hierarchy-grid .ag-center-cols-container .ag-row',
+    viewport: 'hierarchy-grid .ag-body-viewport',
+    // Share of the viewport height scrolled per step; the rest overlaps
+    scrollStep: 0.8,
+    contractedClass: 'ag-row-group-contracted',
+    expandSelector: '.ag-group-contracted',
+    pagingPanel: 'hierarchy-grid .ag-paging-panel',
+    nextPage: '.ag-paging-button[aria-label="Next Page"]',
+    firstPage: '.ag-paging-button[aria-label="First Page"]',
+    currentPage: '[ref="lbCurrent"]',
+    totalPages: '[ref="lbTotal"]',
+    disabledClass: 'ag-disabled',
+    hiddenClass: 'ag-hidden',
+    settleMs: 400,
+    timeoutMs: 10000,
+    pollMs: 100,
+  };
+
+  function options(opts) {
+    return Object.assign({}, DEFAULTS, opts);
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /** Polls `check()` until true or timeoutMs, then waits settleMs. */
+  async function waitFor(check, o) {
+    const start = Date.now();
+    while (!check()) {
+      if (Date.now() - start >= o.timeoutMs) return false;
+      await sleep(o.pollMs);
+    }
+    await sleep(o.settleMs);
+    return true;
+  }
+
+  function contractedRows(o) {
+    return Array.prototype.filter.call(
+      document.querySelectorAll(o.rowSelector),
+      (row) => row.classList.contains(o.contractedClass)
+    );
+  }
+
+  function rowByAttr(o, name, value) {
+    const rows = document.querySelectorAll(o.rowSelector);
+    for (let i = 0; i < rows.length; i++) {
+      if (rows[i].getAttribute(name) === value) return rows[i];
+    }
+    return null;
+  }
+
+  function rowById(o, rowId) {
+    return rowByAttr(o, 'row-id', rowId);
+  }
+
+  /**
+   * Scrolls the viewport from the top to the bottom of the current page,
+   * calling `visit()` at every position once the rows have rendered. Stops
+   * early when `visit()` returns true. Without a viewport (or nothing to
+   * scroll) `visit()` runs once.
+   */
+  async function scrollThrough(o, visit) {
+    const viewport = o.viewport && document.querySelector(o.viewport);
+    if (!viewport) return !!(await visit());
+    if (viewport.scrollTop !== 0) {
+      viewport.scrollTop = 0;
+      await sleep(o.settleMs);
+    }
+    while (true) {
+      if (await visit()) return true;
+      const before = viewport.scrollTop;
+      viewport.scrollTop = before + Math.max(1, Math.floor(viewport.clientHeight * o.scrollStep));
+      if (viewport.scrollTop <= before) return false;
+      await sleep(o.settleMs);
+    }
+  }
+
+  /**
+   * Expands every contracted group row on the current page. Expanding a
+   * category renders its (contracted) topics, and rows below the viewport
+   * are not rendered at all, so each pass scrolls through the page
+   * expanding what it finds; passes repeat until one expands nothing. Rows
+   * that refuse to expand are counted, not retried.
+   *
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {Promise<{expanded: number, failed: number, passes: number}>}
+   */
+  async function expandAllGroups(opts) {
+    const o = options(opts);
+    const failedIds = new Set();
+    let expanded = 0;
+    let passes = 0;
+
+    while (true) {
+      passes++;
+      const before = expanded;
+      await scrollThrough(o, async () => {
+        while (true) {
+          const pending = contractedRows(o).filter((row) => !failedIds.has(row.getAttribute('row-id')));
+          if (pending.length === 0) return false;
+
+          for (const stale of pending) {
+            // Expanding a row can re-render the others; look each one up again
+            const rowId = stale.getAttribute('row-id');
+            const row = rowById(o, rowId);
+            if (!row || !row.classList.contains(o.contractedClass)) continue;
+            const toggle = row.querySelector(o.expandSelector);
+            if (!toggle) {
+              failedIds.add(rowId);
+              continue;
+            }
+            toggle.click();
+            const ok = await waitFor(() => {
+              const current = rowById(o, rowId);
+              return !current || !current.classList.contains(o.contractedClass);
+            }, o);
+            if (ok) expanded++;
+            else failedIds.add(rowId);
+          }
+        }
+      });
+      if (expanded === before) break;
+    }
+
+    return { expanded, failed: failedIds.size, passes };
+  }
+
+  /**
+   * Every row of the current page, scrolled into the DOM in turn and merged
+   * by `row-index` (`row-id` for rows without one). Returns detached copies
+   * in no particular order: CXOneIntentTree.extractGridTree() sorts them.
+   *
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {Promise<Element[]>}
+   */
+  async function collectRows(opts) {
+    const o = options(opts);
+    const rows = new Map();
+    await scrollThrough(o, () => {
+      const rendered = document.querySelectorAll(o.rowSelector);
+      for (let i = 0; i < rendered.length; i++) {
+        const index = rendered[i].getAttribute('row-index');
+        const key = index !== null ? 'index:' + index : 'id:' + rendered[i].getAttribute('row-id');
+        rows.set(key, rendered[i].cloneNode(true));
+      }
+      return false;
+    });
+    return Array.from(rows.values());
+  }
+
+  /**
+   * The live row with `row-index` `rowIndex`, scrolling the viewport until
+   * ag-grid renders it; null when the page has no such row.
+   *
+   * @param {number} rowIndex
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {Promise<Element|null>}
+   */
+  async function revealRow(rowIndex, opts) {
+    const o = options(opts);
+    const find = () => rowByAttr(o, 'row-index', String(rowIndex));
+    if (find()) return find();
+    return (await scrollThrough(o, () => !!find())) ? find() : null;
+  }
+
+  /**
+   * Current page and page count from the paging panel; {current: 1,
+   * total: 1} when the grid is not paged (panel absent or hidden).
+   *
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {{current: number, total: number}}
+   */
+  function pageInfo(opts) {
+    const o = options(opts);
+    const panel = document.querySelector(o.pagingPanel);
+    if (!panel || panel.classList.contains(o.hiddenClass)) return { current: 1, total: 1 };
+    const number = (selector) => {
+      const el = panel.querySelector(selector);
+      const value = el ? parseInt(el.textContent.replace(/\D/g, ''), 10) : NaN;
+      return isNaN(value) ? 1 : value;
+    };
+    return { current: number(o.currentPage), total: number(o.totalPages) };
+  }
+
+  async function clickPagingButton(selector, o) {
+    const panel = document.querySelector(o.pagingPanel);
+    const button = panel && panel.querySelector(selector);
+    if (!button || button.classList.contains(o.disabledClass)) return false;
+    const before = pageInfo(o).current;
+    button.click();
+    return waitFor(() => pageInfo(o).current !== before, o);
+  }
+
+  /**
+   * Moves the grid to page `n` (1-based) with the paging buttons.
+   *
+   * @param {number} n
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {Promise<boolean>} false when the page could not be reached
+   */
+  async function goToPage(n, opts) {
+    const o = options(opts);
+    let info = pageInfo(o);
+    if (info.current === n) return true;
+    if (n < info.current && !(await clickPagingButton(o.firstPage, o))) return false;
+
+    info = pageInfo(o);
+    while (info.current < n) {
+      if (!(await clickPagingButton(o.nextPage, o))) return false;
+      info = pageInfo(o);
+    }
+    return info.current === n;
+  }
+
+  return { DEFAULTS, expandAllGroups, collectRows, revealRow, pageInfo, goToPage };
+});
@@ -0,0 +1,265 @@
+/**
+ * Hierarchy-aware workbook sheets for one intent tree:
+ *
+ *   Categories  one row per category: percentage, topic / intent / example
+ *               counts, link to its topics and to its block of intents
+ *   Topics      one row per topic, linked back to its category and on to
+ *               its intents
+ *   Intents     the usual intent columns, grouped with Excel outlines:
+ *               category row → topic rows → intent rows
+ *
+ * Category and topic rows in the Intents sheet leave the Intent column
+ * empty, so readers of the sheet (diffIntents, exportTrainingData) skip them.
+ */
+
+const { parsePercentage } = require('./intentDiff');
+const { exampleList } = require('./exportFormats');
+const { highlightRuns } = require('./phrases');
+const { KEY_PREFIX } = require('./infoFields');
+
+const HEADER_FILL = 'FF4472C4';
+const CATEGORY_FILL = 'FFD9E1F2';
+const TOPIC_FILL = 'FFEDF2F9';
+const PERCENT_FORMAT = '0.00"%"';
+const VOLUME_FORMAT = '#,##0';
+
+// Appended to the caller's intent columns on the outlined Intents sheet
+const HIERARCHY_COLUMNS = [
+  { header: 'Category Percentage', key: 'categoryPercentage', width: 20 },
+  { header: 'Topic Percentage', key: 'topicPercentage', width: 18 },
+  { header: 'Category Volume', key: 'categoryVolume', width: 17 },
+  { header: 'Topic Volume', key: 'topicVolume', width: 14 },
+];
+
+const CATEGORY_COLUMNS = [
+  { header: 'Category', key: 'name', width: 30 },
+  { header: 'Percentage', key: 'percentage', width: 12 },
+  { header: 'Est. Volume', key: 'volume', width: 12 },
+  { header: 'Topics', key: 'topics', width: 9 },
+  { header: 'Intents', key: 'intents', width: 9 },
+  { header: 'Intents with Examples', key: 'withExamples', width: 21 },
+  { header: 'Examples', key: 'examples', width: 11 },
+  { header: 'Collapsed Topics', key: 'collapsedTopics', width: 17 },
+];
+
+const TOPIC_COLUMNS = [
+  { header: 'Category', key: 'category', width: 30 },
+  { header: 'Topic', key: 'name', width: 35 },
+  { header: 'Percentage', key: 'percentage', width: 12 },
+  { header: 'Est. Volume', key: 'volume', width: 12 },
+  { header: 'Intents', key: 'intents', width: 9 },
+  { header: 'Intents with Examples', key: 'withExamples', width: 21 },
+  { header: 'Examples', key: 'examples', width: 11 },
+  { header: 'Collapsed', key: 'collapsed', width: 11 },
+];
+
+/**
+ * Regroups flat rows by category and topic, in first-seen order. Collapsed
+ * placeholder rows mark their topic collapsed instead of counting as intents.
+ *
+ * @param {Object[]} rows
+ * @returns {Object[]} categories with topics, intents and counts
+ */
+function summarise(rows) {
+  const categories = [];
+  const byCategory = new Map();
+
+  for (const row of rows) {
+    let category = byCategory.get(row.category);
+    if (!category) {
+      category = {
+        name: row.category,
+        percentage: row.categoryPercentage,
+        volume: row.categoryVolume,
+        topics: [],
+        byTopic: new Map(),
+        intents: 0,
+        withExamples: 0,
+        examples: 0,
+        collapsedTopics: 0,
+      };
+      byCategory.set(row.category, category);
+      categories.push(category);
+    }
+
+    let topic = category.byTopic.get(row.topic);
+    if (!topic) {
+      topic = {
+        category: row.category,
+        name: row.topic,
+        percentage: row.topicPercentage,
+        volume: row.topicVolume,
+        rows: [],
+        collapsed: false,
+        intents: 0,
+        withExamples: 0,
+        examples: 0,
+      };
+      category.byTopic.set(row.topic, topic);
+      category.topics.push(topic);
+    }
+
+    topic.rows.push(row);
+    if (row.collapsed) {
+      if (!topic.collapsed) category.collapsedTopics++;
+      topic.collapsed = true;
+      continue;
+    }
+
+    const examples = exampleList(row.examples).length;
+    topic.intents++;
+    topic.examples += examples;
+    if (examples > 0) topic.withExamples++;
+    category.intents++;
+    category.examples += examples;
+    if (examples > 0) category.withExamples++;
+  }
+
+  for (const category of categories) delete category.byTopic;
+  return categories;
+}
+
+function styleHeader(sheet) {
+  const headerRow = sheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: HEADER_FILL } };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+function fillRow(excelRow, columnCount, argb) {
+  for (let c = 1; c <= columnCount; c++) {
+    excelRow.getCell(c).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb } };
+  }
+}
+
+/** Internal hyperlink to a cell on another sheet. */
+function link(text, sheetName, cellRef) {
+  return { text: String(text), hyperlink: `#'${sheetName.replace(/'/g, "''")}'!${cellRef}` };
+}
+
+function percentValue(value) {
+  const num = parsePercentage(value);
+  return num === null ? value || '' : num;
+}
+
+/**
+ * Wraps the multi-line cells of an intent row and, when CXOne highlighted
+ * words in its examples (lib/phrases.js), shows them bold in the Examples
+ * cell. Info fields (lib/infoFields.js) wrap when their value has several
+ * lines. Shared with the scrapers' flat intent sheets.
+ */
+function formatIntentRow(excelRow, row) {
+  const sheet = excelRow.worksheet;
+  const multiLine = Object.keys(row.info || {})
+    .filter((header) => String(row.info[header]).includes('\n'))
+    .map((header) => KEY_PREFIX + header);
+  for (const key of ['examples', 'highlights', ...multiLine]) {
+    if (sheet.getColumnKey(key)) excelRow.getCell(key).alignment = { wrapText: true, vertical: 'top' };
+  }
+  const runs = highlightRuns(row.exampleRecords);
+  if (runs && sheet.getColumnKey('examples')) {
+    excelRow.getCell('examples').value = {
+      richText: runs.map((run) => (run.bold ? { text: run.text, font: { bold: true } } : { text: run.text })),
+    };
+  }
+}
+
+/**
+ * Adds Categories, Topics and Intents sheets (in that order) for one tree.
+ *
+ * @param {import('exceljs').Workbook} workbook
+ * @param {Object[]} rows                  flat intent rows
+ * @param {{columns: Object[], names?: {categories?: string, topics?: string, intents?: string}}} opts
+ *   columns: the intent columns of the Intents sheet (Category, Topic,
+ *   Intent, ...); category/topic percentage columns are appended
+ */
+function addHierarchySheets(workbook, rows, opts) {
+  const names = { categories: 'Categories', topics: 'Topics', intents: 'Intents', ...opts.names };
+  const categories = summarise(rows);
+
+  const categorySheet = workbook.addWorksheet(names.categories);
+  const topicSheet = workbook.addWorksheet(names.topics);
+  const intentSheet = workbook.addWorksheet(names.intents, {
+    properties: { outlineProperties: { summaryBelow: false } },
+  });
+  categorySheet.columns = CATEGORY_COLUMNS;
+  topicSheet.columns = TOPIC_COLUMNS;
+  intentSheet.columns = [...opts.columns, ...HIERARCHY_COLUMNS];
+
+  // Row numbers are known up front: one sheet row per category / topic, and
+  // on the Intents sheet a category row, then per topic a row plus its rows
+  let topicRowNumber = 2;
+  let intentRowNumber = 2;
+  for (const category of categories) {
+    category.topicRow = topicRowNumber;
+    category.intentRow = intentRowNumber++;
+    for (const topic of category.topics) {
+      topic.topicRow = topicRowNumber++;
+      topic.intentRow = intentRowNumber;
+      intentRowNumber += 1 + topic.rows.length;
+    }
+  }
+
+  categories.forEach((category, ci) => {
+    const categoryRowNumber = ci + 2;
+
+    categorySheet.addRow({
+      ...category,
+      name: link(category.name, names.intents, `A${category.intentRow}`),
+      percentage: percentValue(category.percentage),
+      topics: category.topics.length > 0
+        ? link(category.topics.length, names.topics, `B${category.topicRow}`)
+        : 0,
+    });
+
+    const categoryRow = intentSheet.addRow({
+      category: link(category.name, names.categories, `A${categoryRowNumber}`),
+      categoryPercentage: category.percentage,
+      categoryVolume: category.volume,
+    });
+    categoryRow.font = { bold: true };
+    fillRow(categoryRow, intentSheet.columns.length, CATEGORY_FILL);
+
+    for (const topic of category.topics) {
+      topicSheet.addRow({
+        ...topic,
+        category: link(topic.category, names.categories, `A${categoryRowNumber}`),
+        name: link(topic.name, names.intents, `B${topic.intentRow}`),
+        percentage: percentValue(topic.percentage),
+        collapsed: topic.collapsed ? 'Yes' : '',
+      });
+
+      const topicRow = intentSheet.addRow({
+        topic: link(topic.name, names.topics, `B${topic.topicRow}`),
+        topicPercentage: topic.percentage,
+        topicVolume: topic.volume,
+      });
+      topicRow.outlineLevel = 1;
+      topicRow.font = { bold: true };
+      fillRow(topicRow, intentSheet.columns.length, TOPIC_FILL);
+
+      for (const row of topic.rows) {
+        const excelRow = intentSheet.addRow(row);
+        excelRow.outlineLevel = 2;
+        formatIntentRow(excelRow, row);
+      }
+    }
+  });
+
+  for (const sheet of [categorySheet, topicSheet]) {
+    sheet.getColumn('percentage').numFmt = PERCENT_FORMAT;
+    sheet.getColumn('volume').numFmt = VOLUME_FORMAT;
+  }
+  for (const sheet of [categorySheet, topicSheet, intentSheet]) {
+    styleHeader(sheet);
+    sheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: sheet.rowCount, column: sheet.columns.length },
+    };
+  }
+
+  return { categories, sheets: { categorySheet, topicSheet, intentSheet } };
+}
+
+module.exports = { HIERARCHY_COLUMNS, summarise, formatIntentRow, addHierarchySheets };
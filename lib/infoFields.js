@@ -0,0 +1,95 @@
+/**
+ * Detail-panel info items as export fields.
+ *
+ * item-info-panel lists `.info-item`s, each a `.sub-title` and an
+ * `.item-value` (lib/phrases.js readInfoFields). Volume, examples and
+ * active status have columns of their own (lib/phrases.js builtInTitle
+ * decides which titles those are); every other item (Description,
+ * Created, Modified, Owner, Keywords, ...) becomes a field headed by its
+ * title, so the export shows whatever the panel shows. Per run, titles can
+ * be renamed or dropped:
+ *
+ *   { rename: { 'Created On': 'Created' }, drop: ['Keywords'] }
+ *
+ * Titles match ignoring case, spacing and a trailing colon. Renaming a
+ * built-in title (Volume, Active, ...) gives it a field as well.
+ *
+ * Rows keep the fields in `info` (header → value, in panel order). In
+ * workbooks each header is a column, keyed `info:<header>`, after the fixed
+ * columns; columns follow the order the headers first appear in.
+ */
+
+const { cleanText, titleKey, builtInTitle } = require('./phrases');
+
+// Column key prefix, so a field never collides with a fixed column
+const KEY_PREFIX = 'info:';
+
+const MIN_WIDTH = 12;
+const MAX_WIDTH = 50;
+
+/**
+ * Fields of one panel, renamed and filtered. A header repeated in the panel
+ * (ignoring case) gets " (2)", " (3)", ... on its later occurrences.
+ *
+ * @param {{title: string, value: string}[]} fields  readInfoFields() output
+ * @param {{rename?: Object<string, string>, drop?: string[]}} [opts]
+ * @returns {Object<string, string>} header → value
+ */
+function collectFields(fields, opts = {}) {
+  const rename = new Map(Object.entries(opts.rename || {}).map(([title, header]) => [titleKey(title), cleanText(header)]));
+  const drop = new Set((opts.drop || []).map(titleKey));
+
+  const out = {};
+  const used = new Set();
+  for (const field of fields || []) {
+    const key = titleKey(field.title);
+    if (!key || drop.has(key)) continue;
+    const renamed = rename.get(key);
+    if (!renamed && builtInTitle(field.title)) continue;
+
+    const base = renamed || cleanText(field.title).replace(/\s*:$/, '');
+    let header = base;
+    for (let n = 2; used.has(titleKey(header)); n++) header = `${base} (${n})`;
+    used.add(titleKey(header));
+    out[header] = field.value === undefined || field.value === null ? '' : String(field.value);
+  }
+  return out;
+}
+
+/**
+ * exceljs column definitions for the fields of `rows`, widths fitted to
+ * the longest header or value line.
+ *
+ * @param {Object[]} rows  rows with `info`
+ * @returns {{header: string, key: string, width: number}[]}
+ */
+function fieldColumns(rows) {
+  const widths = new Map();
+  for (const row of rows) {
+    for (const [header, value] of Object.entries(row.info || {})) {
+      const longest = Math.max(header.length, ...String(value).split('\n').map((line) => line.length));
+      widths.set(header, Math.max(widths.get(header) || 0, longest + 2));
+    }
+  }
+  return [...widths].map(([header, width]) => ({
+    header,
+    key: KEY_PREFIX + header,
+    width: Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, width)),
+  }));
+}
+
+/** The row with its fields under their column keys, for sheet.addRow. */
+function withFieldKeys(row) {
+  if (!row.info) return row;
+  const out = { ...row };
+  for (const [header, value] of Object.entries(row.info)) out[KEY_PREFIX + header] = value;
+  return out;
+}
+
+module.exports = {
+  KEY_PREFIX,
+  titleKey,
+  collectFields,
+  fieldColumns,
+  withFieldKeys,
+};
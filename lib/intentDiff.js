@@ -0,0 +1,273 @@
+/**
+ * Compares two intent exports (flat rows: category, topic, intent,
+ * intentPercentage, examples) and classifies every intent as
+ *
+ *   unchanged – same path, same percentage and examples
+ *   modified  – same path, percentage and/or examples changed
+ *   moved     – same intent name under a different category/topic
+ *   renamed   – different name, recognised by its examples (or, without
+ *               examples, by a similar name in the same topic)
+ *   added / removed – everything left over
+ *
+ * Matching runs in that order and every intent is matched at most once.
+ * Before any of it, intents with the same intentId on both sides are
+ * paired, and classified by how their path and name differ.
+ */
+
+const { COLLAPSED_INTENT } = require('./intentTree');
+
+const DEFAULTS = {
+  // Minimum example-set Jaccard similarity to call two intents a rename
+  renameExampleThreshold: 0.6,
+  // Minimum name-token Jaccard similarity for renames without examples
+  renameNameThreshold: 0.5,
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Normalisation
+// ─────────────────────────────────────────────────────────────────────────────
+
+function parsePercentage(value) {
+  if (typeof value === 'number') return value;
+  const num = parseFloat(String(value || '').replace('%', ''));
+  return isNaN(num) ? null : num;
+}
+
+function splitExamples(examples) {
+  if (Array.isArray(examples)) return examples.map((e) => String(e).trim()).filter(Boolean);
+  return String(examples || '')
+    .split('\n')
+    .map((e) => e.trim())
+    .filter(Boolean);
+}
+
+function toIntent(row) {
+  return {
+    category: row.category || '',
+    topic: row.topic || '',
+    intent: row.intent || '',
+    intentId: row.intentId || '',
+    percentage: parsePercentage(row.intentPercentage),
+    examples: splitExamples(row.examples),
+  };
+}
+
+function pathKey(item) {
+  return `${item.category}|${item.topic}|${item.intent}`;
+}
+
+function describe(item) {
+  return {
+    category: item.category,
+    topic: item.topic,
+    intent: item.intent,
+    percentage: item.percentage,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Similarity
+// ─────────────────────────────────────────────────────────────────────────────
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function nameTokens(name) {
+  return new Set(name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+}
+
+function exampleSet(item) {
+  return new Set(item.examples.map((e) => e.toLowerCase()));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Diff
+// ─────────────────────────────────────────────────────────────────────────────
+
+function compareDetails(before, after) {
+  const beforeSet = new Set(before.examples);
+  const afterSet = new Set(after.examples);
+  const delta = before.percentage !== null && after.percentage !== null
+    ? Math.round((after.percentage - before.percentage) * 100) / 100
+    : null;
+
+  return {
+    percentageDelta: delta,
+    examplesAdded: after.examples.filter((e) => !beforeSet.has(e)),
+    examplesRemoved: before.examples.filter((e) => !afterSet.has(e)),
+  };
+}
+
+function makeChange(type, before, after) {
+  const change = {
+    type,
+    before: before ? describe(before) : null,
+    after: after ? describe(after) : null,
+    percentageDelta: null,
+    examplesAdded: [],
+    examplesRemoved: [],
+  };
+  if (before && after) {
+    Object.assign(change, compareDetails(before, after));
+  } else if (after) {
+    change.examplesAdded = after.examples.slice();
+  } else if (before) {
+    change.examplesRemoved = before.examples.slice();
+  }
+  return change;
+}
+
+function hasDetailChanges(change) {
+  return (change.percentageDelta !== null && change.percentageDelta !== 0) ||
+    change.examplesAdded.length > 0 ||
+    change.examplesRemoved.length > 0;
+}
+
+/** Change for two intents known to be the same one (same intentId). */
+function pairedChange(before, after) {
+  if (pathKey(before) === pathKey(after)) {
+    const change = makeChange('unchanged', before, after);
+    if (hasDetailChanges(change)) change.type = 'modified';
+    return change;
+  }
+  if (before.intent === after.intent) return makeChange('moved', before, after);
+  const change = makeChange('renamed', before, after);
+  change.moved = before.category !== after.category || before.topic !== after.topic;
+  return change;
+}
+
+/**
+ * Greedy best-first pairing of the remaining intents by `score`.
+ * Pairs scoring below `threshold` are left unmatched.
+ */
+function pairBy(removed, added, score, threshold) {
+  const candidates = [];
+  removed.forEach((b, i) => {
+    added.forEach((a, j) => {
+      const s = score(b, a);
+      if (s >= threshold) candidates.push({ i, j, s });
+    });
+  });
+  candidates.sort((x, y) => y.s - x.s);
+
+  const usedB = new Set();
+  const usedA = new Set();
+  const pairs = [];
+  for (const c of candidates) {
+    if (usedB.has(c.i) || usedA.has(c.j)) continue;
+    usedB.add(c.i);
+    usedA.add(c.j);
+    pairs.push([removed[c.i], added[c.j]]);
+  }
+  return {
+    pairs,
+    removed: removed.filter((_, i) => !usedB.has(i)),
+    added: added.filter((_, j) => !usedA.has(j)),
+  };
+}
+
+/**
+ * @param {Object[]} beforeRows
+ * @param {Object[]} afterRows
+ * @param {Partial<typeof DEFAULTS>} [opts]
+ * @returns {{summary: Object, changes: Object[]}}
+ */
+function diffIntents(beforeRows, afterRows, opts = {}) {
+  const options = { ...DEFAULTS, ...opts };
+  const keep = (row) => row.intent && row.intent !== COLLAPSED_INTENT && !row.collapsed;
+  const before = beforeRows.filter(keep).map(toIntent);
+  const after = afterRows.filter(keep).map(toIntent);
+
+  const changes = [];
+
+  // 0. Same intentId, when both sides have one
+  const afterById = new Map();
+  for (const a of after) {
+    if (a.intentId && !afterById.has(a.intentId)) afterById.set(a.intentId, a);
+  }
+  const matchedAfter = new Set();
+  const unpaired = [];
+  for (const b of before) {
+    const a = b.intentId ? afterById.get(b.intentId) : null;
+    if (a && !matchedAfter.has(a)) {
+      matchedAfter.add(a);
+      changes.push(pairedChange(b, a));
+    } else {
+      unpaired.push(b);
+    }
+  }
+
+  // 1. Same path
+  const afterByPath = new Map(after.filter((a) => !matchedAfter.has(a)).map((item) => [pathKey(item), item]));
+  let removed = [];
+  for (const b of unpaired) {
+    const a = afterByPath.get(pathKey(b));
+    if (a && !matchedAfter.has(a)) {
+      matchedAfter.add(a);
+      changes.push(pairedChange(b, a));
+    } else {
+      removed.push(b);
+    }
+  }
+  let added = after.filter((a) => !matchedAfter.has(a));
+
+  // 2. Same name, new category/topic — only when the name is unambiguous
+  const countNames = (items) => items.reduce((m, x) => m.set(x.intent, (m.get(x.intent) || 0) + 1), new Map());
+  const removedNames = countNames(removed);
+  const addedNames = countNames(added);
+  const moved = pairBy(
+    removed,
+    added,
+    (b, a) => (b.intent === a.intent && removedNames.get(b.intent) === 1 && addedNames.get(a.intent) === 1 ? 1 : 0),
+    1
+  );
+  for (const [b, a] of moved.pairs) changes.push(makeChange('moved', b, a));
+  removed = moved.removed;
+  added = moved.added;
+
+  // 3a. Renamed, recognised by examples (may also have moved)
+  const byExamples = pairBy(
+    removed,
+    added,
+    (b, a) => jaccard(exampleSet(b), exampleSet(a)),
+    options.renameExampleThreshold
+  );
+  // 3b. Renamed without examples: similar name within the same topic
+  const byName = pairBy(
+    byExamples.removed,
+    byExamples.added,
+    (b, a) => (b.category === a.category && b.topic === a.topic
+      ? jaccard(nameTokens(b.intent), nameTokens(a.intent))
+      : 0),
+    options.renameNameThreshold
+  );
+  for (const [b, a] of [...byExamples.pairs, ...byName.pairs]) {
+    const change = makeChange('renamed', b, a);
+    change.moved = b.category !== a.category || b.topic !== a.topic;
+    changes.push(change);
+  }
+
+  // 4. Leftovers
+  for (const b of byName.removed) changes.push(makeChange('removed', b, null));
+  for (const a of byName.added) changes.push(makeChange('added', null, a));
+
+  const summary = {
+    before: before.length,
+    after: after.length,
+    added: 0,
+    removed: 0,
+    renamed: 0,
+    moved: 0,
+    modified: 0,
+    unchanged: 0,
+  };
+  for (const change of changes) summary[change.type]++;
+
+  return { summary, changes };
+}
+
+module.exports = { DEFAULTS, parsePercentage, splitExamples, diffIntents };
@@ -0,0 +1,294 @@
+/**
+ * Finds intents that compete for the same utterances, from their example
+ * phrases alone (everything runs locally, no model):
+ *
+ *   duplicates  the same phrase (case, punctuation and spacing ignored)
+ *               listed under more than one intent
+ *   similarity  cosine similarity of TF-IDF vectors built from each
+ *               intent's examples: word 1..wordNgrams-grams plus character
+ *               charNgrams-grams, so "cancel my order" and "cancelling
+ *               orders" still overlap
+ *
+ * Pairs at or above `threshold` are ranked into confusable pairs; every
+ * topic with two or more intents also gets a full similarity matrix.
+ */
+
+const { COLLAPSED_INTENT } = require('./intentTree');
+const { splitExamples } = require('./intentDiff');
+const { normaliseKey } = require('./phrases');
+
+const DEFAULTS = {
+  // Word n-gram sizes 1..wordNgrams
+  wordNgrams: 2,
+  // Character n-gram size (within words); 0 turns them off
+  charNgrams: 3,
+  // Minimum cosine similarity for a confusable pair
+  threshold: 0.3,
+  // At or above this similarity, or with this share of the smaller
+  // intent's examples duplicated, a pair is suggested for merging
+  mergeThreshold: 0.8,
+  mergeDuplicateShare: 0.5,
+  // Confusable pairs kept (0: all)
+  limit: 0,
+  // Terms listed per pair as the strongest overlap
+  topTerms: 5,
+};
+
+const SUGGESTIONS = {
+  merge: 'Merge, or move the shared examples to one intent',
+  review: 'Review the overlapping examples',
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Intents and phrases
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * "Cancel my order!" → "cancel my order" (key for duplicate detection): the
+ * scrapers' dedupe key, lib/phrases.js normaliseKey.
+ */
+const normalisePhrase = normaliseKey;
+
+/**
+ * Intents with at least one example, in row order. Collapsed placeholders
+ * and repeated rows of the same path are skipped.
+ *
+ * @param {Object[]} rows  flat rows (examples newline-joined or arrays)
+ * @returns {{index: number, category: string, topic: string, intent: string, label: string, examples: string[]}[]}
+ */
+function collectIntents(rows) {
+  const intents = [];
+  const seen = new Set();
+  for (const row of rows) {
+    if (!row.intent || row.intent === COLLAPSED_INTENT || row.collapsed) continue;
+    const examples = splitExamples(row.examples);
+    if (examples.length === 0) continue;
+    const category = String(row.category || '').trim();
+    const topic = String(row.topic || '').trim();
+    const intent = String(row.intent).trim();
+    const label = [category, topic, intent].join(' > ');
+    if (seen.has(label)) continue;
+    seen.add(label);
+    intents.push({ index: intents.length, category, topic, intent, label, examples });
+  }
+  return intents;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TF-IDF vectors
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Term counts of one phrase: "w:" word n-grams and "c:" character n-grams. */
+function phraseTerms(phrase, opts, counts) {
+  const words = normalisePhrase(phrase).split(' ').filter(Boolean);
+  for (let n = 1; n <= opts.wordNgrams; n++) {
+    for (let i = 0; i + n <= words.length; i++) {
+      const term = 'w:' + words.slice(i, i + n).join(' ');
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+  }
+  if (opts.charNgrams > 0) {
+    for (const word of words) {
+      const padded = ` ${word} `;
+      for (let i = 0; i + opts.charNgrams <= padded.length; i++) {
+        const term = 'c:' + padded.slice(i, i + opts.charNgrams);
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * One L2-normalised TF-IDF vector (Map term → weight) per intent, with
+ * sublinear term frequency and smoothed IDF over the intents.
+ */
+function tfidfVectors(intents, opts) {
+  const counts = intents.map((item) => {
+    const terms = new Map();
+    for (const example of item.examples) phraseTerms(example, opts, terms);
+    return terms;
+  });
+
+  const df = new Map();
+  for (const terms of counts) {
+    for (const term of terms.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const n = intents.length;
+
+  return counts.map((terms) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of terms) {
+      const weight = (1 + Math.log(count)) * (Math.log((1 + n) / (1 + df.get(term))) + 1);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (const [term, weight] of vector) vector.set(term, weight / norm);
+    return vector;
+  });
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  }
+  return dot;
+}
+
+/** Word terms contributing most to the similarity of two vectors. */
+function sharedTerms(a, b, count) {
+  const shared = [];
+  for (const [term, weight] of a) {
+    if (!term.startsWith('w:') || !b.has(term)) continue;
+    shared.push({ term: term.slice(2), weight: weight * b.get(term) });
+  }
+  return shared
+    .sort((x, y) => y.weight - x.weight)
+    .slice(0, count)
+    .map((t) => t.term);
+}
+
+function round(num) {
+  return Math.round(num * 1000) / 1000;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Analysis
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Phrases listed under more than one intent, most widely shared first.
+ *
+ * @returns {{phrase: string, intents: string[], examples: string[]}[]}
+ *   phrase: normalised; examples: the phrase as written under each intent
+ */
+function findDuplicates(intents) {
+  const byPhrase = new Map();
+  for (const item of intents) {
+    for (const example of item.examples) {
+      const key = normalisePhrase(example);
+      if (!key) continue;
+      let entry = byPhrase.get(key);
+      if (!entry) {
+        entry = { phrase: key, intents: [], examples: [] };
+        byPhrase.set(key, entry);
+      }
+      if (entry.intents.includes(item.label)) continue;
+      entry.intents.push(item.label);
+      entry.examples.push(example);
+    }
+  }
+  return [...byPhrase.values()]
+    .filter((entry) => entry.intents.length > 1)
+    .sort((a, b) => b.intents.length - a.intents.length || a.phrase.localeCompare(b.phrase));
+}
+
+/**
+ * @param {Object[]} rows  flat intent rows with examples
+ * @param {Partial<typeof DEFAULTS>} [opts]
+ * @returns {{
+ *   duplicates: Object[],
+ *   pairs: {a: Object, b: Object, similarity: number, duplicates: number,
+ *           duplicateShare: number, sameTopic: boolean, terms: string[],
+ *           suggestion: string}[],
+ *   topics: {category: string, topic: string, intents: string[], matrix: number[][]}[],
+ *   summary: Object
+ * }}
+ */
+function analyseIntents(rows, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const intents = collectIntents(rows);
+  const vectors = tfidfVectors(intents, o);
+  const duplicates = findDuplicates(intents);
+
+  // Duplicate phrase count per intent pair
+  const sharedCounts = new Map();
+  const indexByLabel = new Map(intents.map((item) => [item.label, item.index]));
+  for (const entry of duplicates) {
+    const indexes = entry.intents.map((label) => indexByLabel.get(label));
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const key = Math.min(indexes[i], indexes[j]) + ':' + Math.max(indexes[i], indexes[j]);
+        sharedCounts.set(key, (sharedCounts.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const pairs = [];
+  for (let i = 0; i < intents.length; i++) {
+    for (let j = i + 1; j < intents.length; j++) {
+      const similarity = cosine(vectors[i], vectors[j]);
+      const shared = sharedCounts.get(i + ':' + j) || 0;
+      if (similarity < o.threshold && shared === 0) continue;
+
+      const a = intents[i];
+      const b = intents[j];
+      const duplicateShare = shared / Math.min(a.examples.length, b.examples.length);
+      const merge = similarity >= o.mergeThreshold || duplicateShare >= o.mergeDuplicateShare;
+      pairs.push({
+        a: { category: a.category, topic: a.topic, intent: a.intent },
+        b: { category: b.category, topic: b.topic, intent: b.intent },
+        similarity: round(similarity),
+        duplicates: shared,
+        duplicateShare: round(duplicateShare),
+        sameTopic: a.category === b.category && a.topic === b.topic,
+        terms: sharedTerms(vectors[i], vectors[j], o.topTerms),
+        suggestion: merge ? SUGGESTIONS.merge : SUGGESTIONS.review,
+      });
+    }
+  }
+  pairs.sort((x, y) => y.similarity - x.similarity || y.duplicates - x.duplicates);
+  const ranked = o.limit > 0 ? pairs.slice(0, o.limit) : pairs;
+
+  // Per-topic matrices, topics in row order
+  const topics = [];
+  const byTopic = new Map();
+  for (const item of intents) {
+    const key = item.category + '\u0000' + item.topic;
+    let topic = byTopic.get(key);
+    if (!topic) {
+      topic = { category: item.category, topic: item.topic, members: [] };
+      byTopic.set(key, topic);
+      topics.push(topic);
+    }
+    topic.members.push(item.index);
+  }
+  const matrices = topics
+    .filter((topic) => topic.members.length > 1)
+    .map((topic) => ({
+      category: topic.category,
+      topic: topic.topic,
+      intents: topic.members.map((i) => intents[i].intent),
+      matrix: topic.members.map((i) => topic.members.map((j) => (i === j ? 1 : round(cosine(vectors[i], vectors[j]))))),
+    }));
+
+  return {
+    duplicates,
+    pairs: ranked,
+    topics: matrices,
+    summary: {
+      intents: intents.length,
+      examples: intents.reduce((sum, item) => sum + item.examples.length, 0),
+      duplicatePhrases: duplicates.length,
+      confusablePairs: pairs.length,
+      mergeCandidates: pairs.filter((p) => p.suggestion === SUGGESTIONS.merge).length,
+      topicsCompared: matrices.length,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  SUGGESTIONS,
+  normalisePhrase,
+  collectIntents,
+  tfidfVectors,
+  cosine,
+  findDuplicates,
+  analyseIntents,
+};
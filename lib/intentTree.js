@@ -0,0 +1,547 @@
+/**
+ * ============================================================================
+ *  CXOne Intent Tree — shared Category > Topic > Intent extraction
+ * ============================================================================
+ *
+ *  The Intent Builder kanban view renders one `.kanban-tree-node` per tree
+ *  node, in document order, tagged `node-level-1` (Category), `node-level-2`
+ *  (Topic) or `node-level-3` (Intent). Every scraper walks that list the same
+ *  way, so the walk lives here once.
+ *
+ *  The hierarchy-grid (ag-grid) view shows the same tree as `.ag-row` rows
+ *  tagged `ag-row-level-0/1/2`; extractGridTree() reads it into the same
+ *  shape, and compareTrees() cross-checks the two views.
+ *
+ *  The module is DOM-agnostic: callers pass the node list plus an adapter
+ *  that knows how to read a class name and a child's text. Adapters are
+ *  provided for cheerio (saved HTML) and the live DOM (browser / puppeteer).
+ *
+ *  Loads as CommonJS under Node and as the `CXOneIntentTree` global when
+ *  evaluated in a page, so the browser console scripts and
+ *  `page.evaluate()` share exactly the same code.
+ * ============================================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CXOneIntentTree = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SELECTORS = {
+    node: '.kanban-tree-node',
+    name: '.kanban-tree-node-name',
+    percentage: '.kanban-tree-node-statistics .percentage',
+    tag: '.new-item-label',
+    // hierarchy-grid (ag-grid) view; only the centre container holds names
+    gridRow: 'hierarchy-grid .ag-center-cols-container .ag-row',
+    gridName: '.ag-group-value .intent-name',
+    gridPercentage: '[col-id="percentage"]',
+    gridChildCount: '.ag-group-child-count',
+  };
+
+  // Attributes CXOne may render with an internal node ID, in priority order.
+  // (Plain `id` is left out: Angular generates those per page load.)
+  const ID_ATTRIBUTES = ['data-intent-id', 'data-node-id', 'data-id'];
+
+  const LEVEL_PATTERN = /\bnode-level-([123])\b/;
+  const GRID_LEVEL_PATTERN = /\bag-row-level-([012])\b/;
+  const GRID_CONTRACTED_CLASS = /\bag-row-group-contracted\b/;
+  const DEFAULT_PERCENTAGE = '0%';
+  const COLLAPSED_INTENT = '(collapsed - expand topic in CXOne to capture intents)';
+
+  /**
+   * @typedef {Object} IntentNode
+   * @property {string} id          stable ID: the node's own ID attribute, or
+   *                                a category/topic/intent slug path
+   * @property {number[]} path      [category, topic, intent] position in the tree
+   * @property {string} name
+   * @property {string} percentage  e.g. "1.48%"
+   * @property {boolean} [percentageMissing]  no percentage element: "0%" was filled in
+   * @property {string} tag         `.new-item-label` text, '' when absent
+   * @property {*} [el]             source element (only with keepElements)
+   * @property {number} [rowIndex]  grid only: the row's ag-grid `row-index`
+   *
+   * @typedef {Object} TopicNode
+   * @property {string} name
+   * @property {string} percentage
+   * @property {boolean} [percentageMissing]
+   * @property {boolean} collapsed  true when no intents were rendered
+   * @property {number|null} [childCount]  intents the grid says it has
+   * @property {IntentNode[]} intents
+   *
+   * @typedef {Object} CategoryNode
+   * @property {string} name
+   * @property {string} percentage
+   * @property {boolean} [percentageMissing]
+   * @property {boolean} [collapsed]  grid only: contracted, no topics rendered
+   * @property {number|null} [childCount]  topics the grid says it has
+   * @property {TopicNode[]} topics
+   *
+   * @typedef {Object} IntentTree
+   * @property {CategoryNode[]} categories
+   *
+   * @typedef {Object} NodeAdapter
+   * @property {function(*): string} className        class attribute of a node
+   * @property {function(*, string): string} text     trimmed text of the first match
+   * @property {function(*, string): string} attr     attribute of the node, '' if absent
+   */
+
+  // ── Adapters ───────────────────────────────────────────────────────────
+
+  /** Adapter for live DOM elements (browser console / page.evaluate). */
+  const domAdapter = {
+    className(el) {
+      return typeof el.className === 'string' ? el.className : (el.getAttribute('class') || '');
+    },
+    text(el, selector) {
+      const found = el.querySelector(selector);
+      return found ? found.textContent.trim() : '';
+    },
+    attr(el, name) {
+      return el.getAttribute(name) || '';
+    },
+  };
+
+  /** Adapter for cheerio elements; `$` is the loaded cheerio document. */
+  function cheerioAdapter($) {
+    return {
+      className(el) {
+        return $(el).attr('class') || '';
+      },
+      text(el, selector) {
+        return $(el).find(selector).first().text().trim();
+      },
+      attr(el, name) {
+        return $(el).attr(name) || '';
+      },
+    };
+  }
+
+  // ── Extraction ─────────────────────────────────────────────────────────
+
+  /** Returns 1, 2 or 3 for a kanban node, or 0 when it carries no level. */
+  function nodeLevel(adapter, el) {
+    const match = adapter.className(el).match(LEVEL_PATTERN);
+    return match ? Number(match[1]) : 0;
+  }
+
+  /** "Café & Bar" → "cafe-bar": accents dropped, other runs of non-alphanumerics "-". */
+  function slug(text) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  function nodeId(adapter, el) {
+    for (const name of ID_ATTRIBUTES) {
+      const value = adapter.attr(el, name);
+      if (value) return value;
+    }
+    return '';
+  }
+
+  /**
+   * Node percentage text, "0%" when the element is missing or empty. The
+   * node is flagged `percentageMissing` so validation can tell a filled-in
+   * default from a real 0%.
+   */
+  function withPercentage(node, text) {
+    node.percentage = text || DEFAULT_PERCENTAGE;
+    if (!text) node.percentageMissing = true;
+    return node;
+  }
+
+  /**
+   * Gives every intent its tree position and a stable ID. Slug IDs can
+   * repeat anywhere in the tree ("Billing & Payments" and "Billing /
+   * Payments" both slug to billing-payments, names without Latin letters to
+   * ""), so later repeats get a ~2, ~3 suffix in document order.
+   */
+  function assignIds(categories) {
+    const seen = new Map();
+    categories.forEach((category, ci) => {
+      category.topics.forEach((topic, ti) => {
+        topic.intents.forEach((intent, ii) => {
+          intent.path = [ci, ti, ii];
+          if (intent.id) return;
+          const base = [slug(category.name), slug(topic.name), slug(intent.name)].join('/');
+          const count = (seen.get(base) || 0) + 1;
+          seen.set(base, count);
+          intent.id = count > 1 ? base + '~' + count : base;
+        });
+      });
+    });
+  }
+
+  /** SELECTORS with any caller overrides (opts.selectors) applied. */
+  function resolveSelectors(opts) {
+    return Object.assign({}, SELECTORS, opts && opts.selectors);
+  }
+
+  /**
+   * Walks a document-ordered list of `.kanban-tree-node` elements and builds
+   * the nested hierarchy. Intents or topics that appear before any parent are
+   * attached to an unnamed parent so nothing is dropped.
+   *
+   * @param {ArrayLike<*>} nodes
+   * @param {NodeAdapter} adapter
+   * @param {{keepElements?: boolean, selectors?: Object}} [opts]
+   * @returns {IntentTree}
+   */
+  function extractIntentTree(nodes, adapter, opts) {
+    const keepElements = !!(opts && opts.keepElements);
+    const sel = resolveSelectors(opts);
+    const categories = [];
+    let category = null;
+    let topic = null;
+
+    function ensureCategory() {
+      if (!category) {
+        category = { name: '', percentage: DEFAULT_PERCENTAGE, topics: [] };
+        categories.push(category);
+      }
+      return category;
+    }
+
+    function ensureTopic() {
+      if (!topic) {
+        topic = { name: '', percentage: DEFAULT_PERCENTAGE, collapsed: true, intents: [] };
+        ensureCategory().topics.push(topic);
+      }
+      return topic;
+    }
+
+    for (let i = 0; i < nodes.length; i++) {
+      const el = nodes[i];
+      const level = nodeLevel(adapter, el);
+      if (level === 0) continue;
+
+      const name = adapter.text(el, sel.name);
+      const percentage = adapter.text(el, sel.percentage);
+
+      if (level === 1) {
+        category = withPercentage({ name, topics: [] }, percentage);
+        categories.push(category);
+        topic = null;
+      } else if (level === 2) {
+        topic = withPercentage({ name, collapsed: true, intents: [] }, percentage);
+        ensureCategory().topics.push(topic);
+      } else {
+        const intent = withPercentage({ id: nodeId(adapter, el), path: null, name, tag: adapter.text(el, sel.tag) }, percentage);
+        if (keepElements) intent.el = el;
+        const parent = ensureTopic();
+        parent.collapsed = false;
+        parent.intents.push(intent);
+      }
+    }
+
+    assignIds(categories);
+    return { categories };
+  }
+
+  /** Returns 1, 2 or 3 for a grid row (ag-row-level-0/1/2), else 0. */
+  function gridLevel(adapter, el) {
+    const match = adapter.className(el).match(GRID_LEVEL_PATTERN);
+    return match ? Number(match[1]) + 1 : 0;
+  }
+
+  /** "(12)" → 12; null when the grid shows no count. */
+  function parseChildCount(text) {
+    const match = String(text || '').match(/\d+/);
+    return match ? Number(match[0]) : null;
+  }
+
+  /**
+   * Builds the hierarchy from hierarchy-grid rows. ag-grid renders rows out
+   * of document order, so they are sorted by `row-index` first. Contracted
+   * group rows have no children in the DOM: contracted categories are
+   * flagged `collapsed`, contracted topics stay `collapsed` as in the kanban
+   * walk. `ag-group-child-count` is kept as `childCount` for the cross-check.
+   *
+   * @param {ArrayLike<*>} rows
+   * @param {NodeAdapter} adapter
+   * @param {{keepElements?: boolean, selectors?: Object}} [opts]
+   * @returns {IntentTree}
+   */
+  function extractGridTree(rows, adapter, opts) {
+    const keepElements = !!(opts && opts.keepElements);
+    const sel = resolveSelectors(opts);
+    const ordered = Array.prototype.slice.call(rows)
+      .map((el, i) => ({ el, index: Number(adapter.attr(el, 'row-index')), i }))
+      .sort((a, b) => (isNaN(a.index) || isNaN(b.index) ? a.i - b.i : a.index - b.index));
+
+    const categories = [];
+    let category = null;
+    let topic = null;
+
+    function ensureCategory() {
+      if (!category) {
+        category = { name: '', percentage: DEFAULT_PERCENTAGE, collapsed: false, childCount: null, topics: [] };
+        categories.push(category);
+      }
+      return category;
+    }
+
+    function ensureTopic() {
+      if (!topic) {
+        topic = { name: '', percentage: DEFAULT_PERCENTAGE, collapsed: true, childCount: null, intents: [] };
+        ensureCategory().topics.push(topic);
+      }
+      return topic;
+    }
+
+    for (const { el, index } of ordered) {
+      const level = gridLevel(adapter, el);
+      if (level === 0) continue;
+
+      const name = adapter.text(el, sel.gridName);
+      const percentage = adapter.text(el, sel.gridPercentage);
+      const childCount = parseChildCount(adapter.text(el, sel.gridChildCount));
+      const contracted = GRID_CONTRACTED_CLASS.test(adapter.className(el));
+
+      if (level === 1) {
+        category = withPercentage({ name, collapsed: contracted, childCount, topics: [] }, percentage);
+        categories.push(category);
+        topic = null;
+      } else if (level === 2) {
+        topic = withPercentage({ name, collapsed: true, childCount, intents: [] }, percentage);
+        const parent = ensureCategory();
+        parent.collapsed = false;
+        parent.topics.push(topic);
+      } else {
+        const intent = withPercentage({ id: nodeId(adapter, el), path: null, name, tag: adapter.text(el, sel.tag) }, percentage);
+        if (keepElements) intent.el = el;
+        if (!isNaN(index)) intent.rowIndex = index;
+        const parent = ensureTopic();
+        parent.collapsed = false;
+        parent.intents.push(intent);
+      }
+    }
+
+    assignIds(categories);
+    return { categories };
+  }
+
+  /**
+   * Checks a grid extraction against its own `ag-group-child-count`s: every
+   * expanded category and topic should have as many children as the grid
+   * reports. A shortfall means rows were never rendered (ag-grid renders
+   * only the rows near its viewport) or never expanded.
+   *
+   * @param {IntentTree} tree
+   * @returns {{path: string, issue: string, detail: string}[]}
+   */
+  function checkGridCounts(tree) {
+    const issues = [];
+    function check(path, node, children, childKey) {
+      if (node.collapsed || node.childCount == null || node.childCount === children.length) return;
+      issues.push({ path: path.join(' > '), issue: 'count', detail: `${children.length} ${childKey} read, grid reports ${node.childCount}` });
+    }
+    for (const category of tree.categories) {
+      check([category.name], category, category.topics, 'topics');
+      for (const topic of category.topics) {
+        check([category.name, topic.name], topic, topic.intents, 'intents');
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Cross-checks two extractions of the same tree (kanban vs grid). Each
+   * level is compared only where both sides rendered it, so a contracted
+   * grid row is not reported as missing children. A grid `childCount` is
+   * checked against the other side's rendered children.
+   *
+   * @param {IntentTree} a
+   * @param {IntentTree} b
+   * @param {{labels?: string[]}} [opts]  names of the two sides in messages
+   * @returns {{path: string, issue: string, detail: string}[]}
+   */
+  function compareTrees(a, b, opts) {
+    const labels = (opts && opts.labels) || ['kanban', 'grid'];
+    const issues = [];
+
+    function report(path, issue, detail) {
+      issues.push({ path: path.join(' > '), issue, detail });
+    }
+
+    // childKey: 'topics' under categories, 'intents' under topics, null below
+    function compareLevel(path, listA, listB, childKey) {
+      if (listA.length === 0 || listB.length === 0) return;
+      const byName = new Map(listB.map((node) => [node.name, node]));
+      const matched = new Set();
+
+      for (const node of listA) {
+        const nodePath = path.concat(node.name);
+        const other = byName.get(node.name);
+        if (!other) {
+          report(nodePath, 'missing', `only in ${labels[0]}`);
+          continue;
+        }
+        matched.add(node.name);
+        if (node.percentage !== other.percentage) {
+          report(nodePath, 'percentage', `${labels[0]} ${node.percentage}, ${labels[1]} ${other.percentage}`);
+        }
+        if (!childKey) continue;
+
+        const rendered = node[childKey].length;
+        if (other.childCount != null && rendered > 0 && other.childCount !== rendered) {
+          report(nodePath, 'count', `${labels[0]} has ${rendered} ${childKey}, ${labels[1]} reports ${other.childCount}`);
+        }
+        compareLevel(nodePath, node[childKey], other[childKey], childKey === 'topics' ? 'intents' : null);
+      }
+
+      for (const node of listB) {
+        if (!matched.has(node.name)) report(path.concat(node.name), 'missing', `only in ${labels[1]}`);
+      }
+    }
+
+    compareLevel([], a.categories, b.categories, 'topics');
+    return issues;
+  }
+
+  /**
+   * Finds the intent a row was extracted from, by tree position first and by
+   * ID when the tree has changed since (nodes added or re-ordered).
+   *
+   * @param {IntentTree} tree
+   * @param {{treePath?: number[], intentId?: string, intent: string}} row
+   * @returns {IntentNode|null}
+   */
+  function findIntent(tree, row) {
+    const p = row.treePath;
+    if (p) {
+      const category = tree.categories[p[0]];
+      const topic = category && category.topics[p[1]];
+      const intent = topic && topic.intents[p[2]];
+      if (intent && intent.name === row.intent && (!row.intentId || intent.id === row.intentId)) {
+        return intent;
+      }
+    }
+    for (const category of tree.categories) {
+      for (const topic of category.topics) {
+        for (const intent of topic.intents) {
+          if (intent.id === row.intentId) return intent;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Flattens a hierarchy into one row per intent. Topics with no rendered
+   * intents (collapsed when the page was saved) become a placeholder row
+   * flagged `collapsed: true` unless `placeholders` is false.
+   *
+   * @param {IntentTree} tree
+   * @param {{placeholders?: boolean}} [opts]
+   * @returns {Object[]}
+   */
+  function toRows(tree, opts) {
+    const placeholders = !opts || opts.placeholders !== false;
+    const rows = [];
+
+    for (const category of tree.categories) {
+      for (const topic of category.topics) {
+        for (const intent of topic.intents) {
+          const row = makeRow(category, topic, intent.name, intent.percentage);
+          row.intentId = intent.id;
+          row.treePath = intent.path;
+          row.tag = intent.tag;
+          if (intent.el) row._nodeEl = intent.el;
+          if (intent.rowIndex !== undefined) row.gridRowIndex = intent.rowIndex;
+          rows.push(row);
+        }
+      }
+    }
+
+    // Placeholders go after the real intents, matching the original export
+    if (placeholders) {
+      for (const category of tree.categories) {
+        if (category.collapsed && category.topics.length === 0) {
+          const row = makeRow(category, { name: '', percentage: '' }, COLLAPSED_INTENT, category.percentage);
+          row.collapsed = true;
+          rows.push(row);
+        }
+        for (const topic of category.topics) {
+          if (!topic.collapsed) continue;
+          const row = makeRow(category, topic, COLLAPSED_INTENT, topic.percentage);
+          row.collapsed = true;
+          rows.push(row);
+        }
+      }
+    }
+
+    return rows;
+  }
+
+  function makeRow(category, topic, intentName, intentPercentage) {
+    return {
+      category: category.name,
+      categoryPercentage: category.percentage,
+      topic: topic.name,
+      topicPercentage: topic.percentage,
+      intent: intentName,
+      intentPercentage,
+      volume: '',
+      examples: '',
+      active: '',
+      tag: '',
+      intentId: '',
+    };
+  }
+
+  /**
+   * Key identifying a row across runs of the same tree (checkpoints, resume).
+   * @param {{intentId?: string, category: string, topic: string, intent: string}} row
+   */
+  function intentKey(row) {
+    return row.intentId || [row.category, row.topic, row.intent].join(' > ');
+  }
+
+  /** Convenience: extract from a live document or element. */
+  function extractFromDom(rootEl, opts) {
+    return extractIntentTree(rootEl.querySelectorAll(resolveSelectors(opts).node), domAdapter, opts);
+  }
+
+  /** Convenience: extract from a loaded cheerio document. */
+  function extractFromCheerio($, opts) {
+    return extractIntentTree($(resolveSelectors(opts).node).toArray(), cheerioAdapter($), opts);
+  }
+
+  /** Convenience: extract the hierarchy-grid view from a live document or element. */
+  function extractGridFromDom(rootEl, opts) {
+    return extractGridTree(rootEl.querySelectorAll(resolveSelectors(opts).gridRow), domAdapter, opts);
+  }
+
+  /** Convenience: extract the hierarchy-grid view from a loaded cheerio document. */
+  function extractGridFromCheerio($, opts) {
+    return extractGridTree($(resolveSelectors(opts).gridRow).toArray(), cheerioAdapter($), opts);
+  }
+
+  return {
+    SELECTORS,
+    COLLAPSED_INTENT,
+    domAdapter,
+    cheerioAdapter,
+    nodeLevel,
+    extractIntentTree,
+    extractFromDom,
+    extractFromCheerio,
+    extractGridTree,
+    extractGridFromDom,
+    extractGridFromCheerio,
+    checkGridCounts,
+    compareTrees,
+    findIntent,
+    toRows,
+    intentKey,
+  };
+});
@@ -0,0 +1,57 @@
+/**
+ * Process-wide logger for the Node scrapers and CLI.
+ *
+ *   default  – human-readable progress on stdout, errors on stderr
+ *   quiet    – only warnings and errors
+ *   json     – every message as one JSON object per line on stderr, leaving
+ *              stdout free for the final machine-readable result
+ */
+
+const state = {
+  quiet: false,
+  json: false,
+};
+
+function configure(opts = {}) {
+  if (opts.quiet !== undefined) state.quiet = !!opts.quiet;
+  if (opts.json !== undefined) state.json = !!opts.json;
+}
+
+function emit(level, args) {
+  const msg = args.map((a) => (typeof a === 'string' ? a : String(a))).join(' ');
+
+  if (state.json) {
+    // Blank separator lines carry no information in JSON mode
+    if (!msg.trim()) return;
+    process.stderr.write(JSON.stringify({ level, time: new Date().toISOString(), msg: msg.trim() }) + '\n');
+    return;
+  }
+
+  if (level === 'error' || level === 'warn') {
+    console.error(msg);
+  } else {
+    console.log(msg);
+  }
+}
+
+function info(...args) {
+  if (state.quiet) return;
+  emit('info', args);
+}
+
+function warn(...args) {
+  emit('warn', args);
+}
+
+function error(...args) {
+  emit('error', args);
+}
+
+/** Writes the final result object to stdout (JSON mode only). */
+function result(obj) {
+  if (state.json) {
+    process.stdout.write(JSON.stringify(obj) + '\n');
+  }
+}
+
+module.exports = { configure, info, warn, error, result };
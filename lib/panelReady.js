@@ -0,0 +1,248 @@
+/**
+ * ============================================================================
+ *  CXOne Panel Readiness — wait for the UI instead of sleeping
+ * ============================================================================
+ *
+ *  After an intent is clicked, CXOne re-renders `item-info-panel` and loads
+ *  its phrases asynchronously. A fixed sleep is too slow on a fast tenant and
+ *  too short when CXOne lags (the panel still shows the previous intent).
+ *  waitForPanel() resolves once
+ *
+ *    1. the panel names the clicked intent, and
+ *    2. nothing inside the panel has changed for `settleMs` (MutationObserver),
+ *
+ *  or reports a timeout. waitForExpanded() does the same for tree togglers,
+ *  waitForSettled() for any element (e.g. the tree after a model switch).
+ *
+ *  A settled panel can still be stale: CXOne sometimes re-renders the
+ *  previous intent's phrases under the new title. checkPanel() compares a
+ *  fingerprint of the phrases (as lib/phrases.js reads them) with the
+ *  previous intent's, and re-checks the title, so the scrapers can click
+ *  again after backoffMs().
+ *
+ *  Runs in the page: browser console scripts call it directly, puppeteer
+ *  calls it through page.evaluate(). Loads as CommonJS under Node and as
+ *  the `CXOnePanel` global in a page. lib/phrases.js (`CXOnePhrases`) loads
+ *  after it and is only looked up when a fingerprint is taken.
+ * ============================================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // lib/phrases.js requires this module, so it is required when used
+    module.exports = factory(() => require('./phrases'));
+  } else {
+    root.CXOnePanel = factory(() => root.CXOnePhrases);
+  }
+})(typeof self !== 'undefined' ? self : this, function (phrasesModule) {
+  'use strict';
+
+  const DEFAULTS = {
+    panelSelector: 'item-info-panel',
+    // Element holding the intent name inside the panel. When empty, any leaf
+    // element in the panel whose text equals the intent name counts.
+    titleSelector: '',
+    phrasesSelector: '.phrases-snippets-container',
+    // Selector profile keys for reading the phrases (lib/phrases.js:
+    // phraseItems, phraseChrome, phraseCount, ...); its defaults when unset
+    selectors: null,
+    collapsedIcon: 'chevronrighticon',
+    settleMs: 400,
+    timeoutMs: 15000,
+    pollMs: 100,
+    // Stale-panel retries wait backoffBaseMs, then double, up to backoffMaxMs
+    backoffBaseMs: 1000,
+    backoffMaxMs: 8000,
+  };
+
+  function options(opts) {
+    return Object.assign({}, DEFAULTS, opts);
+  }
+
+  /** True when the panel currently names `intentName`. */
+  function panelShows(panel, intentName, opts) {
+    if (!panel) return false;
+    if (opts.titleSelector) {
+      const title = panel.querySelector(opts.titleSelector);
+      return !!title && title.textContent.trim() === intentName;
+    }
+    const els = panel.querySelectorAll('*');
+    for (let i = 0; i < els.length; i++) {
+      if (els[i].children.length === 0 && els[i].textContent.trim() === intentName) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Polls `check()` until it returns true and the DOM under `scope()` has
+   * been quiet for settleMs, or until timeoutMs elapses.
+   *
+   * @returns {Promise<{ready: boolean, waitedMs: number}>}
+   */
+  function waitUntilSettled(check, scope, opts) {
+    const doc = typeof document !== 'undefined' ? document : null;
+    const start = Date.now();
+    // Treat the click itself as the last change so we always wait settleMs
+    let lastChange = start;
+
+    const observer = doc && typeof MutationObserver !== 'undefined'
+      ? new MutationObserver((records) => {
+        const el = scope();
+        if (!el) return;
+        for (const record of records) {
+          if (el === record.target || el.contains(record.target)) {
+            lastChange = Date.now();
+            return;
+          }
+        }
+      })
+      : null;
+    if (observer) {
+      observer.observe(doc.body, { childList: true, subtree: true, characterData: true, attributes: true });
+    }
+
+    return new Promise((resolve) => {
+      const timer = setInterval(() => {
+        const now = Date.now();
+        const done = check() && now - lastChange >= opts.settleMs;
+        if (done || now - start >= opts.timeoutMs) {
+          clearInterval(timer);
+          if (observer) observer.disconnect();
+          resolve({ ready: done, waitedMs: now - start });
+        }
+      }, opts.pollMs);
+    });
+  }
+
+  /**
+   * Waits until the detail panel shows `intentName` and has stopped changing.
+   *
+   * @param {string} intentName
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {Promise<{ready: boolean, titleMatched: boolean, hasPhrases: boolean, waitedMs: number}>}
+   */
+  function waitForPanel(intentName, opts) {
+    const o = options(opts);
+    const panel = () => document.querySelector(o.panelSelector);
+
+    return waitUntilSettled(() => panelShows(panel(), intentName, o), panel, o).then((result) => {
+      const el = panel();
+      return {
+        ready: result.ready,
+        titleMatched: panelShows(el, intentName, o),
+        hasPhrases: !!(el && el.querySelector(o.phrasesSelector)) || !!document.querySelector(o.phrasesSelector),
+        waitedMs: result.waitedMs,
+      };
+    });
+  }
+
+  /**
+   * Waits until a clicked tree toggler no longer shows the collapsed icon
+   * and its subtree has finished rendering.
+   *
+   * @param {Element} toggler
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {Promise<{ready: boolean, waitedMs: number}>}
+   */
+  function waitForExpanded(toggler, opts) {
+    const o = options(opts);
+    const node = toggler.closest('p-treenode') || toggler.parentElement;
+    return waitUntilSettled(
+      () => !toggler.isConnected || !toggler.querySelector(o.collapsedIcon),
+      () => node,
+      o
+    );
+  }
+
+  /**
+   * Waits until `selector` matches and nothing under it has changed for
+   * settleMs.
+   *
+   * @param {string} selector
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {Promise<{ready: boolean, waitedMs: number}>}
+   */
+  function waitForSettled(selector, opts) {
+    const o = options(opts);
+    const el = () => document.querySelector(selector);
+    return waitUntilSettled(() => !!el(), el, o);
+  }
+
+  /** 32-bit FNV-1a of a string, as 8 hex digits. */
+  function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return ('0000000' + hash.toString(16)).slice(-8);
+  }
+
+  /**
+   * Fingerprint of the phrases the panel shows: a hash of their dedupe keys
+   * as lib/phrases.js reads them, so buttons, counts and "No phrases found"
+   * play no part. '' when there are none.
+   *
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {string}
+   */
+  function fingerprint(opts) {
+    const o = options(opts);
+    const panel = document.querySelector(o.panelSelector);
+    const container = (panel && panel.querySelector(o.phrasesSelector)) || document.querySelector(o.phrasesSelector);
+    if (!container) return '';
+    const Phrases = phrasesModule();
+    const sel = Object.assign({}, o.selectors, { phrases: o.phrasesSelector });
+    const records = Phrases.buildExamples(Phrases.readItems(Phrases.domAdapter, container, sel));
+    return records.length ? fnv1a(records.map((r) => r.key).join('\n')) : '';
+  }
+
+  /**
+   * Decides whether the panel just read for `intentName` is stale:
+   *
+   *   other-intent  the panel no longer names the intent
+   *   same-content  its phrases match the previous intent's fingerprint
+   *
+   * Empty panels never count as same-content: intents without phrases are
+   * common and look alike.
+   *
+   * @param {string} intentName
+   * @param {string} previousFingerprint  '' for the first intent
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {{stale: boolean, reason: string, fingerprint: string}}
+   */
+  function checkPanel(intentName, previousFingerprint, opts) {
+    const o = options(opts);
+    const print = fingerprint(o);
+    let reason = '';
+    if (!panelShows(document.querySelector(o.panelSelector), intentName, o)) {
+      reason = 'other-intent';
+    } else if (print && print === previousFingerprint) {
+      reason = 'same-content';
+    }
+    return { stale: !!reason, reason, fingerprint: print };
+  }
+
+  /**
+   * Wait before stale retry `attempt` (1-based): backoffBaseMs doubled per
+   * attempt, capped at backoffMaxMs.
+   *
+   * @param {number} attempt
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   */
+  function backoffMs(attempt, opts) {
+    const o = options(opts);
+    return Math.min(o.backoffBaseMs * Math.pow(2, attempt - 1), o.backoffMaxMs);
+  }
+
+  return {
+    DEFAULTS,
+    panelShows,
+    waitForPanel,
+    waitForExpanded,
+    waitForSettled,
+    fingerprint,
+    checkPanel,
+    backoffMs,
+  };
+});
@@ -0,0 +1,200 @@
+/**
+ * Percentage consistency checks for an extracted intent tree.
+ *
+ * Every node shows the share of interactions it covers, so the levels must
+ * agree with each other:
+ *
+ *   rollup   a topic's intents add up to the topic, a category's topics to
+ *            the category (only where every child was rendered)
+ *   total    the categories add up to ~100%
+ *   missing  the node had no percentage element and "0%" was filled in
+ *   invalid  the percentage text is not a number between 0 and 100
+ *
+ * CXOne rounds what it displays to two decimals, so each value may be off
+ * by up to 0.005 points; sums are allowed that much per term on top of
+ * `tolerance`.
+ */
+
+const log = require('./logger');
+
+const ISSUES = ['rollup', 'total', 'missing', 'invalid'];
+
+// Extra slack on every sum, in percentage points
+const DEFAULT_TOLERANCE = 0.05;
+
+// Half of the last displayed decimal (two decimals)
+const ROUNDING = 0.005;
+
+// Issues logged individually before summarising
+const MAX_LOG_LINES = 10;
+
+const PERCENT_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*%?\s*$/;
+
+const VALIDATION_COLUMNS = [
+  { header: 'Level', key: 'level', width: 10 },
+  { header: 'Path', key: 'path', width: 60 },
+  { header: 'Issue', key: 'issue', width: 10 },
+  { header: 'Value', key: 'value', width: 10 },
+  { header: 'Expected', key: 'expected', width: 10 },
+  { header: 'Difference', key: 'difference', width: 11 },
+  { header: 'Detail', key: 'detail', width: 70 },
+];
+
+/** Thrown by strict runs after the output is written. */
+class ValidationError extends Error {
+  constructor(issues) {
+    super(`Percentage validation failed with ${issues.length} issue(s)`);
+    this.name = 'ValidationError';
+    this.issues = issues;
+  }
+}
+
+/** "1.48%" → 1.48; null unless it is a plain number from 0 to 100. */
+function percentValue(text) {
+  const match = String(text === undefined || text === null ? '' : text).match(PERCENT_PATTERN);
+  if (!match) return null;
+  const num = Number(match[1]);
+  return num <= 100 ? num : null;
+}
+
+function round(num) {
+  return Math.round(num * 100) / 100;
+}
+
+/**
+ * @param {import('./intentTree').IntentTree} tree
+ * @param {{tolerance?: number}} [opts]
+ * @returns {{level: string, path: string, issue: string, value: string,
+ *            expected: number|null, difference: number|null, detail: string}[]}
+ */
+function validateTree(tree, opts = {}) {
+  const tolerance = opts.tolerance === undefined ? DEFAULT_TOLERANCE : opts.tolerance;
+  const issues = [];
+
+  // Reads a node's value, reporting missing / invalid ones; null when unusable
+  function check(node, level, path) {
+    if (node.percentageMissing) {
+      issues.push({
+        level, path, issue: 'missing', value: node.percentage, expected: null, difference: null,
+        detail: `No percentage shown; defaulted to ${node.percentage}`,
+      });
+      return null;
+    }
+    const value = percentValue(node.percentage);
+    if (value === null) {
+      issues.push({
+        level, path, issue: 'invalid', value: node.percentage, expected: null, difference: null,
+        detail: `"${node.percentage}" is not a percentage between 0 and 100`,
+      });
+    }
+    return value;
+  }
+
+  // Compares a parent with the sum of its children's values
+  function rollup(level, path, value, displayed, childValues, childLevel) {
+    if (value === null || childValues.length === 0 || childValues.includes(null)) return;
+    const sum = childValues.reduce((total, v) => total + v, 0);
+    const difference = round(value - sum);
+    if (Math.abs(value - sum) <= tolerance + ROUNDING * (childValues.length + 1)) return;
+    issues.push({
+      level, path, issue: 'rollup', value: displayed, expected: round(sum), difference,
+      detail: `${childValues.length} ${childLevel}(s) add up to ${round(sum)}%, the ${level} shows ${displayed}`,
+    });
+  }
+
+  const categoryValues = [];
+  for (const category of tree.categories) {
+    const categoryPath = category.name;
+    const categoryValue = check(category, 'category', categoryPath);
+    categoryValues.push(categoryValue);
+
+    const topicValues = [];
+    for (const topic of category.topics) {
+      const topicPath = `${category.name} > ${topic.name}`;
+      const topicValue = check(topic, 'topic', topicPath);
+      topicValues.push(topicValue);
+
+      const intentValues = topic.intents.map((intent) =>
+        check(intent, 'intent', `${topicPath} > ${intent.name}`));
+      if (!topic.collapsed) {
+        rollup('topic', topicPath, topicValue, topic.percentage, intentValues, 'intent');
+      }
+    }
+    if (!category.collapsed) {
+      rollup('category', categoryPath, categoryValue, category.percentage, topicValues, 'topic');
+    }
+  }
+
+  if (categoryValues.length > 0 && !categoryValues.includes(null)) {
+    const sum = categoryValues.reduce((total, v) => total + v, 0);
+    if (Math.abs(100 - sum) > tolerance + ROUNDING * categoryValues.length) {
+      issues.push({
+        level: 'tree', path: '', issue: 'total', value: `${round(sum)}%`, expected: 100, difference: round(sum - 100),
+        detail: `${categoryValues.length} categories add up to ${round(sum)}%, not 100%`,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/** Logs the issues of one tree; `label` names it (file or model). */
+function logIssues(issues, label) {
+  const prefix = label ? `${label}: ` : '';
+  if (issues.length === 0) {
+    log.info(`${prefix}Percentages are consistent`);
+    return;
+  }
+  log.warn(`${prefix}${issues.length} percentage issue(s):`);
+  for (const issue of issues.slice(0, MAX_LOG_LINES)) {
+    log.warn(`  ${issue.path || '(all categories)'}: ${issue.issue} (${issue.detail})`);
+  }
+  if (issues.length > MAX_LOG_LINES) {
+    log.warn(`  ... and ${issues.length - MAX_LOG_LINES} more`);
+  }
+}
+
+/**
+ * Adds the "Validation" sheet: one row per issue, or a single row saying
+ * the tree passed. Issues tagged with extra fields (sourceFile, model) get
+ * those as leading columns.
+ *
+ * @param {import('exceljs').Workbook} workbook
+ * @param {Object[]} issues
+ * @param {{columns?: Object[], name?: string}} [opts]  leading columns
+ */
+function addValidationSheet(workbook, issues, opts = {}) {
+  const columns = [...(opts.columns || []), ...VALIDATION_COLUMNS];
+  const sheet = workbook.addWorksheet(opts.name || 'Validation');
+  sheet.columns = columns;
+
+  const headerRow = sheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+
+  if (issues.length === 0) {
+    sheet.addRow({ detail: 'No percentage issues found' });
+  }
+  for (const issue of issues) {
+    sheet.addRow(issue);
+  }
+
+  sheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: sheet.rowCount, column: columns.length },
+  };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  return sheet;
+}
+
+module.exports = {
+  ISSUES,
+  DEFAULT_TOLERANCE,
+  VALIDATION_COLUMNS,
+  ValidationError,
+  percentValue,
+  validateTree,
+  logIssues,
+  addValidationSheet,
+};
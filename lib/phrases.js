@@ -0,0 +1,762 @@
+/**
+ * ============================================================================
+ *  CXOne Phrases — example phrases from the detail panel, as records
+ * ============================================================================
+ *
+ *  item-info-panel lists an intent's phrases and transcript snippets in
+ *  `.phrases-snippets-container`, mixed with UI chrome: buttons, counts
+ *  ("12 phrases"), "Show more" links, section headers. Every scraper reads
+ *  the panel through readPanel(), which
+ *
+ *    1. picks the phrase elements: the outermost `phraseItems` matches, or
+ *       else one phrase per rendered line (block elements and <br>),
+ *    2. skips text inside `phraseChrome` elements and the `phraseCount`
+ *       element, and drops lines that are chrome by their text alone
+ *       (isChrome; a bare number is a phrase, "1" or "2024"),
+ *    3. tidies whitespace but keeps the phrase as written, and
+ *    4. dedupes on normaliseKey() (case, accents, punctuation and spacing
+ *       ignored), keeping the first occurrence.
+ *
+ *  Each example becomes a record:
+ *
+ *    { text, key, position, kind, source, highlights }
+ *
+ *    position    1-based, in panel order after dedupe
+ *    kind        'phrase', or 'snippet' inside a `snippetItems` element
+ *    source      'phrases' (the container), 'info' (an info item titled
+ *                Examples / Samples / ...) or 'list' (`exampleItems`)
+ *    highlights  [{text, start, end}] spans inside `phraseHighlight`
+ *                elements (the words CXOne matched), as offsets into `text`
+ *
+ *  highlightFields() and highlightRuns() turn an intent's highlights into
+ *  export columns and bold runs of a rich-text Examples cell.
+ *
+ *  CXOne renders long phrase lists a window at a time: a "Load more"
+ *  button, a virtual-scroll viewport or a paginator. loadPanelFromDom()
+ *  (live DOM only) clicks, scrolls and pages until nothing new appears or
+ *  `maxPhrases` is reached, reading after every step, and returns the count
+ *  CXOne reports next to the number captured.
+ *
+ *  readInfoFields() reads the panel's other fields: every `infoItem` as a
+ *  { title, value } pair (Volume, Active, Description, Created, Owner,
+ *  Keywords, ...), for lib/infoFields.js to turn into export columns.
+ *
+ *  DOM-agnostic like lib/intentTree.js: adapters are provided for the live
+ *  DOM and for cheerio. Loads as CommonJS under Node and as the
+ *  `CXOnePhrases` global in a page, after lib/panelReady.js (`CXOnePanel`,
+ *  used to wait for each step to settle).
+ * ============================================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./panelReady'));
+  } else {
+    root.CXOnePhrases = factory(root.CXOnePanel);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Panel) {
+  'use strict';
+
+  // Used for keys the selector profile leaves empty
+  const SELECTORS = {
+    phrases: '.phrases-snippets-container',
+    phraseItems: '',
+    phraseHighlight: 'mark, .highlight, .highlighted',
+    phraseChrome: 'button, [role="button"], [aria-hidden="true"], [hidden], .p-paginator, .badge, mat-icon, ' +
+      '.material-icons, script, style, template',
+    snippetItems: '.snippet-item',
+    infoItem: '.info-body .info-item',
+    infoTitle: '.sub-title',
+    infoValue: '.item-value',
+    exampleItems: '',
+    phraseCount: '',
+    phraseLoadMore: '',
+    phraseScroller: '',
+    phraseNextPage: '',
+  };
+
+  const LOAD_DEFAULTS = {
+    // Distinct phrases kept per intent; loading stops there (0: no cap)
+    maxPhrases: 500,
+    // Load-more clicks, scrolls and page turns per intent, at most
+    maxSteps: 200,
+    // Steps in a row that may add nothing new before loading gives up
+    idleSteps: 3,
+    // Passed to CXOnePanel.waitForSettled after each step
+    settleMs: 400,
+    timeoutMs: 5000,
+    pollMs: 100,
+  };
+
+  const KINDS = { phrase: 'phrase', snippet: 'snippet' };
+
+  const SOURCES = { phrases: 'phrases', info: 'info', list: 'list' };
+
+  // Info item titles with columns of their own (see builtInTitle), matched
+  // against the whole title key: "Volume Trend", "Training Status" and
+  // "Inactive Since" are ordinary fields
+  const BUILT_IN_TITLES = {
+    volume: /^(?:intent )?volume$/,
+    examples: /^(?:(?:training|sample|example) )?(?:examples?|samples?|utterances?|phrases?)$/,
+    active: /^(?:active|status|active status|intent status)$/,
+  };
+
+  // Skipped in info item values; unlike phraseChrome, badges and chips are
+  // content there (keywords, tags)
+  const FIELD_CHROME = 'button, [role="button"], [aria-hidden="true"], [hidden], mat-icon, .material-icons, ' +
+    'script, style, template';
+
+  // Elements that end a rendered line
+  const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'footer', 'h1', 'h2',
+    'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'ol', 'p', 'pre', 'section', 'table', 'tbody',
+    'thead', 'tr', 'ul',
+  ]);
+
+  // Lines that are UI chrome by their text alone
+  const CHROME_PATTERNS = [
+    // "Show more", "View all 25", "Load more phrases"; not "view all my bills"
+    /^(show|see|view|load)\s+(more|less|all)(\s+\d[\d,]*)?(\s+(phrases|snippets|examples|results|utterances))?$/i,
+    /^(show|hide)\s+(phrases|snippets|examples|details|highlights)$/i,
+    // "12 phrases", "3 snippets"
+    /^\d[\d,]*\s+(phrases?|snippets?|examples?|results?|items?|utterances?|highlights?)$/i,
+    // Pagers: "1-10 of 50", "Page 2 of 5"
+    /^\d+\s*[-–]\s*\d+\s+of\s+\d[\d,]*$/i,
+    /^(page\s+)?\d+\s+of\s+\d+$/i,
+    // Section headers, optionally with a count: "Phrases (12)", "Snippets:"
+    /^(phrases|snippets|examples|sample phrases|training phrases|utterances|highlights)(\s*[([]\d[\d,]*[)\]])?:?$/i,
+    /^no\s+(phrases|snippets|examples|results)(\s+(found|available))?\.?$/i,
+    /^(\.{3}|…)$/,
+  ];
+
+  /**
+   * @typedef {Object} ExampleRecord
+   * @property {string} text        the phrase as shown, whitespace tidied
+   * @property {string} key         normaliseKey(text), for dedupe
+   * @property {number} position    1-based, in panel order
+   * @property {string} kind        phrase | snippet
+   * @property {string} source      phrases | info | list
+   * @property {{text: string, start: number, end: number}[]} highlights
+   *
+   * @typedef {Object} PhraseAdapter
+   * @property {function(*): Array} children            child nodes, text included
+   * @property {function(*): boolean} isText
+   * @property {function(*): boolean} isElement
+   * @property {function(*): string} text               value of a text node
+   * @property {function(*): string} tag                lower-case tag name
+   * @property {function(*, string): boolean} matches
+   * @property {function(*, string): Array} queryAll    descendants, document order
+   * @property {function(*): *} parent
+   */
+
+  // ── Adapters ───────────────────────────────────────────────────────────
+
+  /** Adapter for live DOM nodes (browser console / page.evaluate). */
+  const domAdapter = {
+    children(node) {
+      return Array.from(node.childNodes || []);
+    },
+    isText(node) {
+      return node.nodeType === 3;
+    },
+    isElement(node) {
+      return node.nodeType === 1;
+    },
+    text(node) {
+      return node.nodeValue || '';
+    },
+    tag(el) {
+      return String(el.tagName || '').toLowerCase();
+    },
+    matches(el, selector) {
+      return el.matches(selector);
+    },
+    queryAll(root, selector) {
+      return Array.from(root.querySelectorAll(selector));
+    },
+    parent(node) {
+      return node.parentNode;
+    },
+  };
+
+  /**
+   * Adapter for cheerio nodes; `$` is the loaded cheerio document. Queries
+   * run against the whole document and keep the descendants of `root`, so
+   * selectors naming an ancestor outside it (`item-info-panel li`) match as
+   * they would with querySelectorAll.
+   */
+  function cheerioAdapter($) {
+    function contains(root, node) {
+      for (let p = node.parent; p; p = p.parent) if (p === root) return true;
+      return false;
+    }
+    return {
+      children(node) {
+        return node.children || [];
+      },
+      isText(node) {
+        return node.type === 'text';
+      },
+      isElement(node) {
+        return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+      },
+      text(node) {
+        return node.data || '';
+      },
+      tag(el) {
+        return String(el.name || '').toLowerCase();
+      },
+      matches(el, selector) {
+        return $(el).is(selector);
+      },
+      queryAll(root, selector) {
+        return $(selector).toArray().filter((el) => contains(root, el));
+      },
+      parent(node) {
+        return node.parent;
+      },
+    };
+  }
+
+  // ── Text ───────────────────────────────────────────────────────────────
+
+  /** Collapses whitespace (NBSP included) and drops zero-width characters. */
+  function cleanText(text) {
+    return String(text || '')
+      .replace(/[\u200b-\u200d\u2060\ufeff]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /** Info item title key: "Created On:" and "created  on" → "created on". */
+  function titleKey(title) {
+    return cleanText(title).replace(/\s*:$/, '').toLowerCase();
+  }
+
+  /**
+   * Which built-in column an info item title fills: 'volume', 'examples',
+   * 'active', or null for an ordinary field. The one rule for the live
+   * scraper, the console scripts and lib/infoFields.js.
+   */
+  function builtInTitle(title) {
+    const key = titleKey(title);
+    for (const [name, pattern] of Object.entries(BUILT_IN_TITLES)) {
+      if (pattern.test(key)) return name;
+    }
+    return null;
+  }
+
+  /**
+   * Dedupe key: "Cancel my  order!" and "cancel my order" share
+   * "cancel my order". Case, accents, punctuation and spacing are ignored.
+   */
+  function normaliseKey(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      // "don’t" and "don't" are the same word
+      .replace(/[\u2018\u2019\u02bc]/g, "'")
+      .replace(/[^\p{L}\p{N}']+/gu, ' ')
+      .replace(/'/g, '')
+      .trim();
+  }
+
+  /** True for a line that is UI chrome, not a phrase ("Show more", "12 phrases"). */
+  function isChrome(text) {
+    const clean = cleanText(text);
+    return !clean || CHROME_PATTERNS.some((pattern) => pattern.test(clean));
+  }
+
+  /**
+   * Joins text segments into one tidied line. Highlight offsets are kept in
+   * step with the whitespace collapsing; highlighted segments separated
+   * only by whitespace become one span.
+   *
+   * @param {{text: string, highlight: boolean}[]} segments
+   * @returns {{text: string, highlights: {text: string, start: number, end: number}[]}}
+   */
+  function joinSegments(segments) {
+    let out = '';
+    const spans = [];
+    let open = null;
+    for (const segment of segments) {
+      const text = String(segment.text).replace(/[\u200b-\u200d\u2060\ufeff]/g, '');
+      for (const ch of text) {
+        const space = /\s/.test(ch);
+        if (space && (!out || out.endsWith(' '))) continue;
+        if (!space && segment.highlight && !open) {
+          open = { start: out.length, end: out.length };
+          spans.push(open);
+        } else if (!space && !segment.highlight) {
+          open = null;
+        }
+        out += space ? ' ' : ch;
+        if (!space && open) open.end = out.length;
+      }
+    }
+    const line = out.trim();
+    return {
+      text: line,
+      highlights: spans
+        .filter((s) => s.end <= line.length)
+        .map((s) => ({ text: line.slice(s.start, s.end), start: s.start, end: s.end })),
+    };
+  }
+
+  // ── Reading phrase elements ────────────────────────────────────────────
+
+  function selectorsFor(sel) {
+    const out = {};
+    for (const key of Object.keys(SELECTORS)) out[key] = (sel && sel[key]) || SELECTORS[key];
+    return out;
+  }
+
+  function safeMatches(adapter, el, selector) {
+    return !!selector && adapter.matches(el, selector);
+  }
+
+  // A count on its own ("12") is only told from a phrase by its element
+  function isChromeElement(adapter, el, s) {
+    return safeMatches(adapter, el, s.phraseChrome) || safeMatches(adapter, el, s.phraseCount);
+  }
+
+  /**
+   * Text lines under `root`: a new line at every block element, chrome
+   * elements skipped. With `oneLine`, block boundaries become spaces.
+   *
+   * @returns {{segments: Object[], snippet: boolean}[]}
+   */
+  function readLines(adapter, root, s, oneLine) {
+    const lines = [];
+    let current = { segments: [], snippet: false };
+    function breakLine() {
+      if (oneLine) {
+        current.segments.push({ text: ' ', highlight: false });
+        return;
+      }
+      if (current.segments.length) lines.push(current);
+      current = { segments: [], snippet: false };
+    }
+    function visit(node, highlight, snippet) {
+      if (adapter.isText(node)) {
+        const text = adapter.text(node);
+        if (!text.trim() && !current.segments.length) return;
+        if (text.trim() && snippet) current.snippet = true;
+        current.segments.push({ text, highlight });
+        return;
+      }
+      if (!adapter.isElement(node) || isChromeElement(adapter, node, s)) return;
+      const block = BLOCK_TAGS.has(adapter.tag(node));
+      if (block) breakLine();
+      const inHighlight = highlight || safeMatches(adapter, node, s.phraseHighlight);
+      const inSnippet = snippet || safeMatches(adapter, node, s.snippetItems);
+      for (const child of adapter.children(node)) visit(child, inHighlight, inSnippet);
+      if (block) breakLine();
+    }
+    const rootSnippet = safeMatches(adapter, root, s.snippetItems);
+    for (const child of adapter.children(root)) visit(child, false, rootSnippet);
+    if (current.segments.length) lines.push(current);
+    return lines;
+  }
+
+  /** True when `el` sits inside a chrome element or another item below `root`. */
+  function isNested(adapter, el, root, s, items) {
+    for (let p = adapter.parent(el); p && p !== root; p = adapter.parent(p)) {
+      if (items.has(p)) return true;
+      if (adapter.isElement(p) && isChromeElement(adapter, p, s)) return true;
+    }
+    return false;
+  }
+
+  function insideSnippet(adapter, el, root, s) {
+    if (!s.snippetItems) return false;
+    for (let p = el; p && p !== root; p = adapter.parent(p)) {
+      if (adapter.isElement(p) && adapter.matches(p, s.snippetItems)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Raw phrase items under `container`, before cleaning and dedupe: one per
+   * outermost `phraseItems` match, or else one per rendered line.
+   *
+   * @returns {{text: string, highlights: Object[], kind: string}[]}
+   */
+  function readItems(adapter, container, sel) {
+    const s = selectorsFor(sel);
+    const matched = s.phraseItems ? adapter.queryAll(container, s.phraseItems) : [];
+    const set = new Set(matched);
+    const items = matched.filter((el) => !isNested(adapter, el, container, s, set));
+
+    if (items.length) {
+      return items
+        .filter((el) => !isChromeElement(adapter, el, s))
+        .map((el) => {
+          const [line] = readLines(adapter, el, s, true);
+          const joined = joinSegments(line ? line.segments : []);
+          joined.kind = insideSnippet(adapter, el, container, s) ? KINDS.snippet : KINDS.phrase;
+          return joined;
+        });
+    }
+    return readLines(adapter, container, s, false).map((line) => {
+      const joined = joinSegments(line.segments);
+      joined.kind = line.snippet ? KINDS.snippet : KINDS.phrase;
+      return joined;
+    });
+  }
+
+  // ── Records ────────────────────────────────────────────────────────────
+
+  /**
+   * Cleans, filters and dedupes raw items into example records.
+   *
+   * @param {({text: string, highlights?: Object[], kind?: string}|string)[]} items
+   * @param {string} [source]  phrases | info | list
+   * @returns {ExampleRecord[]}
+   */
+  function buildExamples(items, source) {
+    const records = [];
+    const seen = new Set();
+    for (const item of items) {
+      const raw = typeof item === 'string' ? { text: item } : item;
+      const text = cleanText(raw.text);
+      if (isChrome(text)) continue;
+      const key = normaliseKey(text) || text.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      records.push({
+        text,
+        key,
+        position: records.length + 1,
+        kind: raw.kind || KINDS.phrase,
+        source: source || SOURCES.phrases,
+        highlights: (raw.highlights || []).filter((h) => h.text),
+      });
+    }
+    return records;
+  }
+
+  /** Records from newline-joined text (an older checkpoint or export). */
+  function fromText(text, source) {
+    return buildExamples(String(text || '').split('\n'), source);
+  }
+
+  /** Newline-joined record texts: the `examples` column. */
+  function toText(records) {
+    return (records || []).map((r) => r.text).join('\n');
+  }
+
+  // ── Loading the whole list (live DOM) ──────────────────────────────────
+
+  /**
+   * Total CXOne reports for the list, null when `text` has no number:
+   * "12 phrases" → 12, "Phrases (1,204)" → 1204, "1-10 of 50" → 50.
+   */
+  function parseReportedCount(text) {
+    const clean = cleanText(text).replace(/(?<=\d),(?=\d{3}\b)/g, '');
+    const match = clean.match(/\bof\s+(\d+)/i) || clean.match(/(\d+)/);
+    return match ? Number(match[1]) : null;
+  }
+
+  /** A load-more or next-page control that can still be clicked. */
+  function clickable(el) {
+    if (!el || el.offsetParent === null || el.disabled) return false;
+    if (el.getAttribute('aria-disabled') === 'true' || el.classList.contains('p-disabled')) return false;
+    // A "Show more" link that turned into "Show less" would fold the list again
+    return !/\b(less|fewer)\b/i.test(el.textContent);
+  }
+
+  /**
+   * Every phrase of the open panel's list, however CXOne pages it. After
+   * the first read, repeats the first step that applies:
+   *
+   *   1. click `phraseLoadMore`
+   *   2. scroll `phraseScroller` (default: the phrases container) down by
+   *      one screen, when it can scroll further
+   *   3. click `phraseNextPage`
+   *
+   * waiting for the list to settle and reading again, until no step
+   * applies, `idleSteps` steps in a row add nothing, or `maxPhrases`
+   * distinct phrases are in. Panels without a phrases container are read
+   * as readPanel() does.
+   *
+   * @param {Element|Document} rootEl
+   * @param {Object} [sel]  selector profile keys
+   * @param {Partial<typeof LOAD_DEFAULTS>} [opts]
+   * @returns {Promise<{source: string, records: ExampleRecord[], reported: number|null,
+   *   captured: number, capped: boolean, steps: number}>}
+   *   reported: `phraseCount` as shown (null without one); capped: the
+   *   list has more than maxPhrases (more were read, more are reported, or
+   *   another step was still possible when loading stopped at the cap)
+   */
+  async function loadPanelFromDom(rootEl, sel, opts) {
+    const o = Object.assign({}, LOAD_DEFAULTS, opts);
+    const s = selectorsFor(sel);
+    const countEl = s.phraseCount ? rootEl.querySelector(s.phraseCount) : null;
+    const reported = countEl ? parseReportedCount(countEl.textContent) : null;
+
+    const first = readPanel(domAdapter, rootEl, s);
+    if (first.source !== SOURCES.phrases) {
+      return { source: first.source, records: first.records, reported, captured: first.records.length, capped: false, steps: 0 };
+    }
+
+    const raw = [];
+    const keys = new Set();
+    function collect() {
+      const container = rootEl.querySelector(s.phrases);
+      if (!container) return 0;
+      let added = 0;
+      for (const item of readItems(domAdapter, container, s)) {
+        const text = cleanText(item.text);
+        if (isChrome(text)) continue;
+        const key = normaliseKey(text) || text.toLowerCase();
+        if (keys.has(key)) continue;
+        keys.add(key);
+        raw.push(item);
+        added++;
+      }
+      return added;
+    }
+
+    // The next step as a function taking it, or null when none applies
+    function nextStep() {
+      const more = s.phraseLoadMore ? rootEl.querySelector(s.phraseLoadMore) : null;
+      if (clickable(more)) return () => more.click();
+      const scroller = (s.phraseScroller && rootEl.querySelector(s.phraseScroller)) || rootEl.querySelector(s.phrases);
+      if (scroller && scroller.scrollTop + scroller.clientHeight < scroller.scrollHeight - 1) {
+        return () => {
+          scroller.scrollTop += Math.max(scroller.clientHeight, 1);
+        };
+      }
+      const next = s.phraseNextPage ? rootEl.querySelector(s.phraseNextPage) : null;
+      if (clickable(next)) return () => next.click();
+      return null;
+    }
+
+    collect();
+    const full = () => o.maxPhrases > 0 && keys.size >= o.maxPhrases;
+    let steps = 0;
+    let idle = 0;
+    let step;
+    while (steps < o.maxSteps && !full() && (step = nextStep())) {
+      step();
+      steps++;
+      await Panel.waitForSettled(s.phrases, o);
+      idle = collect() > 0 ? 0 : idle + 1;
+      if (idle >= o.idleSteps) break;
+    }
+
+    let records = buildExamples(raw, SOURCES.phrases);
+    if (o.maxPhrases > 0) records = records.slice(0, o.maxPhrases);
+    const capped = full() &&
+      (keys.size > o.maxPhrases || (reported !== null && reported > o.maxPhrases) || !!nextStep());
+    return { source: SOURCES.phrases, records, reported, captured: records.length, capped, steps };
+  }
+
+  // ── Highlights ─────────────────────────────────────────────────────────
+
+  /**
+   * Highlight columns of one intent, '' when nothing is highlighted:
+   *
+   *   highlights      one line per example, in step with `examples`: the
+   *                   spans highlighted in it, comma-separated
+   *   highlightTerms  distinct highlighted spans (case ignored), most
+   *                   frequent first, "; "-separated
+   *
+   * @param {ExampleRecord[]} records
+   * @returns {{highlights: string, highlightTerms: string}}
+   */
+  function highlightFields(records) {
+    const list = records || [];
+    if (!list.some((r) => r.highlights && r.highlights.length)) return { highlights: '', highlightTerms: '' };
+
+    const terms = new Map();
+    const lines = list.map((record) => {
+      const spans = [];
+      for (const h of record.highlights || []) {
+        if (!spans.includes(h.text)) spans.push(h.text);
+        const key = h.text.toLowerCase();
+        const term = terms.get(key) || { text: h.text, count: 0, first: terms.size };
+        term.count++;
+        terms.set(key, term);
+      }
+      return spans.join(', ');
+    });
+    const ranked = [...terms.values()].sort((a, b) => b.count - a.count || a.first - b.first);
+    return { highlights: lines.join('\n'), highlightTerms: ranked.map((t) => t.text).join('; ') };
+  }
+
+  /**
+   * toText(records) as runs for a rich-text cell, highlighted spans bold.
+   * null when nothing is highlighted (a plain cell will do).
+   *
+   * @param {ExampleRecord[]} records
+   * @returns {{text: string, bold: boolean}[]|null}
+   */
+  function highlightRuns(records) {
+    const list = records || [];
+    if (!list.some((r) => r.highlights && r.highlights.length)) return null;
+
+    const runs = [];
+    function push(text, bold) {
+      if (!text) return;
+      const last = runs[runs.length - 1];
+      if (last && last.bold === bold) last.text += text;
+      else runs.push({ text, bold });
+    }
+    list.forEach((record, i) => {
+      if (i > 0) push('\n', false);
+      let cursor = 0;
+      const spans = (record.highlights || []).slice().sort((a, b) => a.start - b.start);
+      for (const h of spans) {
+        if (h.start < cursor) continue;
+        push(record.text.slice(cursor, h.start), false);
+        push(record.text.slice(h.start, h.end), true);
+        cursor = h.end;
+      }
+      push(record.text.slice(cursor), false);
+    });
+    return runs;
+  }
+
+  /**
+   * Example records of the open detail panel, from the first source that
+   * has any: the phrases container, an info item titled Examples (or
+   * Samples, Utterances, ...), then `exampleItems`.
+   *
+   * @param {PhraseAdapter} adapter
+   * @param {*} root  document (or element) holding the panel
+   * @param {Object} [sel]  selector profile keys (lib/selectorProfile.js)
+   * @returns {{source: string, records: ExampleRecord[]}}
+   */
+  function readPanel(adapter, root, sel) {
+    const s = selectorsFor(sel);
+
+    const container = adapter.queryAll(root, s.phrases)[0];
+    if (container) {
+      const records = buildExamples(readItems(adapter, container, s), SOURCES.phrases);
+      if (records.length) return { source: SOURCES.phrases, records };
+    }
+
+    for (const item of adapter.queryAll(root, s.infoItem)) {
+      const title = adapter.queryAll(item, s.infoTitle)[0];
+      const value = adapter.queryAll(item, s.infoValue)[0];
+      if (!title || !value) continue;
+      const [line] = readLines(adapter, title, s, true);
+      if (!line || builtInTitle(joinSegments(line.segments).text) !== 'examples') continue;
+      const records = buildExamples(readItems(adapter, value, s), SOURCES.info);
+      if (records.length) return { source: SOURCES.info, records };
+    }
+
+    if (s.exampleItems) {
+      const items = adapter.queryAll(root, s.exampleItems).map((el) => {
+        const [line] = readLines(adapter, el, s, true);
+        return Object.assign(joinSegments(line ? line.segments : []), { kind: KINDS.phrase });
+      });
+      const records = buildExamples(items, SOURCES.list);
+      if (records.length) return { source: SOURCES.list, records };
+    }
+
+    return { source: '', records: [] };
+  }
+
+  /** Convenience: read the panel of a live document. */
+  function readPanelFromDom(rootEl, sel) {
+    return readPanel(domAdapter, rootEl, sel);
+  }
+
+  /** Convenience: read the panel of a loaded cheerio document. */
+  function readPanelFromCheerio($, sel) {
+    return readPanel(cheerioAdapter($), $.root()[0], sel);
+  }
+
+  // ── Info items ─────────────────────────────────────────────────────────
+
+  /**
+   * Text of an info item value. A list of chips (only inline child
+   * elements, no loose text) becomes "a, b, c"; anything else keeps its
+   * rendered lines, newline-joined.
+   */
+  function fieldValue(adapter, el, s) {
+    const fieldSel = Object.assign({}, s, { phraseChrome: FIELD_CHROME, phraseCount: '', phraseHighlight: '', snippetItems: '' });
+    const children = adapter.children(el).filter((node) =>
+      !(adapter.isText(node) && !adapter.text(node).trim()) && !(adapter.isElement(node) && adapter.matches(node, FIELD_CHROME)));
+    const chips = children.length > 1 &&
+      children.every((node) => adapter.isElement(node) && !BLOCK_TAGS.has(adapter.tag(node)));
+    if (chips) {
+      return children
+        .map((node) => readLines(adapter, node, fieldSel, true)[0])
+        .map((line) => (line ? joinSegments(line.segments).text : ''))
+        .filter(Boolean)
+        .join(', ');
+    }
+    return readLines(adapter, el, fieldSel, false)
+      .map((line) => joinSegments(line.segments).text)
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Every info item of the panel as `{title, value}`, in panel order.
+   * Items without a title are skipped; the value may be ''.
+   *
+   * @param {PhraseAdapter} adapter
+   * @param {*} root  document (or element) holding the panel
+   * @param {Object} [sel]  selector profile keys (lib/selectorProfile.js)
+   * @returns {{title: string, value: string}[]}
+   */
+  function readInfoFields(adapter, root, sel) {
+    const s = selectorsFor(sel);
+    const fields = [];
+    for (const item of adapter.queryAll(root, s.infoItem)) {
+      const titleEl = adapter.queryAll(item, s.infoTitle)[0];
+      if (!titleEl) continue;
+      const [line] = readLines(adapter, titleEl, Object.assign({}, s, { phraseChrome: FIELD_CHROME, phraseCount: '' }), true);
+      const title = line ? joinSegments(line.segments).text.replace(/\s*:$/, '') : '';
+      if (!title) continue;
+      const valueEl = adapter.queryAll(item, s.infoValue)[0];
+      fields.push({ title, value: valueEl ? fieldValue(adapter, valueEl, s) : '' });
+    }
+    return fields;
+  }
+
+  /** Convenience: info items of a live document. */
+  function readInfoFieldsFromDom(rootEl, sel) {
+    return readInfoFields(domAdapter, rootEl, sel);
+  }
+
+  /** Convenience: info items of a loaded cheerio document. */
+  function readInfoFieldsFromCheerio($, sel) {
+    return readInfoFields(cheerioAdapter($), $.root()[0], sel);
+  }
+
+  return {
+    SELECTORS,
+    LOAD_DEFAULTS,
+    KINDS,
+    SOURCES,
+    domAdapter,
+    cheerioAdapter,
+    cleanText,
+    titleKey,
+    builtInTitle,
+    normaliseKey,
+    isChrome,
+    joinSegments,
+    readItems,
+    buildExamples,
+    fromText,
+    toText,
+    highlightFields,
+    highlightRuns,
+    readPanel,
+    readPanelFromDom,
+    readPanelFromCheerio,
+    readInfoFields,
+    readInfoFieldsFromDom,
+    readInfoFieldsFromCheerio,
+    parseReportedCount,
+    loadPanelFromDom,
+  };
+});
@@ -0,0 +1,280 @@
+/**
+ * ============================================================================
+ *  CXOne Quality Report — is this export trustworthy?
+ * ============================================================================
+ *
+ *  Looks over the rows of a finished run and lists what deserves a second
+ *  look before the export is shared:
+ *
+ *    noExamples         intents whose detail panel gave no examples
+ *    incompleteExamples intents with fewer examples captured than CXOne
+ *                       reports (list not fully loaded, or MAX_PHRASES hit)
+ *    collapsed          collapsed-topic placeholders (intents not captured)
+ *    skipped            intents the scraper skipped (node not found, panel
+ *                       not ready, panel stale after every retry)
+ *    duplicateNames     intent names used more than once
+ *    identicalExamples  consecutive intents with the same example set — the
+ *                       usual sign of a stale detail panel
+ *    shortPhrases       examples with fewer than `minWords` words
+ *    longPhrases        examples longer than `maxChars` characters
+ *
+ *  buildReport() returns a JSON-ready object, toHtml() a self-contained
+ *  page. Example checks are left out for runs that never open the detail
+ *  panel (the offline parser): `details: false`.
+ *
+ *  Loads as CommonJS under Node and as the `CXOneQuality` global in a page.
+ * ============================================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CXOneQuality = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULTS = {
+    // The run opened each intent's detail panel, so examples were expected
+    details: true,
+    minWords: 2,
+    maxChars: 300,
+  };
+
+  // Row statuses meaning the scraper gave up on the intent
+  const SKIPPED_STATUSES = {
+    'not-found': 'Node not found in the tree',
+    'not-ready': 'Detail panel not ready',
+    stale: 'Detail panel kept showing another intent',
+  };
+
+  const CHECKS = [
+    { key: 'skipped', title: 'Skipped intents', details: false },
+    { key: 'identicalExamples', title: 'Identical examples as the previous intent (stale panel?)', details: true },
+    { key: 'noExamples', title: 'Intents without examples', details: true },
+    { key: 'incompleteExamples', title: 'Intents with fewer examples captured than reported', details: true },
+    { key: 'duplicateNames', title: 'Duplicate intent names', details: false },
+    { key: 'collapsed', title: 'Collapsed topics (intents not captured)', details: false },
+    { key: 'shortPhrases', title: 'Very short phrases', details: true },
+    { key: 'longPhrases', title: 'Very long phrases', details: true },
+  ];
+
+  function exampleList(examples) {
+    if (Array.isArray(examples)) return examples.map((e) => String(e).trim()).filter(Boolean);
+    return String(examples || '')
+      .split('\n')
+      .map((e) => e.trim())
+      .filter(Boolean);
+  }
+
+  function rowPath(row) {
+    return [row.category, row.topic, row.intent].filter(Boolean).join(' > ');
+  }
+
+  /** Order-independent, case-insensitive key of an example set. */
+  function exampleSetKey(examples) {
+    return examples.map((e) => e.toLowerCase()).sort().join('\n');
+  }
+
+  function wordCount(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+
+  /**
+   * @param {Object[]} rows   rows in scrape order (status, examples, ...)
+   * @param {Object} [meta]   copied to the top of the report (model, source, ...)
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   * @returns {{generatedAt: string, summary: Object, checks: Object}}
+   */
+  function buildReport(rows, meta, opts) {
+    const o = Object.assign({}, DEFAULTS, opts);
+    const checks = {};
+    for (const check of CHECKS) {
+      if (!check.details || o.details) checks[check.key] = [];
+    }
+
+    // Keyed by any intent name, "constructor" included
+    const byName = new Map();
+    let previous = null;
+    let intents = 0;
+    let withExamples = 0;
+    let phrases = 0;
+    let retried = 0;
+
+    for (const row of rows) {
+      if (row.collapsed) {
+        // The placeholder stands for the topic (or category); its "intent" is a note
+        checks.collapsed.push({ path: [row.category, row.topic].filter(Boolean).join(' > '), percentage: row.intentPercentage || '' });
+        continue;
+      }
+      const path = rowPath(row);
+      intents++;
+      if (row.panelRetries > 0) retried++;
+
+      const name = String(row.intent || '').trim();
+      const nameKey = name.toLowerCase();
+      if (!byName.has(nameKey)) byName.set(nameKey, { name, paths: [] });
+      byName.get(nameKey).paths.push(path);
+
+      if (SKIPPED_STATUSES[row.status]) {
+        checks.skipped.push({ path, status: row.status, reason: SKIPPED_STATUSES[row.status] });
+        previous = null;
+        continue;
+      }
+      if (!o.details) continue;
+
+      const examples = exampleList(row.examples);
+      phrases += examples.length;
+      if (row.examplesCapped || (typeof row.examplesReported === 'number' && examples.length < row.examplesReported)) {
+        checks.incompleteExamples.push({
+          path,
+          reported: row.examplesReported,
+          captured: examples.length,
+          reason: row.examplesCapped ? 'Phrase cap reached' : 'List not fully loaded',
+        });
+      }
+      if (examples.length === 0) {
+        checks.noExamples.push({ path });
+        previous = null;
+        continue;
+      }
+      withExamples++;
+
+      const key = exampleSetKey(examples);
+      if (previous && previous.key === key) {
+        checks.identicalExamples.push({ path, previous: previous.path, examples: examples.length });
+      }
+      previous = { key, path };
+
+      for (const phrase of examples) {
+        if (wordCount(phrase) < o.minWords) {
+          checks.shortPhrases.push({ path, phrase, length: phrase.length });
+        } else if (phrase.length > o.maxChars) {
+          checks.longPhrases.push({ path, phrase, length: phrase.length });
+        }
+      }
+    }
+
+    for (const entry of byName.values()) {
+      if (entry.paths.length > 1) checks.duplicateNames.push({ name: entry.name, count: entry.paths.length, paths: entry.paths });
+    }
+
+    const counts = {};
+    let flagged = 0;
+    for (const key of Object.keys(checks)) {
+      counts[key] = checks[key].length;
+      flagged += checks[key].length;
+    }
+
+    return Object.assign({ generatedAt: new Date().toISOString() }, meta, {
+      thresholds: { minWords: o.minWords, maxChars: o.maxChars },
+      summary: Object.assign({
+        intents,
+        withExamples: o.details ? withExamples : null,
+        phrases: o.details ? phrases : null,
+        // Intents whose panel looked stale at first (lib/panelReady checkPanel)
+        retried: o.details ? retried : null,
+        flagged,
+      }, counts),
+      checks,
+    });
+  }
+
+  // ── HTML ───────────────────────────────────────────────────────────────
+
+  function esc(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // One table per check: [column header, entry → cell text]
+  const TABLES = {
+    skipped: [['Intent', (e) => e.path], ['Reason', (e) => e.reason]],
+    identicalExamples: [['Intent', (e) => e.path], ['Same examples as', (e) => e.previous], ['Examples', (e) => e.examples]],
+    noExamples: [['Intent', (e) => e.path]],
+    incompleteExamples: [['Intent', (e) => e.path], ['Reported', (e) => e.reported], ['Captured', (e) => e.captured], ['Reason', (e) => e.reason]],
+    duplicateNames: [['Name', (e) => e.name], ['Count', (e) => e.count], ['Where', (e) => e.paths.join('\n')]],
+    collapsed: [['Topic', (e) => e.path], ['Percentage', (e) => e.percentage]],
+    shortPhrases: [['Intent', (e) => e.path], ['Phrase', (e) => e.phrase]],
+    longPhrases: [['Intent', (e) => e.path], ['Length', (e) => e.length], ['Phrase', (e) => e.phrase]],
+  };
+
+  /** HTML lines for one report: verdict, summary table, one table per check. */
+  function reportSection(report, heading) {
+    const s = report.summary;
+    const facts = [
+      ['Model', [report.model, report.modelVersion].filter(Boolean).join(' ')],
+      ['Source', report.sourceFile || report.url || report.source],
+      ['Generated', report.generatedAt],
+      ['Intents', s.intents],
+      ['With examples', s.withExamples],
+      ['Phrases', s.phrases],
+      ['Stale panels retried', s.retried],
+    ].filter((fact) => fact[1] !== undefined && fact[1] !== null && fact[1] !== '');
+
+    const out = [];
+    if (heading) out.push('<h2>' + esc(heading) + '</h2>');
+    out.push(s.flagged === 0
+      ? '<p class="ok">Nothing flagged.</p>'
+      : '<p class="review">' + esc(s.flagged) + ' item(s) to review before sharing this export.</p>');
+
+    out.push('<table>');
+    for (const fact of facts) out.push('<tr><th>' + esc(fact[0]) + '</th><td>' + esc(fact[1]) + '</td></tr>');
+    for (const check of CHECKS) {
+      if (report.checks[check.key]) {
+        out.push('<tr><th>' + esc(check.title) + '</th><td>' + esc(s[check.key]) + '</td></tr>');
+      }
+    }
+    out.push('</table>');
+
+    for (const check of CHECKS) {
+      const entries = report.checks[check.key];
+      if (!entries || entries.length === 0) continue;
+      const columns = TABLES[check.key];
+      out.push('<h3>' + esc(check.title) + ' (' + entries.length + ')</h3>', '<table>');
+      out.push('<tr>' + columns.map((c) => '<th>' + esc(c[0]) + '</th>').join('') + '</tr>');
+      for (const entry of entries) {
+        out.push('<tr>' + columns.map((c) => '<td>' + esc(c[1](entry)) + '</td>').join('') + '</tr>');
+      }
+      out.push('</table>');
+    }
+    return out;
+  }
+
+  /**
+   * Self-contained HTML page for one report from buildReport(), or for
+   * several (one per snapshot or model), each under its own heading.
+   */
+  function toHtml(reports) {
+    const list = Array.isArray(reports) ? reports : [reports];
+    const models = list.map((report) => report.model).filter(Boolean);
+    const title = 'CXOne Intents Quality Report' + (models.length === 1 ? ' - ' + models[0] : '');
+
+    const out = [];
+    out.push('<!DOCTYPE html>', '<html lang="en">', '<head>', '<meta charset="utf-8">');
+    out.push('<title>' + esc(title) + '</title>');
+    out.push('<style>',
+      'body{font-family:Calibri,Arial,sans-serif;margin:2em;color:#222}',
+      'h1,h2{color:#4472C4}',
+      'table{border-collapse:collapse;margin-bottom:1.5em}',
+      'th{background:#4472C4;color:#fff;text-align:left}',
+      'th,td{border:1px solid #ccc;padding:4px 8px;vertical-align:top;white-space:pre-wrap}',
+      '.ok{color:#2e7d32}.review{color:#c62828}',
+      '</style>', '</head>', '<body>');
+    out.push('<h1>' + esc(title) + '</h1>');
+    for (const report of list) {
+      const heading = list.length > 1
+        ? [report.sourceFile, report.model, report.modelVersion].filter(Boolean).join(' - ')
+        : '';
+      out.push.apply(out, reportSection(report, heading));
+    }
+    out.push('</body>', '</html>');
+    return out.join('\n') + '\n';
+  }
+
+  return { DEFAULTS, CHECKS, buildReport, toHtml };
+});
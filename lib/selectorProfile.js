@@ -0,0 +1,305 @@
+/**
+ * ============================================================================
+ *  CXOne Selector Profiles — every CSS selector the scrapers rely on
+ * ============================================================================
+ *
+ *  A CXOne release that renames one class used to break a scraper in four
+ *  places. The selectors now live in one JSON profile per Intent Builder
+ *  build, under selectors/:
+ *
+ *    {
+ *      "profile": "cxone-2026-01",
+ *      "uiBuild": { "ngVersion": "17.3.12", "seen": "2026-01-27" },
+ *      "extends": "cxone-2025-10",        optional: start from another profile
+ *      "selectors": { "kanbanPanel": ".kanban-view-panel", ... }
+ *    }
+ *
+ *  A selector is a string, or a list of alternatives (joined into one
+ *  selector list). A profile that extends another only lists what changed.
+ *
+ *  KEYS says where each selector is expected to match, so `cxone-intents
+ *  doctor` can tell a broken selector from one whose part of the page (an
+ *  open detail panel, the grid view) is simply not showing.
+ *
+ *  Node loads profiles from disk (loadProfile); the console bundles embed
+ *  one at build time and read it back with active().
+ *
+ *  Loads as CommonJS under Node and as the `CXOneSelectors` global in a page.
+ * ============================================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CXOneSelectors = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULT_PROFILE = 'cxone-2026-01';
+
+  // Part of the page each scope lives in, and the key that shows it is there
+  // (null: the Intent Builder page itself)
+  const SCOPES = {
+    page: { title: 'Intent Builder page', marker: null },
+    kanban: { title: 'Kanban tree', marker: 'kanbanPanel' },
+    grid: { title: 'Hierarchy grid', marker: 'gridPanel' },
+    panel: { title: 'Detail panel (open an intent)', marker: 'infoPanel' },
+    modelList: { title: 'Model list (open the model dropdown)', marker: 'modelOption' },
+  };
+
+  // Every selector key. Optional ones may match nothing on a healthy page
+  // (no collapsed nodes, no "new" tags, a fallback for older layouts).
+  const KEYS = {
+    intentBuilder: { scope: 'page' },
+    modelName: { scope: 'page' },
+    modelVersion: { scope: 'page' },
+    modelBox: { scope: 'page' },
+    totalInteractions: { scope: 'page', optional: true },
+
+    modelOption: { scope: 'modelList' },
+    modelOptionName: { scope: 'modelList' },
+    modelOptionVersion: { scope: 'modelList' },
+
+    kanbanPanel: { scope: 'kanban' },
+    node: { scope: 'kanban' },
+    name: { scope: 'kanban' },
+    percentage: { scope: 'kanban' },
+    tag: { scope: 'kanban', optional: true },
+    treeNodeContent: { scope: 'kanban' },
+    // Leaf intents render a (hidden) chevron too; the selector must skip them
+    collapsedToggler: { scope: 'kanban', optional: true },
+    collapsedIcon: { scope: 'kanban', optional: true },
+
+    gridPanel: { scope: 'grid' },
+    gridRow: { scope: 'grid' },
+    gridName: { scope: 'grid' },
+    gridPercentage: { scope: 'grid' },
+    gridChildCount: { scope: 'grid', optional: true },
+    // Clicked to open a grid intent's detail panel
+    gridGroupValue: { scope: 'grid' },
+    gridExpand: { scope: 'grid', optional: true },
+    // Scrolled to make ag-grid render every row of a page
+    gridViewport: { scope: 'grid', optional: true },
+    gridPagingPanel: { scope: 'grid', optional: true },
+    gridNextPage: { scope: 'grid', optional: true },
+    gridFirstPage: { scope: 'grid', optional: true },
+    gridCurrentPage: { scope: 'grid', optional: true },
+    gridTotalPages: { scope: 'grid', optional: true },
+
+    infoPanel: { scope: 'panel' },
+    // Element holding the intent name in the panel; empty = any leaf whose
+    // text equals the intent name (see lib/panelReady.js)
+    infoPanelTitle: { scope: 'panel', optional: true },
+    phrases: { scope: 'panel' },
+    phraseItems: { scope: 'panel', optional: true },
+    // Matched against elements inside the phrase list (lib/phrases.js):
+    // highlighted spans, transcript snippets, and chrome to leave out
+    phraseHighlight: { scope: 'panel', optional: true },
+    snippetItems: { scope: 'panel', optional: true },
+    phraseChrome: { scope: 'panel', optional: true },
+    // Long phrase lists: the total CXOne reports, and the controls that
+    // show the rest (lib/phrases.js loadPanelFromDom)
+    phraseCount: { scope: 'panel', optional: true },
+    phraseLoadMore: { scope: 'panel', optional: true },
+    phraseScroller: { scope: 'panel', optional: true },
+    phraseNextPage: { scope: 'panel', optional: true },
+    infoItem: { scope: 'panel' },
+    infoTitle: { scope: 'panel' },
+    infoValue: { scope: 'panel' },
+    // Fallbacks when the info items do not carry examples / volume / status
+    exampleItems: { scope: 'panel', optional: true },
+    headerVolume: { scope: 'panel', optional: true },
+    activeToggle: { scope: 'panel', optional: true },
+  };
+
+  /** One selector string; alternatives become a selector list. */
+  function selectorText(value) {
+    return Array.isArray(value) ? value.join(', ') : String(value || '');
+  }
+
+  /**
+   * Flat `{key: css}` map of a profile, ready for CONFIG.selectors or the
+   * lib/intentTree `selectors` option.
+   */
+  function resolve(profile) {
+    const out = {};
+    for (const key of Object.keys(profile.selectors)) out[key] = selectorText(profile.selectors[key]);
+    return out;
+  }
+
+  // ── Node: profiles on disk ─────────────────────────────────────────────
+
+  /**
+   * Reads a profile by name (selectors/<name>.json) or path, following
+   * `extends`. Throws on unknown keys (typos) and, once merged, on keys
+   * no profile in the chain sets.
+   *
+   * @param {string} [nameOrFile]  defaults to DEFAULT_PROFILE
+   * @param {string} [dir]         profile directory (default: ../selectors)
+   * @returns {{profile: string, file: string, uiBuild: Object, chain: string[], selectors: Object}}
+   */
+  function loadProfile(nameOrFile, dir) {
+    const fs = require('fs');
+    const path = require('path');
+    const profileDir = dir || path.join(__dirname, '..', 'selectors');
+
+    function fileFor(ref, from) {
+      if (/\.json$/i.test(ref) || /[\\/]/.test(ref)) return path.resolve(from || process.cwd(), ref);
+      return path.join(profileDir, `${ref}.json`);
+    }
+
+    function read(ref, from, seen) {
+      const file = fileFor(ref, from);
+      if (seen.includes(file)) {
+        throw new Error(`Selector profile ${file} extends itself (${seen.concat(file).join(' → ')})`);
+      }
+      if (!fs.existsSync(file)) {
+        throw new Error(`Selector profile not found: ${file} (available: ${listProfiles(profileDir).join(', ') || 'none'})`);
+      }
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch (err) {
+        throw new Error(`Selector profile ${file} is not valid JSON (${err.message})`);
+      }
+      if (!data || typeof data.selectors !== 'object') {
+        throw new Error(`Selector profile ${file} has no "selectors" object`);
+      }
+      const unknown = Object.keys(data.selectors).filter((key) => !KEYS[key]);
+      if (unknown.length > 0) {
+        throw new Error(`Selector profile ${file} has unknown key(s): ${unknown.join(', ')}`);
+      }
+      const name = data.profile || path.basename(file, '.json');
+      if (!data.extends) return { profile: name, file, uiBuild: data.uiBuild || {}, chain: [name], selectors: data.selectors };
+
+      const base = read(data.extends, path.dirname(file), seen.concat(file));
+      return {
+        profile: name,
+        file,
+        uiBuild: data.uiBuild || base.uiBuild,
+        chain: base.chain.concat(name),
+        selectors: Object.assign({}, base.selectors, data.selectors),
+      };
+    }
+
+    const profile = read(nameOrFile || DEFAULT_PROFILE, null, []);
+    const missing = Object.keys(KEYS).filter((key) => !(key in profile.selectors));
+    if (missing.length > 0) {
+      throw new Error(`Selector profile ${profile.file} does not set: ${missing.join(', ')}`);
+    }
+    return profile;
+  }
+
+  /** Profile names in `dir` (default: ../selectors), sorted. */
+  function listProfiles(dir) {
+    const fs = require('fs');
+    const path = require('path');
+    const profileDir = dir || path.join(__dirname, '..', 'selectors');
+    if (!fs.existsSync(profileDir)) return [];
+    return fs.readdirSync(profileDir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => file.slice(0, -'.json'.length))
+      .sort();
+  }
+
+  // ── Browser: the profile embedded in a console bundle ─────────────────
+
+  let activeProfile = null;
+
+  /** Registers the profile the console scripts read (scripts/buildConsole.js). */
+  function use(profile) {
+    activeProfile = profile;
+    return resolve(profile);
+  }
+
+  /** Flat selectors of the registered profile; null when none was embedded. */
+  function active() {
+    return activeProfile ? resolve(activeProfile) : null;
+  }
+
+  /** Name of the registered profile, for logs. */
+  function activeName() {
+    return activeProfile ? activeProfile.profile : '';
+  }
+
+  // ── Doctor ─────────────────────────────────────────────────────────────
+
+  /**
+   * Checks every selector of a profile against one page.
+   *
+   * Status per key:
+   *   ok       matches at least one element
+   *   missing  matches nothing although its part of the page is showing
+   *   absent   optional and matches nothing (fine on most pages)
+   *   skipped  its part of the page is not showing (scope marker matched nothing)
+   *   unset    empty in the profile (a documented "not used")
+   *   invalid  not a valid selector
+   *
+   * @param {Object} selectors      flat, from resolve() (overrides applied)
+   * @param {function(string): number} count  elements matching a selector;
+   *   may throw for an invalid one
+   * @param {Object} [profile]      raw profile, to check list alternatives one by one
+   * @returns {{scopes: Object, results: Object[], counts: Object}}
+   */
+  function check(selectors, count, profile) {
+    function tryCount(css) {
+      try {
+        return { count: count(css) };
+      } catch (err) {
+        return { count: 0, error: err.message };
+      }
+    }
+
+    const scopes = {};
+    for (const scope of Object.keys(SCOPES)) {
+      const marker = SCOPES[scope].marker;
+      scopes[scope] = !marker || (!!selectors[marker] && tryCount(selectors[marker]).count > 0);
+    }
+
+    const results = [];
+    const counts = { ok: 0, missing: 0, absent: 0, skipped: 0, unset: 0, invalid: 0 };
+    for (const key of Object.keys(KEYS)) {
+      const meta = KEYS[key];
+      const selector = selectors[key] || '';
+      const result = { key, scope: meta.scope, optional: !!meta.optional, selector, count: 0, status: '' };
+      if (!selector) {
+        result.status = 'unset';
+      } else {
+        const found = tryCount(selector);
+        result.count = found.count;
+        if (found.error) {
+          result.status = 'invalid';
+          result.error = found.error;
+        } else if (found.count > 0) {
+          result.status = 'ok';
+        } else if (!scopes[meta.scope]) {
+          result.status = 'skipped';
+        } else {
+          result.status = meta.optional ? 'absent' : 'missing';
+        }
+      }
+      const raw = profile && profile.selectors && profile.selectors[key];
+      if (Array.isArray(raw) && selectorText(raw) === selector && result.status !== 'invalid') {
+        result.alternatives = raw.map((css) => Object.assign({ selector: css }, tryCount(css)));
+      }
+      counts[result.status]++;
+      results.push(result);
+    }
+    return { scopes, results, counts };
+  }
+
+  return {
+    DEFAULT_PROFILE,
+    SCOPES,
+    KEYS,
+    resolve,
+    loadProfile,
+    listProfiles,
+    use,
+    active,
+    activeName,
+    check,
+  };
+});
@@ -0,0 +1,128 @@
+/**
+ * Helpers for working with many saved Intent Builder pages at once:
+ * resolving a directory / glob / file list into snapshot files, and reading
+ * the metadata each row is tagged with (source file, model, capture time).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Extensions picked up when a directory is given. Saved pages often end up
+// as .txt (see CXOne_ReadIntents.txt) when copied out of DevTools.
+const SNAPSHOT_EXTENSIONS = ['.html', '.htm', '.txt'];
+
+const MODEL_SELECTORS = {
+  name: 'model-selection-dropdown .model-version-name',
+  version: 'model-selection-dropdown .version-creation-date',
+};
+
+// 2026-01-27, 2026-01-27T0930, 2026-01-27_09-30, 20260127 ...
+const FILENAME_DATE = /(\d{4})-?(\d{2})-?(\d{2})(?:[T_ -]?(\d{2})[-:h]?(\d{2}))?/;
+
+function hasGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/** Converts a basename glob (`*`, `?`) into an anchored RegExp. */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map((ch) => {
+      if (ch === '*') return '[^/\\\\]*';
+      if (ch === '?') return '[^/\\\\]';
+      return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Expands inputs into a sorted, de-duplicated list of snapshot files.
+ * Each input may be a file, a directory (its snapshot files, not recursive)
+ * or a glob whose wildcards are in the file name only (`snapshots/*.html`).
+ *
+ * @param {string[]} inputs
+ * @returns {string[]} absolute paths
+ */
+function resolveSnapshotFiles(inputs) {
+  const files = new Set();
+
+  for (const input of inputs) {
+    const resolved = path.resolve(input);
+
+    if (hasGlob(path.basename(resolved))) {
+      const dir = path.dirname(resolved);
+      if (hasGlob(dir)) {
+        throw new Error(`Wildcards are only supported in the file name: ${input}`);
+      }
+      const re = globToRegExp(path.basename(resolved));
+      for (const name of fs.readdirSync(dir)) {
+        const full = path.join(dir, name);
+        if (re.test(name) && fs.statSync(full).isFile()) files.add(full);
+      }
+      continue;
+    }
+
+    const stat = fs.statSync(resolved);
+    if (stat.isDirectory()) {
+      for (const name of fs.readdirSync(resolved)) {
+        const full = path.join(resolved, name);
+        if (SNAPSHOT_EXTENSIONS.includes(path.extname(name).toLowerCase()) && fs.statSync(full).isFile()) {
+          files.add(full);
+        }
+      }
+    } else {
+      files.add(resolved);
+    }
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * Capture time of a snapshot: a date (and optional HH-MM) in the file name
+ * wins, because copying files around resets mtime; otherwise the file mtime.
+ * The file name's date and time are kept as written (marked UTC), so the
+ * machine's time zone cannot move a capture to another day.
+ *
+ * @returns {string} ISO 8601 timestamp
+ */
+function captureTimestamp(file) {
+  const match = path.basename(file).match(FILENAME_DATE);
+  if (match) {
+    const [, y, mo, d, h = '00', mi = '00'] = match;
+    const date = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi)));
+    if (!isNaN(date) && date.getUTCMonth() === Number(mo) - 1) {
+      return date.toISOString();
+    }
+  }
+  return fs.statSync(file).mtime.toISOString();
+}
+
+/**
+ * Reads the metadata every row from this snapshot is tagged with.
+ *
+ * @param {*} $     loaded cheerio document
+ * @param {string} file
+ * @param {{modelName?: string, modelVersion?: string}} [selectors]  from the selector profile
+ * @returns {{sourceFile: string, model: string, modelVersion: string, capturedAt: string}}
+ */
+function readSnapshotMeta($, file, selectors = {}) {
+  const sourceFile = path.basename(file);
+  const model = $(selectors.modelName || MODEL_SELECTORS.name).first().text().trim();
+  return {
+    sourceFile,
+    // Fall back to the file name so every snapshot still gets a label
+    model: model || path.basename(file, path.extname(file)),
+    modelVersion: $(selectors.modelVersion || MODEL_SELECTORS.version).first().text().trim(),
+    capturedAt: captureTimestamp(file),
+  };
+}
+
+module.exports = {
+  SNAPSHOT_EXTENSIONS,
+  MODEL_SELECTORS,
+  resolveSnapshotFiles,
+  captureTimestamp,
+  readSnapshotMeta,
+};
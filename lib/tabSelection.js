@@ -0,0 +1,97 @@
+/**
+ * Picks the Intent Builder tab of a connected Chrome.
+ *
+ * Tabs are matched by URL and / or title pattern (case-insensitive regular
+ * expressions). Without either, URLs mentioning cxone, nice or intent are
+ * candidates. When several tabs match, the one hosting the Intent Builder
+ * (INTENT_BUILDER_SELECTOR) wins; if that still leaves more than one — or
+ * none match at all — the run stops and lists the tabs instead of guessing.
+ */
+
+// Root component of the Intent Builder app
+const INTENT_BUILDER_SELECTOR = 'lib-ib-app-lib-intent-builder';
+
+// Candidate URLs when no pattern is configured
+const DEFAULT_URL_PATTERN = /cxone|nice|intent/i;
+
+/** "intent-builder" → /intent-builder/i; throws on an invalid expression. */
+function toPattern(value, what) {
+  if (value instanceof RegExp) return value;
+  try {
+    return new RegExp(value, 'i');
+  } catch (err) {
+    throw new Error(`Invalid ${what} pattern "${value}" (${err.message})`);
+  }
+}
+
+/**
+ * URL, title and whether the Intent Builder is on the page, for every tab.
+ *
+ * @param {import('puppeteer-core').Page[]} pages
+ * @param {string} [hostSelector]
+ * @returns {Promise<{index: number, url: string, title: string, hostsBuilder: boolean, page: Object}[]>}
+ */
+async function describeTabs(pages, hostSelector = INTENT_BUILDER_SELECTOR) {
+  const tabs = [];
+  for (const [index, page] of pages.entries()) {
+    const url = page.url();
+    // Pages that are gone or never loaded (chrome://, crashed) have no DOM to ask
+    const title = await page.title().catch(() => '');
+    const hostsBuilder = await page.$(hostSelector).then((el) => !!el, () => false);
+    tabs.push({ index, url, title, hostsBuilder, page });
+  }
+  return tabs;
+}
+
+/** One line per tab, for error messages and logs. */
+function formatTabs(tabs) {
+  return tabs
+    .map((tab) => `  [${tab.index}] ${tab.title || '(no title)'} — ${tab.url}` +
+      (tab.hostsBuilder ? '  (Intent Builder)' : ''))
+    .join('\n');
+}
+
+/**
+ * @param {Object[]} tabs  from describeTabs()
+ * @param {{url?: string|RegExp|null, title?: string|RegExp|null}} [match]
+ * @returns {{tab: Object, candidates: Object[]}} the chosen tab and every tab
+ *   that matched the patterns
+ */
+function selectTab(tabs, match = {}) {
+  const urlPattern = match.url ? toPattern(match.url, 'tab URL') : null;
+  const titlePattern = match.title ? toPattern(match.title, 'tab title') : null;
+  const wanted = urlPattern || titlePattern
+    ? [urlPattern && `URL /${urlPattern.source}/`, titlePattern && `title /${titlePattern.source}/`]
+      .filter(Boolean).join(' and ')
+    : `URL /${DEFAULT_URL_PATTERN.source}/`;
+
+  const candidates = tabs.filter((tab) => {
+    if (!urlPattern && !titlePattern) return DEFAULT_URL_PATTERN.test(tab.url);
+    return (!urlPattern || urlPattern.test(tab.url)) && (!titlePattern || titlePattern.test(tab.title));
+  });
+
+  if (candidates.length === 0) {
+    throw new Error(
+      `No open tab matches ${wanted}. Open tabs:\n${formatTabs(tabs) || '  (none)'}\n` +
+      'Open the Intent Builder, or pick its tab with --tab-url / --tab-title.'
+    );
+  }
+  if (candidates.length === 1) return { tab: candidates[0], candidates };
+
+  const hosting = candidates.filter((tab) => tab.hostsBuilder);
+  if (hosting.length === 1) return { tab: hosting[0], candidates };
+  throw new Error(
+    `${candidates.length} tabs match ${wanted}` +
+    (hosting.length > 1 ? `, ${hosting.length} of them with the Intent Builder` : '') +
+    `:\n${formatTabs(candidates)}\n` +
+    'Pick one with a narrower --tab-url / --tab-title, or close the others.'
+  );
+}
+
+module.exports = {
+  INTENT_BUILDER_SELECTOR,
+  DEFAULT_URL_PATTERN,
+  describeTabs,
+  formatTabs,
+  selectTab,
+};
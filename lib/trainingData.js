@@ -0,0 +1,292 @@
+/**
+ * Turns scraped intent rows into NLU training sets. Every intent's examples
+ * become labelled utterances; the label granularity decides what a model
+ * learns to predict:
+ *
+ *   intent    Category > Topic > Intent  (one class per intent)
+ *   topic     Category > Topic           (intents merged into their topic)
+ *   category  Category                   (everything merged per category)
+ *
+ * Formats: Rasa nlu.yml, Dialogflow ES intent files, Amazon Lex (V1) bot
+ * JSON and a generic `text,label` CSV.
+ */
+
+const crypto = require('crypto');
+const { COLLAPSED_INTENT } = require('./intentTree');
+const { splitExamples } = require('./intentDiff');
+const { normaliseKey } = require('./phrases');
+
+const TRAINING_FORMATS = ['rasa', 'dialogflow', 'lex', 'csv'];
+
+const GRANULARITIES = ['intent', 'topic', 'category'];
+
+// Row fields making up the label path, per granularity
+const LABEL_FIELDS = {
+  intent: ['category', 'topic', 'intent'],
+  topic: ['category', 'topic'],
+  category: ['category'],
+};
+
+// Lex V1 limits: intent names ^([A-Za-z]_?)+$ (letters and single "_")
+// up to 100 chars, utterances up to 200 chars without most punctuation
+const LEX_NAME_MAX = 100;
+const LEX_UTTERANCE_MAX = 200;
+
+// Digits spelt out in Lex names, which allow letters only
+const DIGIT_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Labels
+// ─────────────────────────────────────────────────────────────────────────────
+
+function labelParts(row, granularity) {
+  return LABEL_FIELDS[granularity].map((field) => String(row[field] || '').trim());
+}
+
+function snake(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function shortHash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 8);
+}
+
+/**
+ * Identifier form of a label path, valid as a Rasa and Dialogflow intent
+ * name: words joined by "_", levels by "-". Over-long names are cut and
+ * suffixed with a short hash so they stay unique.
+ */
+function labelId(parts) {
+  const id = parts.map((part) => snake(part) || 'unnamed').join('-');
+  if (id.length <= LEX_NAME_MAX) return id;
+  return id.slice(0, LEX_NAME_MAX - 9).replace(/[_-]+$/, '') + '-' + shortHash(id);
+}
+
+/**
+ * `id`, or `id_2`, `id_3`, ... when another label of the export already
+ * has it ("Billing & Payments" and "Billing / Payments" share one, as do
+ * names without Latin letters). Records the result in `used`.
+ */
+function uniqueId(id, used) {
+  let unique = id;
+  for (let n = 2; used.has(unique); n++) {
+    const suffix = `_${n}`;
+    unique = id.slice(0, LEX_NAME_MAX - suffix.length) + suffix;
+  }
+  used.add(unique);
+  return unique;
+}
+
+/** A hash of `text` in letters a-p, for Lex names. */
+function letterHash(text) {
+  return shortHash(text).replace(/[0-9a-f]/g, (c) => String.fromCharCode(97 + parseInt(c, 16)));
+}
+
+/**
+ * Lex V1 intent name for a label id: digits spelt out, every other run of
+ * non-letters one "_". Names cut to length or already used get a letter
+ * hash of the id instead, so they stay unique within the bot.
+ */
+function lexName(id, used) {
+  const base = id
+    .replace(/\d/g, (d) => `_${DIGIT_WORDS[d]}_`)
+    .replace(/[^A-Za-z]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'intent';
+  let name = base;
+  if (name.length > LEX_NAME_MAX || used.has(name)) {
+    name = base.slice(0, LEX_NAME_MAX - 9).replace(/_+$/, '') + '_' + letterHash(id);
+  }
+  used.add(name);
+  return name;
+}
+
+/**
+ * Groups example phrases by label. Collapsed placeholders are skipped and
+ * duplicate phrases (case, punctuation and spacing ignored, see
+ * lib/phrases.js normaliseKey) are kept once per label.
+ *
+ * @param {Object[]} rows       flat rows (examples newline-joined or arrays)
+ * @param {string} granularity  intent | topic | category
+ * @returns {{label: string, id: string, examples: string[]}[]}  in row order;
+ *   ids are unique within the result
+ */
+function groupExamples(rows, granularity = 'intent') {
+  if (!LABEL_FIELDS[granularity]) {
+    throw new Error(`Unknown label granularity "${granularity}". Expected one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const groups = [];
+  const byLabel = new Map();
+  const usedIds = new Set();
+  for (const row of rows) {
+    if (!row.intent || row.intent === COLLAPSED_INTENT || row.collapsed) continue;
+
+    const parts = labelParts(row, granularity);
+    const label = parts.join(' > ');
+    let group = byLabel.get(label);
+    if (!group) {
+      group = { label, id: uniqueId(labelId(parts), usedIds), examples: [], seen: new Set() };
+      byLabel.set(label, group);
+      groups.push(group);
+    }
+    for (const example of splitExamples(row.examples)) {
+      const key = normaliseKey(example) || example.toLowerCase();
+      if (group.seen.has(key)) continue;
+      group.seen.add(key);
+      group.examples.push(example);
+    }
+  }
+
+  return groups.map(({ label, id, examples }) => ({ label, id, examples }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Formats
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Rasa 3.x nlu.yml. */
+function toRasa(groups) {
+  const lines = ['version: "3.1"', '', 'nlu:'];
+  for (const group of groups) {
+    lines.push(`- intent: ${group.id}`);
+    lines.push('  examples: |');
+    for (const example of group.examples) {
+      // Block scalar: one line per example, so fold any stray newlines
+      lines.push(`    - ${example.replace(/\s*\n\s*/g, ' ')}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Dialogflow ES intent files, as found under intents/ in an agent export:
+ * `<name>.json` plus `<name>_usersays_<lang>.json` per label.
+ *
+ * @returns {{file: string, content: Object}[]}
+ */
+function toDialogflow(groups, opts = {}) {
+  const language = opts.language || 'en';
+  const files = [];
+  for (const group of groups) {
+    files.push({
+      file: `${group.id}.json`,
+      content: {
+        id: crypto.randomUUID(),
+        name: group.id,
+        auto: true,
+        contexts: [],
+        responses: [{
+          resetContexts: false,
+          affectedContexts: [],
+          parameters: [],
+          messages: [],
+          defaultResponsePlatforms: {},
+          speech: [],
+        }],
+        priority: 500000,
+        webhookUsed: false,
+        webhookForSlotFilling: false,
+        fallbackIntent: false,
+        events: [],
+      },
+    });
+    files.push({
+      file: `${group.id}_usersays_${language}.json`,
+      content: group.examples.map((text) => ({
+        id: crypto.randomUUID(),
+        data: [{ text, userDefined: false }],
+        isTemplate: false,
+        count: 0,
+        lang: language,
+        updated: 0,
+      })),
+    });
+  }
+  return files;
+}
+
+/** Lex rejects most punctuation in sample utterances. */
+function lexUtterance(text) {
+  return text
+    .replace(/[^\p{L}\p{N}\s'.-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, LEX_UTTERANCE_MAX)
+    .trim();
+}
+
+/** Amazon Lex V1 bot import JSON; intent names from lexName(). */
+function toLex(groups, opts = {}) {
+  const names = new Set();
+  const intents = groups.map((group) => {
+    const seen = new Set();
+    const sampleUtterances = [];
+    for (const example of group.examples) {
+      const utterance = lexUtterance(example);
+      if (!utterance || seen.has(utterance.toLowerCase())) continue;
+      seen.add(utterance.toLowerCase());
+      sampleUtterances.push(utterance);
+    }
+    return {
+      name: lexName(group.id, names),
+      version: '1',
+      fulfillmentActivity: { type: 'ReturnIntent' },
+      sampleUtterances,
+      slots: [],
+    };
+  });
+
+  return {
+    metadata: { schemaVersion: '1.0', importType: 'LEX', importFormat: 'JSON' },
+    resource: {
+      name: opts.botName || 'CXOneIntents',
+      version: '1',
+      intents,
+      slotTypes: [],
+      voiceId: '0',
+      childDirected: false,
+      locale: opts.locale || 'en-US',
+      idleSessionTTLInSeconds: 300,
+      clarificationPrompt: {
+        messages: [{ contentType: 'PlainText', content: 'Sorry, can you please repeat that?' }],
+        maxAttempts: 5,
+      },
+      abortStatement: {
+        messages: [{ contentType: 'PlainText', content: 'Sorry, I could not understand. Goodbye.' }],
+      },
+    },
+  };
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Generic `text,label` CSV, label in its readable "A > B > C" form. */
+function toCsv(groups) {
+  const lines = ['text,label'];
+  for (const group of groups) {
+    for (const example of group.examples) {
+      lines.push(`${csvField(example)},${csvField(group.label)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  TRAINING_FORMATS,
+  GRANULARITIES,
+  labelId,
+  lexName,
+  groupExamples,
+  toRasa,
+  toDialogflow,
+  toLex,
+  toCsv,
+};
@@ -0,0 +1,98 @@
+/**
+ * Estimated volumes from percentages.
+ *
+ * The detail panel only sometimes shows an intent's volume, and the saved
+ * page never does. Given the total number of interactions for the period
+ * (--total-interactions, or the count in the Intent Builder header), every
+ * category, topic and intent gets `percentage × total` as an estimate.
+ *
+ * Rows say where their volume came from in `volumeSource`:
+ *
+ *   scraped  read from the detail panel
+ *   derived  estimated from the intent percentage
+ *   ''       neither (no total given, or no usable percentage)
+ *
+ * Category and topic volumes (`categoryVolume`, `topicVolume`) are always
+ * derived: CXOne does not show them.
+ */
+
+const { percentValue } = require('./percentageCheck');
+
+const VOLUME_SOURCES = ['scraped', 'derived'];
+
+// Header element showing the period's interaction count, when the build has one
+const TOTAL_SELECTOR = '.intent-builder-header .total-interactions';
+
+const MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+const COUNT_PATTERN = /(\d+(?:\.\d+)?)\s*([kmb])?\b/gi;
+// The label a header puts next to the count: "12,345 interactions", "Interactions: 12,345"
+const LABEL_AFTER = /^\s*(interactions?|conversations?|contacts?)\b/i;
+const LABEL_BEFORE = /\b(interactions?|conversations?|contacts?)\s*:?\s*$/i;
+
+/**
+ * "12,345", "12 345", "12.3K", "1.2M interactions" → number; null when the
+ * text holds no count. With several numbers ("Last 30 days: 12,345
+ * interactions") the one next to the interactions label wins, else the
+ * largest.
+ */
+function parseCount(text) {
+  const clean = String(text === undefined || text === null ? '' : text).replace(/(\d)[,\s ](?=\d{3}\b)/g, '$1');
+  let largest = null;
+  for (const match of clean.matchAll(COUNT_PATTERN)) {
+    const num = Number(match[1]) * (match[2] ? MULTIPLIERS[match[2].toLowerCase()] : 1);
+    if (!Number.isFinite(num)) continue;
+    const end = match.index + match[0].length;
+    if (LABEL_AFTER.test(clean.slice(end)) || LABEL_BEFORE.test(clean.slice(0, match.index))) return Math.round(num);
+    if (largest === null || num > largest) largest = num;
+  }
+  return largest === null ? null : Math.round(largest);
+}
+
+function estimate(percentage, total) {
+  const value = percentValue(percentage);
+  return value === null ? '' : Math.round((value / 100) * total);
+}
+
+/**
+ * Fills in blank intent volumes from the intent percentage and adds
+ * category / topic estimates. Scraped volumes are kept. Rows are changed
+ * in place.
+ *
+ * @param {Object[]} rows
+ * @param {number|null} total  interactions for the period; null only tags
+ *   scraped volumes
+ * @returns {{scraped: number, derived: number}}
+ */
+function deriveVolumes(rows, total) {
+  const counts = { scraped: 0, derived: 0 };
+
+  for (const row of rows) {
+    if (row.volume !== undefined && row.volume !== null && String(row.volume).trim() !== '') {
+      row.volumeSource = 'scraped';
+      counts.scraped++;
+    } else {
+      row.volumeSource = '';
+    }
+    if (!total) continue;
+
+    row.categoryVolume = estimate(row.categoryPercentage, total);
+    row.topicVolume = row.topic ? estimate(row.topicPercentage, total) : '';
+    // Collapsed placeholders stand for a whole topic, not an intent
+    if (row.volumeSource || row.collapsed) continue;
+    row.volume = estimate(row.intentPercentage, total);
+    if (row.volume !== '') {
+      row.volumeSource = 'derived';
+      counts.derived++;
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  VOLUME_SOURCES,
+  TOTAL_SELECTOR,
+  parseCount,
+  deriveVolumes,
+};
@@ -0,0 +1,283 @@
+/**
+ * ============================================================================
+ *  CXOne XLSX Writer — a one-sheet workbook with no dependencies
+ * ============================================================================
+ *
+ *  The browser console scripts cannot load exceljs, so they write the .xlsx
+ *  by hand: SpreadsheetML parts (inline strings, a frozen bold header row,
+ *  an autofilter) packed into an uncompressed ZIP.
+ *
+ *    buildXlsx(rows, { headers, keys, properties, richText })  →  Uint8Array
+ *
+ *  Cell styles: the header row, `intentPercentage` as a 0.00 number (the
+ *  "%" is dropped; text that is not a number stays text), the example
+ *  counts as plain numbers, `examples` and
+ *  `highlights` with wrapped lines. `properties` (exportFormats.
+ *  workbookProperties) become the document properties Excel shows under
+ *  File > Info. `richText` maps a key to a function returning a row's
+ *  cell as [{text, bold}] runs (e.g. lib/phrases.js highlightRuns), or
+ *  null for plain text.
+ *
+ *  Loads as CommonJS under Node and as the `CXOneXlsx` global in a page.
+ * ============================================================================
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CXOneXlsx = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+  const SHEET_NAME = 'Intents';
+
+  // Column widths (characters) by row key; other columns get DEFAULT_WIDTH
+  const WIDTHS = {
+    category: 25,
+    topic: 30,
+    intent: 45,
+    intentPercentage: 18,
+    volume: 12,
+    examples: 60,
+    highlights: 30,
+    highlightTerms: 30,
+    examplesReported: 12,
+    examplesCaptured: 12,
+    tag: 10,
+    intentId: 45,
+    model: 25,
+    modelVersion: 16,
+  };
+  const DEFAULT_WIDTH = 20;
+
+  // cellXfs indexes in STYLES_XML
+  const STYLE_HEADER = 1;
+  const STYLE_WRAP = 2;
+  const STYLE_NUMBER = 3;
+
+  // Keys whose cells keep their line breaks
+  const WRAP_KEYS = ['examples', 'highlights'];
+
+  // Keys written as numbers when they hold one
+  const COUNT_KEYS = ['examplesReported', 'examplesCaptured'];
+
+  const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+  // numFmts must come before fonts (CT_Stylesheet order) or Excel repairs the file
+  const STYLES_XML = XML_HEAD +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="1"><numFmt numFmtId="164" formatCode="0.00"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FF4472C4"/></patternFill></fill></fills>' +
+    '<borders count="1"><border/></borders><cellStyleXfs count="1"><xf/></cellStyleXfs>' +
+    '<cellXfs count="4"><xf/><xf fontId="1" fillId="2" applyFont="1" applyFill="1"><alignment horizontal="center" vertical="center"/></xf><xf applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf><xf numFmtId="164" applyNumberFormat="1"/></cellXfs></styleSheet>';
+
+  const WORKBOOK_RELS_XML = XML_HEAD +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>';
+
+  const RELS_XML = XML_HEAD +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>';
+
+  const CONTENT_TYPES_XML = XML_HEAD +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>';
+
+  function esc(s) {
+    if (s == null) return '';
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/\n/g, '&#10;');
+  }
+
+  /** 0 → "A", 25 → "Z", 26 → "AA". */
+  function columnName(i) {
+    let s = '';
+    i++;
+    while (i > 0) {
+      i--;
+      s = String.fromCharCode(65 + (i % 26)) + s;
+      i = Math.floor(i / 26);
+    }
+    return s;
+  }
+
+  function textCell(ref, value, style) {
+    const val = esc(value);
+    const preserveSpace = val.indexOf('&#10;') !== -1 ? ' xml:space="preserve"' : '';
+    return '<c r="' + ref + '" t="inlineStr"' + (style ? ' s="' + style + '"' : '') +
+      '><is><t' + preserveSpace + '>' + val + '</t></is></c>';
+  }
+
+  /** Inline rich text: bold runs use the body font (Calibri 11). */
+  function richCell(ref, runs, style) {
+    let xml = '';
+    for (const run of runs) {
+      xml += '<r>' + (run.bold ? '<rPr><b/><sz val="11"/><rFont val="Calibri"/></rPr>' : '') +
+        '<t xml:space="preserve">' + esc(run.text) + '</t></r>';
+    }
+    return '<c r="' + ref + '" t="inlineStr"' + (style ? ' s="' + style + '"' : '') + '><is>' + xml + '</is></c>';
+  }
+
+  function dataCell(ref, key, value) {
+    const raw = value === undefined || value === null ? '' : value;
+    if (key === 'intentPercentage') {
+      const num = parseFloat(String(raw).replace('%', ''));
+      if (!isNaN(num)) return '<c r="' + ref + '" s="' + STYLE_NUMBER + '"><v>' + num + '</v></c>';
+      return textCell(ref, raw);
+    }
+    if (COUNT_KEYS.indexOf(key) !== -1 && raw !== '' && isFinite(raw)) {
+      return '<c r="' + ref + '"><v>' + Number(raw) + '</v></c>';
+    }
+    return textCell(ref, raw, WRAP_KEYS.indexOf(key) !== -1 ? STYLE_WRAP : 0);
+  }
+
+  function sheetXml(rows, headers, keys, richText) {
+    let sr = '<row r="1">';
+    for (let c = 0; c < headers.length; c++) {
+      sr += textCell(columnName(c) + '1', headers[c], STYLE_HEADER);
+    }
+    sr += '</row>';
+    for (let r = 0; r < rows.length; r++) {
+      const rn = r + 2;
+      sr += '<row r="' + rn + '">';
+      for (let c = 0; c < keys.length; c++) {
+        const runs = richText[keys[c]] ? richText[keys[c]](rows[r]) : null;
+        sr += runs
+          ? richCell(columnName(c) + rn, runs, WRAP_KEYS.indexOf(keys[c]) !== -1 ? STYLE_WRAP : 0)
+          : dataCell(columnName(c) + rn, keys[c], rows[r][keys[c]]);
+      }
+      sr += '</row>';
+    }
+
+    let cols = '';
+    for (let c = 0; c < keys.length; c++) {
+      cols += '<col min="' + (c + 1) + '" max="' + (c + 1) + '" width="' + (WIDTHS[keys[c]] || DEFAULT_WIDTH) + '" customWidth="1"/>';
+    }
+
+    return XML_HEAD +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView tabSelected="1" workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      '<cols>' + cols + '</cols>' +
+      '<sheetData>' + sr + '</sheetData>' +
+      '<autoFilter ref="A1:' + columnName(headers.length - 1) + (rows.length + 1) + '"/></worksheet>';
+  }
+
+  function workbookXml(sheetName) {
+    return XML_HEAD +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheets><sheet name="' + esc(sheetName) + '" sheetId="1" r:id="rId1"/></sheets></workbook>';
+  }
+
+  function coreXml(props) {
+    return XML_HEAD +
+      '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+      '<dc:title>' + esc(props.title) + '</dc:title><dc:subject>' + esc(props.subject) + '</dc:subject>' +
+      '<cp:keywords>' + esc(props.keywords) + '</cp:keywords><cp:category>' + esc(props.category) + '</cp:category>' +
+      '<dc:description>' + esc(props.description) + '</dc:description></cp:coreProperties>';
+  }
+
+  /**
+   * The workbook as .xlsx bytes.
+   *
+   * @param {Object[]} rows
+   * @param {{headers: string[], keys: string[], properties?: Object, sheetName?: string,
+   *          richText?: Object<string, function(Object): ({text: string, bold: boolean}[]|null)>}} opts
+   *   keys: row field per column, in the order of `headers`
+   * @returns {Uint8Array}
+   */
+  function buildXlsx(rows, opts) {
+    return buildZip([
+      { name: '[Content_Types].xml', content: CONTENT_TYPES_XML },
+      { name: '_rels/.rels', content: RELS_XML },
+      { name: 'docProps/core.xml', content: coreXml(opts.properties || {}) },
+      { name: 'xl/workbook.xml', content: workbookXml(opts.sheetName || SHEET_NAME) },
+      { name: 'xl/_rels/workbook.xml.rels', content: WORKBOOK_RELS_XML },
+      { name: 'xl/styles.xml', content: STYLES_XML },
+      { name: 'xl/worksheets/sheet1.xml', content: sheetXml(rows, opts.headers, opts.keys, opts.richText || {}) },
+    ]);
+  }
+
+  // ── ZIP (stored, no compression) ──────────────────────────────────────
+
+  /**
+   * @param {{name: string, content: string}[]} files
+   * @returns {Uint8Array}
+   */
+  function buildZip(files) {
+    const enc = new TextEncoder();
+    const parts = [];
+    const cd = [];
+    let off = 0;
+    for (const file of files) {
+      const nb = enc.encode(file.name);
+      const cb = enc.encode(file.content);
+      const cr = crc32(cb);
+      const sz = cb.length;
+
+      const lh = new Uint8Array(30 + nb.length);
+      const lv = new DataView(lh.buffer);
+      lv.setUint32(0, 0x04034b50, true); lv.setUint16(4, 20, true);
+      lv.setUint16(8, 0, true); lv.setUint32(14, cr, true);
+      lv.setUint32(18, sz, true); lv.setUint32(22, sz, true);
+      lv.setUint16(26, nb.length, true); lh.set(nb, 30);
+      parts.push(lh, cb);
+
+      const ce = new Uint8Array(46 + nb.length);
+      const cv = new DataView(ce.buffer);
+      cv.setUint32(0, 0x02014b50, true); cv.setUint16(4, 20, true); cv.setUint16(6, 20, true);
+      cv.setUint32(16, cr, true); cv.setUint32(20, sz, true); cv.setUint32(24, sz, true);
+      cv.setUint16(28, nb.length, true); cv.setUint32(42, off, true);
+      ce.set(nb, 46);
+      cd.push(ce);
+      off += lh.length + cb.length;
+    }
+    const cdOff = off;
+    let cdSz = 0;
+    for (const entry of cd) {
+      parts.push(entry);
+      cdSz += entry.length;
+    }
+    const eo = new Uint8Array(22);
+    const ev = new DataView(eo.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, files.length, true); ev.setUint16(10, files.length, true);
+    ev.setUint32(12, cdSz, true); ev.setUint32(16, cdOff, true);
+    parts.push(eo);
+
+    const out = new Uint8Array(cdOff + cdSz + eo.length);
+    let pos = 0;
+    for (const part of parts) {
+      out.set(part, pos);
+      pos += part.length;
+    }
+    return out;
+  }
+
+  function crc32(b) {
+    let c = 0xffffffff;
+    for (let i = 0; i < b.length; i++) {
+      c ^= b[i];
+      for (let j = 0; j < 8; j++) c = (c >>> 1) ^ (c & 1 ? 0xedb88320 : 0);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  return {
+    MIME_TYPE,
+    columnName,
+    buildXlsx,
+    buildZip,
+    crc32,
+  };
+});
@@ -2,112 +2,163 @@ const fs = require('fs');
 const cheerio = require('cheerio');
 const ExcelJS = require('exceljs');
 const path = require('path');
+const intentTree = require('./lib/intentTree');
+const log = require('./lib/logger');
+const snapshots = require('./lib/snapshots');
+const exportFormats = require('./lib/exportFormats');
+const { addHierarchySheets } = require('./lib/hierarchyWorkbook');
+const percentageCheck = require('./lib/percentageCheck');
+const volumes = require('./lib/volumes');
+const quality = require('./lib/qualityReport');
+const selectorProfile = require('./lib/selectorProfile');
 
 const HTML_FILE = path.join(__dirname, 'CXOne_ReadIntents.txt');
 const OUTPUT_FILE = path.join(__dirname, 'CXOne_Intents_Output.xlsx');
 
-function scrapeIntents() {
-  console.log('Reading HTML file...');
-  const html = fs.readFileSync(HTML_FILE, 'utf-8');
+// Columns shared by every intents sheet
+const INTENT_COLUMNS = [
+  { header: 'Category', key: 'category', width: 25 },
+  { header: 'Topic', key: 'topic', width: 30 },
+  { header: 'Intent', key: 'intent', width: 45 },
+  { header: 'Intent Percentage', key: 'intentPercentage', width: 18 },
+  { header: 'Volume', key: 'volume', width: 12 },
+  { header: 'Volume Source', key: 'volumeSource', width: 14 },
+  { header: 'Examples', key: 'examples', width: 60 },
+  { header: 'Active', key: 'active', width: 10 },
+  { header: 'Intent ID', key: 'intentId', width: 45 },
+];
+
+// Intent Builder views the parser understands; 'auto' prefers kanban
+const VIEWS = ['auto', 'kanban', 'grid'];
+
+// Cross-check disagreements logged individually before summarising
+const MAX_CROSS_CHECK_LINES = 10;
+
+// Appended on single-snapshot sheets: which model the tree belongs to
+const MODEL_COLUMNS = [
+  { header: 'Model', key: 'model', width: 25 },
+  { header: 'Model Version', key: 'modelVersion', width: 16 },
+];
+
+// Prepended on the merged sheet of a batch workbook
+const SNAPSHOT_COLUMNS = [
+  { header: 'Source File', key: 'sourceFile', width: 30 },
+  ...MODEL_COLUMNS,
+  { header: 'Captured At', key: 'capturedAt', width: 22 },
+];
+
+/** Logs kanban/grid disagreements found by intentTree.compareTrees(). */
+function logCrossCheck(issues) {
+  if (issues.length === 0) {
+    log.info('Kanban and grid views agree');
+    return;
+  }
+  log.warn(`Kanban and grid views disagree in ${issues.length} place(s):`);
+  for (const issue of issues.slice(0, MAX_CROSS_CHECK_LINES)) {
+    log.warn(`  ${issue.path}: ${issue.issue} (${issue.detail})`);
+  }
+  if (issues.length > MAX_CROSS_CHECK_LINES) {
+    log.warn(`  ... and ${issues.length - MAX_CROSS_CHECK_LINES} more`);
+  }
+}
+
+/**
+ * Parses one saved Intent Builder page. Every row is tagged with the
+ * snapshot metadata (source file, model, capture time).
+ *
+ * Rows come from the kanban tree, or from the hierarchy-grid when the page
+ * was saved in grid view (opts.view forces one). When both views are in
+ * the page they are cross-checked and disagreements are logged. The tree's
+ * percentages are checked with lib/percentageCheck.
+ *
+ * Volumes are estimated from the percentages (lib/volumes) when the total
+ * interaction count is known: opts.totalInteractions, else the count in
+ * the saved page header (selector `totalInteractions`).
+ *
+ * @param {string} [htmlFile]
+ * @param {{profile?: string, selectors?: Object, view?: string, tolerance?: number,
+ *          totalInteractions?: number}} [opts]
+ *   selector profile (lib/selectorProfile) and overrides on top of it,
+ *   percentage tolerance
+ * @returns {{meta: Object, tree: Object, rows: Object[], view: string,
+ *            crossCheck: Object[]|null, validation: Object[]}}
+ */
+function parseSnapshot(htmlFile = HTML_FILE, opts = {}) {
+  log.info(`Reading HTML file ${path.basename(htmlFile)}...`);
+  const html = fs.readFileSync(htmlFile, 'utf-8');
   const $ = cheerio.load(html);
 
   // The HTML has a kanban-view with multiple kanban-tree elements (one per category).
   // Each tree has p-treenode elements with node-level-1 (Category), node-level-2 (Topic),
   // node-level-3 (Intent) classes, each containing a name and percentage.
+  const selectors = {
+    ...intentTree.SELECTORS,
+    ...selectorProfile.resolve(selectorProfile.loadProfile(opts.profile)),
+    ...opts.selectors,
+  };
+  const nodes = $(selectors.node);
+  const gridRows = $(selectors.gridRow);
+  log.info(`Found ${nodes.length} tree nodes, ${gridRows.length} grid rows`);
 
-  const rows = [];
-  let currentCategory = '';
-  let currentCategoryPct = '';
-  let currentTopic = '';
-  let currentTopicPct = '';
-
-  // Select all kanban tree nodes in document order
-  const nodes = $('.kanban-tree-node');
-  console.log(`Found ${nodes.length} tree nodes`);
-
-  nodes.each((_, el) => {
-    const $el = $(el);
-    const classList = $el.attr('class') || '';
-
-    const name = $el.find('.kanban-tree-node-name').first().text().trim();
-    const pctText = $el.find('.kanban-tree-node-statistics .percentage').first().text().trim();
-    const percentage = pctText || '0%';
-
-    if (classList.includes('node-level-1')) {
-      currentCategory = name;
-      currentCategoryPct = percentage;
-      currentTopic = '';
-      currentTopicPct = '';
-    } else if (classList.includes('node-level-2')) {
-      currentTopic = name;
-      currentTopicPct = percentage;
-    } else if (classList.includes('node-level-3')) {
-      rows.push({
-        category: currentCategory,
-        topic: currentTopic,
-        intent: name,
-        intentPercentage: percentage,
-        volume: '',       // Not available in static HTML (loaded dynamically)
-        examples: '',     // Not available in static HTML (loaded dynamically)
-        active: '',       // Not available in static HTML (loaded dynamically)
-      });
-    }
-  });
+  const kanban = intentTree.extractFromCheerio($, { selectors });
+  const grid = intentTree.extractGridFromCheerio($, { selectors });
 
-  // Capture Topics that have no Level-3 children visible in the HTML.
-  // The CXOne app loads intents lazily when a topic is expanded. If the topic
-  // tree was collapsed when the HTML was saved, its Level-3 intents won't be
-  // present. We still record the topic so nothing is silently lost.
-  const topicsWithIntents = new Set();
-  for (const row of rows) {
-    topicsWithIntents.add(`${row.category}|${row.topic}`);
-  }
-
-  let cat = '', catPct = '';
-  nodes.each((_, el) => {
-    const $el = $(el);
-    const classList = $el.attr('class') || '';
-    const name = $el.find('.kanban-tree-node-name').first().text().trim();
-    const pctText = $el.find('.kanban-tree-node-statistics .percentage').first().text().trim();
-
-    if (classList.includes('node-level-1')) {
-      cat = name;
-      catPct = pctText;
-    } else if (classList.includes('node-level-2')) {
-      const key = `${cat}|${name}`;
-      if (!topicsWithIntents.has(key)) {
-        rows.push({
-          category: cat,
-          topic: name,
-          intent: '(collapsed - expand topic in CXOne to capture intents)',
-          intentPercentage: pctText || '0%',
-          volume: '',
-          examples: '',
-          active: '',
-        });
-      }
-    }
-  });
+  const requested = opts.view || 'auto';
+  if (!VIEWS.includes(requested)) {
+    throw new Error(`Unknown view "${requested}". Expected one of: ${VIEWS.join(', ')}`);
+  }
+  const view = requested === 'auto' ? (kanban.categories.length > 0 ? 'kanban' : 'grid') : requested;
+  const tree = view === 'grid' ? grid : kanban;
+
+  let crossCheck = null;
+  if (kanban.categories.length > 0 && grid.categories.length > 0) {
+    crossCheck = intentTree.compareTrees(kanban, grid);
+    logCrossCheck(crossCheck);
+  }
+
+  // Topics (and grid categories) that were collapsed when the HTML was saved
+  // come back as placeholder rows, so nothing is silently lost. Volume,
+  // Examples and Active stay empty: they are loaded dynamically when
+  // clicking an intent.
+  const meta = snapshots.readSnapshotMeta($, htmlFile, selectors);
+  const rows = intentTree.toRows(tree).map((row) => ({ ...row, ...meta }));
 
-  console.log(`Extracted ${rows.length} intent rows`);
-  return rows;
+  log.info(`Extracted ${rows.length} intent rows from the ${view} view`);
+
+  const totalInteractions = opts.totalInteractions ||
+    volumes.parseCount($(selectors.totalInteractions || volumes.TOTAL_SELECTOR).first().text());
+  volumes.deriveVolumes(rows, totalInteractions);
+  if (totalInteractions) {
+    // Not on the rows: only the nested JSON document and the log show it
+    meta.totalInteractions = totalInteractions;
+    log.info(`Volumes estimated from ${totalInteractions} interactions`);
+  }
+
+  const validation = percentageCheck.validateTree(tree, { tolerance: opts.tolerance });
+  percentageCheck.logIssues(validation);
+  return { meta, tree, rows, view, crossCheck, validation };
 }
 
-async function writeExcel(rows) {
-  console.log('Writing Excel file...');
-  const workbook = new ExcelJS.Workbook();
-  const sheet = workbook.addWorksheet('Intents');
-
-  // Define columns
-  sheet.columns = [
-    { header: 'Category', key: 'category', width: 25 },
-    { header: 'Topic', key: 'topic', width: 30 },
-    { header: 'Intent', key: 'intent', width: 45 },
-    { header: 'Intent Percentage', key: 'intentPercentage', width: 18 },
-    { header: 'Volume', key: 'volume', width: 12 },
-    { header: 'Examples', key: 'examples', width: 60 },
-    { header: 'Active', key: 'active', width: 10 },
-  ];
+/** Parses a saved Intent Builder page into flat intent rows. */
+function scrapeIntents(htmlFile = HTML_FILE, opts = {}) {
+  return parseSnapshot(htmlFile, opts).rows;
+}
+
+/** Excel sheet names: max 31 chars, no []:*?/\, unique within the workbook. */
+function sheetName(label, used) {
+  const base = (label.replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet').slice(0, 31);
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(name.toLowerCase());
+  return name;
+}
+
+function addIntentSheet(workbook, name, rows, columns = INTENT_COLUMNS) {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = columns;
 
   // Style header row
   const headerRow = sheet.getRow(1);
@@ -127,57 +178,293 @@ async function writeExcel(rows) {
   // Auto-filter
   sheet.autoFilter = {
     from: { row: 1, column: 1 },
-    to: { row: rows.length + 1, column: 7 },
+    to: { row: rows.length + 1, column: columns.length },
   };
 
   // Freeze header row
   sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  return sheet;
+}
 
-  await workbook.xlsx.writeFile(OUTPUT_FILE);
-  console.log(`Excel file written to: ${OUTPUT_FILE}`);
+/**
+ * Single-snapshot workbook: Categories and Topics summary sheets plus the
+ * Intents sheet outlined by category and topic (lib/hierarchyWorkbook.js),
+ * then the Validation sheet when percentage issues were checked.
+ *
+ * @param {Object[]} rows
+ * @param {string} [outputFile]
+ * @param {Object} [meta]  snapshot metadata, stored as document properties
+ * @param {Object[]} [validation]  lib/percentageCheck issues
+ */
+async function writeExcel(rows, outputFile = OUTPUT_FILE, meta = {}, validation) {
+  log.info('Writing Excel file...');
+  const workbook = new ExcelJS.Workbook();
+  Object.assign(workbook, exportFormats.workbookProperties(meta));
+  addHierarchySheets(workbook, rows, { columns: [...INTENT_COLUMNS, ...MODEL_COLUMNS] });
+  if (validation) percentageCheck.addValidationSheet(workbook, validation);
+
+  await workbook.xlsx.writeFile(outputFile);
+  log.info(`Excel file written to: ${outputFile}`);
 }
 
-async function main() {
-  try {
-    const rows = scrapeIntents();
+/**
+ * Batch workbook: an "All Snapshots" sheet with every row tagged by source,
+ * followed by one sheet per snapshot named after its model and a
+ * Validation sheet covering every snapshot.
+ *
+ * @param {{meta: Object, rows: Object[], validation: Object[]}[]} parsed  results of parseSnapshot
+ */
+async function writeBatchExcel(parsed, outputFile = OUTPUT_FILE) {
+  log.info('Writing Excel file...');
+  const workbook = new ExcelJS.Workbook();
+  const models = [...new Set(parsed.map((snap) => snap.meta.model))];
+  Object.assign(workbook, exportFormats.workbookProperties({ model: models.join(', ') }));
+  const used = new Set();
 
-    if (rows.length === 0) {
-      console.error('No data extracted. Check the HTML file structure.');
-      process.exit(1);
-    }
+  const merged = parsed.flatMap((snap) => snap.rows);
+  addIntentSheet(workbook, sheetName('All Snapshots', used), merged, [...SNAPSHOT_COLUMNS, ...INTENT_COLUMNS]);
+
+  for (const snap of parsed) {
+    const date = snap.meta.capturedAt.slice(0, 10);
+    addIntentSheet(workbook, sheetName(`${snap.meta.model} ${date}`, used), snap.rows);
+  }
+
+  const issues = parsed.flatMap((snap) =>
+    snap.validation.map((issue) => ({ sourceFile: snap.meta.sourceFile, ...issue })));
+  percentageCheck.addValidationSheet(workbook, issues, {
+    name: sheetName('Validation', used),
+    columns: [SNAPSHOT_COLUMNS[0]],
+  });
 
-    // Print summary
-    const categories = [...new Set(rows.map(r => r.category))];
-    console.log(`\nSummary:`);
-    console.log(`  Categories: ${categories.length}`);
-    console.log(`  Total rows: ${rows.length}`);
-    console.log(`\nCategories found:`);
-    for (const cat of categories) {
-      const catRows = rows.filter(r => r.category === cat);
-      console.log(`  ${cat}: ${catRows.length} intents`);
+  await workbook.xlsx.writeFile(outputFile);
+  log.info(`Excel file written to: ${outputFile}`);
+}
+
+function printSummary(rows) {
+  const categories = [...new Set(rows.map(r => r.category))];
+  log.info(`\nSummary:`);
+  log.info(`  Categories: ${categories.length}`);
+  log.info(`  Total rows: ${rows.length}`);
+  log.info(`\nCategories found:`);
+  for (const cat of categories) {
+    const catRows = rows.filter(r => r.category === cat);
+    log.info(`  ${cat}: ${catRows.length} intents`);
+  }
+
+  // Print first few rows as preview
+  log.info('\nPreview (first 5 rows):');
+  log.info('-'.repeat(120));
+  for (const row of rows.slice(0, 5)) {
+    log.info(`  ${row.category} > ${row.topic} > ${row.intent} (${row.intentPercentage})`);
+  }
+  log.info('-'.repeat(120));
+
+  log.info('\nNote:');
+  log.info('  - Examples and Active columns are empty because this data is');
+  log.info('    loaded dynamically in CXOne when clicking on an intent. Volume is');
+  log.info('    only filled in (as "derived") when the total interaction count is');
+  log.info('    known: pass --total-interactions or save the page with its header.');
+  log.info('  - Topics marked "(collapsed)" had their tree collapsed when the HTML');
+  log.info('    was saved. Expand all topics in CXOne before saving the HTML to');
+  log.info('    capture all Level-3 intents.');
+}
+
+function writeJson(doc, outputFile) {
+  log.info('Writing JSON file...');
+  fs.writeFileSync(outputFile, JSON.stringify(doc, null, 2) + '\n');
+  log.info(`JSON file written to: ${outputFile}`);
+}
+
+function writeJsonLines(rows, outputFile) {
+  log.info('Writing JSON Lines file...');
+  fs.writeFileSync(outputFile, exportFormats.toJsonLines(rows));
+  log.info(`JSON Lines file written to: ${outputFile}`);
+}
+
+/**
+ * Writes rows in the requested format (xlsx, json or jsonl). Validation
+ * issues become the Validation sheet, or `validation` in the JSON document.
+ *
+ * @param {Object} [meta]  top-level fields for the nested JSON document
+ * @param {Object[]} [validation]  lib/percentageCheck issues
+ */
+async function writeOutput(rows, outputFile, format = 'xlsx', meta = {}, validation) {
+  if (format === 'json') {
+    writeJson(exportFormats.toNestedJson(rows, validation ? { ...meta, validation } : meta), outputFile);
+  } else if (format === 'jsonl') {
+    writeJsonLines(rows, outputFile);
+  } else {
+    await writeExcel(rows, outputFile, meta, validation);
+  }
+}
+
+/**
+ * Writes the quality report (lib/qualityReport) next to the export as
+ * <name>.quality.json and <name>.quality.html, and logs what it flagged.
+ * Several reports (one per snapshot or model) share one pair of files.
+ *
+ * @param {Object|Object[]} reports  from quality.buildReport()
+ * @param {string} outputFile  the export the report describes
+ * @returns {{json: string, html: string}}
+ */
+function writeQualityReport(reports, outputFile) {
+  const list = Array.isArray(reports) ? reports : [reports];
+  const { dir, name } = path.parse(outputFile);
+  const json = path.join(dir, `${name}.quality.json`);
+  const html = path.join(dir, `${name}.quality.html`);
+
+  fs.writeFileSync(json, JSON.stringify(list.length === 1 ? list[0] : { reports: list }, null, 2) + '\n');
+  fs.writeFileSync(html, quality.toHtml(list));
+
+  const titles = Object.fromEntries(quality.CHECKS.map((check) => [check.key, check.title]));
+  log.info('\nQuality report:');
+  for (const report of list) {
+    const label = list.length > 1 ? `  ${report.sourceFile || report.model}: ` : '  ';
+    if (report.summary.flagged === 0) {
+      log.info(`${label}nothing flagged`);
+      continue;
+    }
+    for (const key of Object.keys(report.checks)) {
+      if (report.summary[key] > 0) log.warn(`${label}${titles[key]}: ${report.summary[key]}`);
     }
+  }
+  log.info(`  Written to: ${html}`);
+  return { json, html };
+}
 
-    // Print first few rows as preview
-    console.log('\nPreview (first 5 rows):');
-    console.log('-'.repeat(120));
-    for (const row of rows.slice(0, 5)) {
-      console.log(`  ${row.category} > ${row.topic} > ${row.intent} (${row.intentPercentage})`);
+/** Strict runs fail after writing the output, so it can still be inspected. */
+function enforceValidation(issues, strict) {
+  if (strict && issues.length > 0) throw new percentageCheck.ValidationError(issues);
+}
+
+/**
+ * Offline pipeline: saved HTML → rows → workbook (or JSON / JSON Lines).
+ * Throws on failure so the CLI can pick the exit code; with `strict`,
+ * percentage issues throw a ValidationError once the output is written.
+ *
+ * @param {{input?: string, output?: string, format?: string, profile?: string,
+ *          selectors?: Object, view?: string, strict?: boolean, tolerance?: number,
+ *          totalInteractions?: number}} [options]
+ * @returns {Promise<{rows: Object[], validation: Object[], output: string, report: {json: string, html: string}}>}
+ */
+async function run(options = {}) {
+  const input = options.input || HTML_FILE;
+  const format = options.format || 'xlsx';
+  const output = options.output || exportFormats.withExtension(OUTPUT_FILE, format);
+
+  const { meta, rows, validation } = parseSnapshot(input, {
+    profile: options.profile,
+    selectors: options.selectors,
+    view: options.view,
+    tolerance: options.tolerance,
+    totalInteractions: options.totalInteractions,
+  });
+  if (rows.length === 0) {
+    throw new Error('No data extracted. Check the HTML file structure.');
+  }
+
+  printSummary(rows);
+  await writeOutput(rows, output, format, meta, validation);
+  // The saved page holds no detail panel data, so example checks are off
+  const report = writeQualityReport(quality.buildReport(rows, meta, { details: false }), output);
+  enforceValidation(validation, options.strict);
+  return { rows, validation, output, report };
+}
+
+/**
+ * Batch pipeline: every snapshot matched by `inputs` (files, directories or
+ * file-name globs) → one combined workbook. As json, one nested document per
+ * snapshot under `snapshots`; as jsonl, every row tagged with its snapshot.
+ *
+ * @param {{inputs: string[], output?: string, format?: string, profile?: string,
+ *          selectors?: Object, view?: string, strict?: boolean, tolerance?: number,
+ *          totalInteractions?: number}} options
+ * @returns {Promise<{rows: Object[], snapshots: Object[], validation: Object[], output: string,
+ *                    report: {json: string, html: string}}>}
+ */
+async function runBatch(options) {
+  const format = options.format || 'xlsx';
+  const output = options.output || exportFormats.withExtension(OUTPUT_FILE, format);
+  const files = snapshots.resolveSnapshotFiles(options.inputs);
+  if (files.length === 0) {
+    throw new Error(`No snapshot files matched: ${options.inputs.join(', ')}`);
+  }
+  log.info(`Parsing ${files.length} snapshot(s)...`);
+
+  const parsed = [];
+  for (const file of files) {
+    const snap = parseSnapshot(file, {
+      profile: options.profile,
+      selectors: options.selectors,
+      view: options.view,
+      tolerance: options.tolerance,
+      totalInteractions: options.totalInteractions,
+    });
+    if (snap.rows.length === 0) {
+      log.warn(`  ${path.basename(file)}: no intents found, skipped.`);
+      continue;
     }
-    console.log('-'.repeat(120));
+    log.info(`  ${snap.meta.sourceFile}: ${snap.meta.model}, ${snap.rows.length} rows`);
+    parsed.push(snap);
+  }
+  if (parsed.length === 0) {
+    throw new Error('No data extracted from any snapshot. Check the HTML file structure.');
+  }
 
-    console.log('\nNote:');
-    console.log('  - Volume, Examples, and Active columns are empty because this data');
-    console.log('    is loaded dynamically in CXOne when clicking on an intent.');
-    console.log('  - Topics marked "(collapsed)" had their tree collapsed when the HTML');
-    console.log('    was saved. Expand all topics in CXOne before saving the HTML to');
-    console.log('    capture all Level-3 intents.');
+  const rows = parsed.flatMap((snap) => snap.rows);
+  if (format === 'json') {
+    writeJson({
+      generatedAt: new Date().toISOString(),
+      snapshots: parsed.map((snap) => {
+        const doc = exportFormats.toNestedJson(snap.rows, { ...snap.meta, validation: snap.validation });
+        delete doc.generatedAt;
+        return doc;
+      }),
+    }, output);
+  } else if (format === 'jsonl') {
+    writeJsonLines(rows, output);
+  } else {
+    await writeBatchExcel(parsed, output);
+  }
+
+  const report = writeQualityReport(
+    parsed.map((snap) => quality.buildReport(snap.rows, snap.meta, { details: false })),
+    output
+  );
+  const validation = parsed.flatMap((snap) =>
+    snap.validation.map((issue) => ({ sourceFile: snap.meta.sourceFile, ...issue })));
+  enforceValidation(validation, options.strict);
+  return { rows, snapshots: parsed.map((snap) => snap.meta), validation, output, report };
+}
 
-    await writeExcel(rows);
-    console.log('\nDone!');
+async function main() {
+  try {
+    await run();
+    log.info('\nDone!');
   } catch (err) {
-    console.error('Error:', err.message);
+    log.error('Error:', err.message);
     process.exit(1);
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  HTML_FILE,
+  OUTPUT_FILE,
+  INTENT_COLUMNS,
+  MODEL_COLUMNS,
+  VIEWS,
+  parseSnapshot,
+  scrapeIntents,
+  sheetName,
+  addIntentSheet,
+  writeExcel,
+  writeBatchExcel,
+  writeOutput,
+  writeQualityReport,
+  run,
+  runBatch,
+};
@@ -8,14 +8,25 @@
  *       (the page with the Category > Topic > Intent kanban tree).
  *    2. Open Chrome DevTools (F12 or Ctrl+Shift+I).
  *    3. Go to the "Console" tab.
- *    4. Copy-paste this ENTIRE script into the console and press Enter.
+ *    4. Copy-paste the ENTIRE bundled script into the console and press Enter.
  *    5. The script will:
  *       - Expand every collapsed tree node
  *       - Click each intent to open its detail panel
- *       - Read phrases from .phrases-snippets-container
- *       - Download the result as .xlsx and .csv files
+ *       - Read phrases from .phrases-snippets-container, without UI
+ *         chrome or duplicates (lib/phrases.js); long lists are loaded
+ *         in full ("Load more", scrolling, paging) up to MAX_PHRASES, keeping
+ *         the words CXOne highlights in each snippet: bold in the .xlsx
+ *         Examples cells, and listed in the Highlights / Highlighted Terms
+ *         columns
+ *       - Download the result in each of OUTPUT_FORMATS (.xlsx and .csv by
+ *         default; add 'json' / 'jsonl' for the nested or line-per-intent JSON)
+ *       - Download a quality report (.quality.html / .quality.json) flagging
+ *         skipped intents, missing examples and suspected stale panels
  *
- *  NOTE: Zero external dependencies. Just paste and run.
+ *  NOTE: Zero external dependencies. Run `npm run build:console` and paste
+ *        the bundled copy from dist/ — it includes the shared lib/ modules.
+ *        dist/TAI_Export_Highlights.js is this script too, built with its
+ *        own CHECKPOINT_KEY (scripts/buildConsole.js).
  * ============================================================================
  */
 
@@ -23,9 +34,18 @@
   'use strict';
 
   // ── Configuration ──────────────────────────────────────────────────────
-  const EXPAND_DELAY   = 1000;  // ms to wait after expanding a tree node
-  const CLICK_DELAY    = 2500;  // ms to wait after clicking an intent
+  const EXPAND_TIMEOUT = 10000; // max ms to wait for a tree node to expand
+  const PANEL_TIMEOUT  = 15000; // max ms to wait for the panel to show the clicked intent
+  const SETTLE_TIME    = 400;   // ms the panel must stop changing before it is read
+  const PANEL_RETRIES  = 2;     // extra clicks when the panel is not ready in time
+  const STALE_RETRIES  = 3;     // re-opens of a panel still showing the previous intent
+  const STALE_BACKOFF  = 1000;  // ms before the first re-open; doubles each time
   const BETWEEN_CLICKS = 300;   // ms between sequential intent clicks
+  const MAX_PHRASES    = 500;   // phrases kept per intent; loading stops there (0: no cap)
+  const RESUME         = true;  // continue an interrupted run from its checkpoint
+  const CHECKPOINT_KEY = 'CXOneIntentScraper.checkpoint';  // localStorage key
+
+  const OUTPUT_FORMATS = ['xlsx', 'csv'];  // any of: xlsx, csv, json, jsonl
 
   // ── Helpers ────────────────────────────────────────────────────────────
   const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -43,12 +63,50 @@
   // ── Step 1: Verify page ────────────────────────────────────────────────
   log('Starting CXOne Intent Scraper...');
 
-  const kanbanPanel = document.querySelector('.kanban-view-panel');
+  const IntentTree = window.CXOneIntentTree;
+  const Checkpoint = window.CXOneCheckpoint;
+  const Panel = window.CXOnePanel;
+  const Export = window.CXOneExport;
+  const Quality = window.CXOneQuality;
+  const Xlsx = window.CXOneXlsx;
+  const Phrases = window.CXOnePhrases;
+  const Selectors = window.CXOneSelectors;
+  if (!IntentTree || !Checkpoint || !Panel || !Export || !Quality || !Xlsx || !Phrases || !Selectors) {
+    logWarn('Shared library not loaded. Paste the bundled script from dist/ (npm run build:console), or paste the lib/*.js files first.');
+    return;
+  }
+
+  // CSS selectors from the selector profile embedded in the bundle
+  // (selectors/*.json; `npm run build:console -- <profile>` picks another)
+  const SEL = Selectors.active();
+  if (!SEL) {
+    logWarn('No selector profile loaded. Paste the bundled script from dist/ (npm run build:console).');
+    return;
+  }
+  log('Selector profile: ' + Selectors.activeName());
+
+  const kanbanPanel = document.querySelector(SEL.kanbanPanel);
   if (!kanbanPanel) {
-    logWarn('Could not find .kanban-view-panel. Are you on the Intent Builder page?');
+    if (document.querySelector(SEL.gridPanel)) {
+      logWarn('The Intent Builder is in grid view. Switch to the kanban view, or run `cxone-intents live`, which pages through the grid.');
+    } else {
+      logWarn('Could not find ' + SEL.kanbanPanel + '. Are you on the Intent Builder page? (`cxone-intents doctor` checks the selector profile.)');
+    }
     return;
   }
 
+  // Model the tree belongs to, from the model-selection-dropdown header
+  function headerText(selector) {
+    const el = document.querySelector(selector);
+    return el ? el.textContent.trim() : '';
+  }
+  const modelInfo = {
+    model: headerText(SEL.modelName),
+    modelVersion: headerText(SEL.modelVersion),
+    capturedAt: new Date().toISOString()
+  };
+  log('Model: ' + (modelInfo.model || '(not found)') + ' ' + modelInfo.modelVersion);
+
   // ── Step 2: Expand all collapsed tree nodes ────────────────────────────
   log('Step 1/4: Expanding all collapsed tree nodes...');
 
@@ -57,9 +115,7 @@
 
   while (true) {
     passNum++;
-    const collapsedTogglers = kanbanPanel.querySelectorAll(
-      'p-treenode .p-tree-toggler:has(chevronrighticon)'
-    );
+    const collapsedTogglers = kanbanPanel.querySelectorAll(SEL.collapsedToggler);
     const visible = Array.from(collapsedTogglers).filter(el => el.offsetParent !== null);
     if (visible.length === 0) break;
 
@@ -67,7 +123,7 @@
     for (const toggler of visible) {
       toggler.scrollIntoView({ block: 'center', behavior: 'instant' });
       toggler.click();
-      await sleep(EXPAND_DELAY);
+      await Panel.waitForExpanded(toggler, { timeoutMs: EXPAND_TIMEOUT, settleMs: SETTLE_TIME, collapsedIcon: SEL.collapsedIcon });
       expandedTotal++;
     }
   }
@@ -76,39 +132,10 @@
   // ── Step 3: Collect tree hierarchy ─────────────────────────────────────
   log('Step 2/4: Collecting Category > Topic > Intent hierarchy...');
 
-  const allNodes = kanbanPanel.querySelectorAll('.kanban-tree-node');
-  const intentList = [];
-  let currentCategory = '';
-  let currentTopic = '';
-
-  for (const node of allNodes) {
-    const cls = node.className;
-    const nameEl = node.querySelector('.kanban-tree-node-name');
-    const pctEl = node.querySelector('.kanban-tree-node-statistics .percentage');
-    const name = nameEl ? nameEl.textContent.trim() : '';
-    const pct = pctEl ? pctEl.textContent.trim() : '0%';
-
-    if (cls.includes('node-level-1')) {
-      currentCategory = name;
-      currentTopic = '';
-    } else if (cls.includes('node-level-2')) {
-      currentTopic = name;
-    } else if (cls.includes('node-level-3')) {
-      // Read the Active label from .new-item-label inside the node
-      const activeEl = node.querySelector('.new-item-label');
-      const activeText = activeEl ? activeEl.textContent.trim() : '';
-      intentList.push({
-        category: currentCategory,
-        topic: currentTopic,
-        intent: name,
-        intentPercentage: pct,
-        volume: '',
-        examples: '',
-        tag: activeText,
-        _nodeEl: node,
-      });
-    }
-  }
+  // Shared extractor (lib/intentTree.js). Collapsed-topic placeholders are
+  // dropped because there is no intent node to click for them.
+  const tree = IntentTree.extractFromDom(kanbanPanel, { keepElements: true, selectors: SEL });
+  const intentList = IntentTree.toRows(tree, { placeholders: false });
 
   log('  Found ' + intentList.length + ' Level-3 intents.');
   if (intentList.length === 0) {
@@ -116,88 +143,203 @@
     return;
   }
 
+  // Every captured intent is saved to localStorage, so if the tab reloads or
+  // the session times out, pasting the script again picks up where it left.
+  const checkpoint = Checkpoint.storageCheckpoint(window.localStorage, CHECKPOINT_KEY);
+  const captured = RESUME ? checkpoint.load() : new Map();
+  if (!RESUME) checkpoint.clear();
+  if (captured.size > 0) {
+    log('  Resuming: ' + captured.size + ' intent(s) already captured (set RESUME = false to start over).');
+  }
+  let checkpointFull = false;
+
   // ── Step 4: Click each intent and read phrases ─────────────────────────
   log('Step 3/4: Clicking each intent to extract phrases...');
-  var totalTime = Math.ceil((intentList.length * (CLICK_DELAY + BETWEEN_CLICKS)) / 1000 / 60);
-  log('  Estimated time: ~' + totalTime + ' minutes for ' + intentList.length + ' intents.');
+
+  // Each click waits until item-info-panel names the clicked intent and
+  // has stopped changing, instead of sleeping a fixed time.
+  const panelOpts = {
+    panelSelector: SEL.infoPanel,
+    titleSelector: SEL.infoPanelTitle,
+    phrasesSelector: SEL.phrases,
+    selectors: SEL,
+    timeoutMs: PANEL_TIMEOUT,
+    settleMs: SETTLE_TIME,
+    backoffBaseMs: STALE_BACKOFF
+  };
+
+  // Phrases fingerprint of the last intent read, for the stale check
+  let previousFingerprint = '';
+
+  // Example records of the open detail panel (lib/phrases.js): the whole
+  // list loaded, UI chrome left out, duplicates dropped, position and
+  // highlights kept, plus the count CXOne reports
+  function readExamples() {
+    return Phrases.loadPanelFromDom(document, SEL, { maxPhrases: MAX_PHRASES, settleMs: SETTLE_TIME });
+  }
 
   // The first intent may already be selected/highlighted on page load,
   // so clicking it won't trigger the detail panel to load. To fix this,
   // click the second intent first (to deselect the first), then proceed
   // normally starting from the first intent.
   if (intentList.length > 1) {
-    const secondContent = intentList[1]._nodeEl.closest('.p-treenode-content') || intentList[1]._nodeEl;
+    const secondContent = intentList[1]._nodeEl.closest(SEL.treeNodeContent) || intentList[1]._nodeEl;
     secondContent.scrollIntoView({ block: 'center', behavior: 'instant' });
     secondContent.click();
-    await sleep(CLICK_DELAY);
+    await Panel.waitForPanel(intentList[1].intent, panelOpts);
     log('  Deselected first intent to ensure click registers.');
   }
 
   for (let i = 0; i < intentList.length; i++) {
     const item = intentList[i];
+    const key = IntentTree.intentKey(item);
+
+    const saved = captured.get(key);
+    if (saved) {
+      item.volume = saved.volume;
+      item.examples = saved.examples;
+      item.exampleRecords = saved.exampleRecords || Phrases.fromText(saved.examples);
+      item.examplesReported = saved.examplesReported === undefined ? '' : saved.examplesReported;
+      item.examplesCaptured = item.exampleRecords.length;
+      item.examplesCapped = !!saved.examplesCapped;
+      item.tag = saved.tag || item.tag;
+      item.panelCheck = saved.panelCheck || '';
+      item.panelRetries = saved.panelRetries || 0;
+      previousFingerprint = '';
+      logProgress(i + 1, intentList.length, item.category + ' > ' + item.topic + ' > ' + item.intent + ' (from checkpoint)');
+      continue;
+    }
 
-    // Click the intent node to open its detail panel on the left
-    const treeContent = item._nodeEl.closest('.p-treenode-content') || item._nodeEl;
-    treeContent.scrollIntoView({ block: 'center', behavior: 'instant' });
-    treeContent.click();
-
-    await sleep(CLICK_DELAY);
-
-    // Read phrases from the detail panel
-    const phrasesContainer = document.querySelector('.phrases-snippets-container');
-    if (phrasesContainer) {
-      // Query all deepest-level elements that hold individual phrase text
-      const allEls = phrasesContainer.querySelectorAll('*');
-      const phrases = [];
-      for (const el of allEls) {
-        // Only pick leaf elements (no child elements, just text)
-        if (el.children.length === 0) {
-          const txt = el.textContent.trim();
-          if (txt.length > 0) {
-            phrases.push(txt);
-          }
-        }
-      }
-      if (phrases.length > 1) {
-        item.examples = phrases.join('\n');
-      } else {
-        // Fallback: treat the whole container text as a single block
-        const raw = phrasesContainer.textContent.trim();
-        if (raw) {
-          item.examples = raw;
-        }
-      }
+    // Click the intent node to open its detail panel on the left; click
+    // again if the panel does not show it in time
+    const treeContent = item._nodeEl.closest(SEL.treeNodeContent) || item._nodeEl;
+    let readiness = null;
+    for (let attempt = 0; attempt <= PANEL_RETRIES; attempt++) {
+      if (attempt > 0) logWarn(item.intent + ': panel not ready, retrying (' + attempt + '/' + PANEL_RETRIES + ')');
+      treeContent.scrollIntoView({ block: 'center', behavior: 'instant' });
+      treeContent.click();
+      readiness = await Panel.waitForPanel(item.intent, panelOpts);
+      if (readiness.ready) break;
+    }
+    if (!readiness.ready) {
+      // Reading now could copy the previous intent's phrases; leave it empty
+      // (and out of the checkpoint, so a resumed run tries it again)
+      item.status = 'not-ready';
+      logWarn(item.intent + ': SKIPPED (panel not ready after ' + (PANEL_RETRIES + 1) + ' attempts)');
+      continue;
+    }
+    // Read the phrases; while the panel looks stale (still the previous
+    // intent's phrases, or naming another intent), click again after a
+    // growing pause (lib/panelReady.js checkPanel / backoffMs)
+    let phraseList = await readExamples();
+    let check = Panel.checkPanel(item.intent, previousFingerprint, panelOpts);
+    let staleRetries = 0;
+    while (check.stale && staleRetries < STALE_RETRIES) {
+      staleRetries++;
+      const delay = Panel.backoffMs(staleRetries, panelOpts);
+      logWarn(item.intent + ': panel looks stale (' + check.reason + '), retrying in ' + delay + ' ms (' + staleRetries + '/' + STALE_RETRIES + ')');
+      await sleep(delay);
+      treeContent.scrollIntoView({ block: 'center', behavior: 'instant' });
+      treeContent.click();
+      readiness = await Panel.waitForPanel(item.intent, panelOpts);
+      if (!readiness.ready) continue;
+      phraseList = await readExamples();
+      check = Panel.checkPanel(item.intent, previousFingerprint, panelOpts);
+    }
+    item.panelRetries = staleRetries;
+    if (check.reason === 'other-intent') {
+      item.panelCheck = check.reason;
+      item.status = 'stale';
+      logWarn(item.intent + ': SKIPPED (panel still shows another intent after ' + staleRetries + ' retries)');
+      continue;
+    }
+    item.panelCheck = check.stale ? check.reason : (staleRetries > 0 ? 'recovered' : 'ok');
+    previousFingerprint = check.fingerprint;
+    item.status = 'ok';
+    if (phraseList.records.length > 0) {
+      item.exampleRecords = phraseList.records;
+      item.examples = Phrases.toText(phraseList.records);
+    }
+    item.examplesReported = phraseList.reported === null ? '' : phraseList.reported;
+    item.examplesCaptured = phraseList.captured;
+    item.examplesCapped = phraseList.capped;
+    if (phraseList.capped) {
+      logWarn(item.intent + ': phrase list stopped at MAX_PHRASES (' + MAX_PHRASES + ')' +
+        (phraseList.reported !== null ? ' of ' + phraseList.reported + ' reported' : ''));
     }
 
     // If Active wasn't found during tree collection, try again now
     if (!item.tag) {
-      const activeEl = item._nodeEl.querySelector('.new-item-label');
+      const activeEl = item._nodeEl.querySelector(SEL.tag);
       if (activeEl) {
         item.tag = activeEl.textContent.trim();
       }
     }
 
-    const exCount = item.examples ? item.examples.split('\n').length : 0;
-    logProgress(i + 1, intentList.length, item.category + ' > ' + item.topic + ' > ' + item.intent + ' (' + exCount + ' phrases)');
+    if (!checkpointFull) {
+      try {
+        checkpoint.append({
+          key: key, volume: item.volume, examples: item.examples, exampleRecords: item.exampleRecords, tag: item.tag,
+          examplesReported: item.examplesReported, examplesCapped: item.examplesCapped,
+          panelCheck: item.panelCheck, panelRetries: item.panelRetries
+        });
+      } catch (e) {
+        checkpointFull = true;
+        logWarn('Checkpoint storage is full - progress is no longer saved (' + e.name + ').');
+      }
+    }
+
+    const exCount = (item.exampleRecords ? item.exampleRecords.length : 0) +
+      (item.examplesReported !== '' && item.examplesReported !== item.examplesCaptured ? ' of ' + item.examplesReported : '');
+    const retryNote = item.panelCheck === 'ok' ? '' : ' [' + item.panelCheck + ']';
+    logProgress(i + 1, intentList.length, item.category + ' > ' + item.topic + ' > ' + item.intent + ' (' + exCount + ' phrases)' + retryNote);
     await sleep(BETWEEN_CLICKS);
   }
 
   // Clean up DOM references
   const rows = intentList.map(function(item) {
+    // Highlighted words per example and overall (lib/phrases.js)
+    const marks = Phrases.highlightFields(item.exampleRecords);
     return {
       category: item.category,
       topic: item.topic,
+      categoryPercentage: item.categoryPercentage,
+      topicPercentage: item.topicPercentage,
       intent: item.intent,
       intentPercentage: item.intentPercentage,
       volume: item.volume,
       examples: item.examples,
-      tag: item.tag
+      exampleRecords: item.exampleRecords,
+      highlights: marks.highlights,
+      highlightTerms: marks.highlightTerms,
+      examplesReported: item.examplesReported,
+      examplesCaptured: item.examplesCaptured,
+      examplesCapped: item.examplesCapped,
+      tag: item.tag,
+      intentId: item.intentId,
+      status: item.status,
+      panelCheck: item.panelCheck,
+      panelRetries: item.panelRetries,
+      model: modelInfo.model,
+      modelVersion: modelInfo.modelVersion
     };
   });
 
+  // Spreadsheet columns (xlsx and csv)
+  const HEADERS = ['Category','Topic','Intent','Intent Percentage','Volume','Examples','Highlights','Highlighted Terms','Examples Reported','Examples Captured','Tag','Intent ID','Model','Model Version'];
+  const KEYS = ['category','topic','intent','intentPercentage','volume','examples','highlights','highlightTerms','examplesReported','examplesCaptured','tag','intentId','model','modelVersion'];
+
   // ── Step 5: Download ───────────────────────────────────────────────────
-  log('Step 4/4: Generating Excel file...');
-  downloadExcel(rows);
+  log('Step 4/4: Generating ' + OUTPUT_FORMATS.join(', ') + ' output...');
+  const downloaded = downloadOutputs(rows);
+  checkpoint.clear();
+
+  // Quality report (lib/qualityReport.js) from the scrape-order list, which
+  // still carries each intent's status
+  const report = Quality.buildReport(intentList, Object.assign({ source: 'console', url: location.href }, modelInfo));
+  dl(new Blob([Quality.toHtml(report)], {type:'text/html'}), 'CXOne_Intents_Output.quality.html');
+  dl(new Blob([JSON.stringify(report, null, 2)], {type:'application/json'}), 'CXOne_Intents_Output.quality.json');
+  downloaded.push('CXOne_Intents_Output.quality.html', 'CXOne_Intents_Output.quality.json');
 
   const categories = [];
   const seen = {};
@@ -209,7 +351,12 @@
   log('  Categories:      ' + categories.length);
   log('  Total intents:   ' + rows.length);
   log('  With examples:   ' + withExamples);
-  log('  File downloaded: CXOne_Intents_Output.xlsx');
+  if (report.summary.flagged > 0) {
+    logWarn(report.summary.flagged + ' item(s) flagged in the quality report - review it before sharing the export.');
+  } else {
+    log('  Quality report:  nothing flagged');
+  }
+  log('  Files downloaded: ' + downloaded.join(', '));
 
   console.table(rows.slice(0, 10));
   if (rows.length > 10) {
@@ -217,111 +364,52 @@
   }
 
   // ────────────────────────────────────────────────────────────────────────
-  //  XLSX Generator + CSV + ZIP (zero dependencies)
+  //  Downloads: XLSX (lib/xlsxWriter.js), CSV, JSON
   // ────────────────────────────────────────────────────────────────────────
 
-  function downloadExcel(data) {
-    var headers = ['Category','Topic','Intent','Intent Percentage','Volume','Examples','Tag'];
-    var keys = ['category','topic','intent','intentPercentage','volume','examples','tag'];
-
-    function esc(s) {
-      if (s == null) return '';
-      return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/\n/g,'&#10;');
-    }
-    function col(i) {
-      var s = ''; i++;
-      while (i > 0) { i--; s = String.fromCharCode(65 + (i % 26)) + s; i = Math.floor(i / 26); }
-      return s;
-    }
-
-    var sr = '<row r="1">';
-    for (var c = 0; c < headers.length; c++) {
-      sr += '<c r="' + col(c) + '1" t="inlineStr" s="1"><is><t>' + esc(headers[c]) + '</t></is></c>';
-    }
-    sr += '</row>';
-    for (var r = 0; r < data.length; r++) {
-      var rn = r + 2;
-      sr += '<row r="' + rn + '">';
-      for (var c2 = 0; c2 < keys.length; c2++) {
-        // Apply wrap-text style (s="2") to Examples column (index 5)
-        var style = c2 === 5 ? ' s="2"' : '';
-        var rawVal = data[r][keys[c2]] || '';
-
-        // Intent Percentage column (index 3) — store as number
-        if (c2 === 3) {
-          var num = parseFloat(String(rawVal).replace('%', ''));
-          if (!isNaN(num)) {
-            sr += '<c r="' + col(c2) + rn + '" s="3"><v>' + num + '</v></c>';
-          } else {
-            sr += '<c r="' + col(c2) + rn + '" t="inlineStr"><is><t>' + esc(rawVal) + '</t></is></c>';
-          }
-        } else {
-          var val = esc(rawVal);
-          var preserveSpace = val.indexOf('&#10;') !== -1 ? ' xml:space="preserve"' : '';
-          sr += '<c r="' + col(c2) + rn + '" t="inlineStr"' + style + '><is><t' + preserveSpace + '>' + val + '</t></is></c>';
-        }
+  function downloadOutputs(data) {
+    var names = [];
+    for (var fi = 0; fi < OUTPUT_FORMATS.length; fi++) {
+      var name = Export.withExtension('CXOne_Intents_Output', OUTPUT_FORMATS[fi]);
+      if (OUTPUT_FORMATS[fi] === 'xlsx') {
+        downloadExcel(data);
+      } else if (OUTPUT_FORMATS[fi] === 'csv') {
+        downloadCsv(data);
+      } else if (OUTPUT_FORMATS[fi] === 'json') {
+        var doc = Export.toNestedJson(data, Object.assign({ source: 'console', url: location.href }, modelInfo));
+        dl(new Blob([JSON.stringify(doc, null, 2)], {type:'application/json'}), name);
+        log('  JSON file download triggered.');
+      } else if (OUTPUT_FORMATS[fi] === 'jsonl') {
+        dl(new Blob([Export.toJsonLines(data)], {type:'application/x-ndjson'}), name);
+        log('  JSON Lines file download triggered.');
+      } else {
+        logWarn('Unknown output format "' + OUTPUT_FORMATS[fi] + '" skipped.');
+        continue;
       }
-      sr += '</row>';
+      names.push(name);
     }
+    return names;
+  }
 
-    var lc = col(headers.length - 1);
-    var lr = data.length + 1;
-
-    var sheetXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
-      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
-      '<sheetViews><sheetView tabSelected="1" workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
-      '<cols><col min="1" max="1" width="25" customWidth="1"/><col min="2" max="2" width="30" customWidth="1"/><col min="3" max="3" width="45" customWidth="1"/><col min="4" max="4" width="18" customWidth="1"/><col min="5" max="5" width="12" customWidth="1"/><col min="6" max="6" width="60" customWidth="1"/><col min="7" max="7" width="10" customWidth="1"/></cols>' +
-      '<sheetData>' + sr + '</sheetData>' +
-      '<autoFilter ref="A1:' + lc + lr + '"/></worksheet>';
-
-    var stylesXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
-      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
-      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font></fonts>' +
-      '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FF4472C4"/></patternFill></fill></fills>' +
-      '<borders count="1"><border/></borders><cellStyleXfs count="1"><xf/></cellStyleXfs>' +
-      '<numFmts count="1"><numFmt numFmtId="164" formatCode="0.00"/></numFmts>' +
-      '<cellXfs count="4"><xf/><xf fontId="1" fillId="2" applyFont="1" applyFill="1"><alignment horizontal="center" vertical="center"/></xf><xf applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf><xf numFmtId="164" applyNumberFormat="1"/></cellXfs></styleSheet>';
-
-    var wbXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
-      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
-      '<sheets><sheet name="Intents" sheetId="1" r:id="rId1"/></sheets></workbook>';
-
-    var wbRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
-      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
-      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
-      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>';
-
-    var rels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
-      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
-      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>';
-
-    var ct = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
-      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
-      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
-      '<Default Extension="xml" ContentType="application/xml"/>' +
-      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
-      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
-      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>';
-
-    var blob = buildZip([
-      {name:'[Content_Types].xml', content:ct},
-      {name:'_rels/.rels', content:rels},
-      {name:'xl/workbook.xml', content:wbXml},
-      {name:'xl/_rels/workbook.xml.rels', content:wbRels},
-      {name:'xl/styles.xml', content:stylesXml},
-      {name:'xl/worksheets/sheet1.xml', content:sheetXml}
-    ]);
-
-    dl(blob, 'CXOne_Intents_Output.xlsx');
+  // Highlighted words show bold in the Examples cells
+  function downloadExcel(data) {
+    var bytes = Xlsx.buildXlsx(data, {
+      headers: HEADERS,
+      keys: KEYS,
+      properties: Export.workbookProperties(modelInfo),
+      richText: { examples: function(row) { return Phrases.highlightRuns(row.exampleRecords); } }
+    });
+    dl(new Blob([bytes], {type: Xlsx.MIME_TYPE}), 'CXOne_Intents_Output.xlsx');
     log('  Excel file download triggered.');
+  }
 
-    // CSV backup
-    var csv = [headers.join(',')];
+  function downloadCsv(data) {
+    var csv = [HEADERS.join(',')];
     for (var ri = 0; ri < data.length; ri++) {
-      csv.push(keys.map(function(k) { return '"' + (data[ri][k]||'').replace(/"/g,'""') + '"'; }).join(','));
+      csv.push(KEYS.map(function(k) { var v = data[ri][k]; return '"' + String(v == null ? '' : v).replace(/"/g,'""') + '"'; }).join(','));
     }
     dl(new Blob([csv.join('\n')], {type:'text/csv'}), 'CXOne_Intents_Output.csv');
-    log('  CSV backup also downloaded.');
+    log('  CSV file download triggered.');
   }
 
   function dl(blob, name) {
@@ -332,48 +420,4 @@
     document.body.removeChild(a);
     URL.revokeObjectURL(u);
   }
-
-  function buildZip(files) {
-    var enc = new TextEncoder();
-    var parts = [], cd = [], off = 0;
-    for (var i = 0; i < files.length; i++) {
-      var nb = enc.encode(files[i].name);
-      var cb = enc.encode(files[i].content);
-      var cr = crc32(cb), sz = cb.length;
-
-      var lh = new Uint8Array(30 + nb.length);
-      var lv = new DataView(lh.buffer);
-      lv.setUint32(0,0x04034b50,true); lv.setUint16(4,20,true);
-      lv.setUint16(8,0,true); lv.setUint32(14,cr,true);
-      lv.setUint32(18,sz,true); lv.setUint32(22,sz,true);
-      lv.setUint16(26,nb.length,true); lh.set(nb,30);
-      parts.push(lh, cb);
-
-      var ce = new Uint8Array(46 + nb.length);
-      var cv = new DataView(ce.buffer);
-      cv.setUint32(0,0x02014b50,true); cv.setUint16(4,20,true); cv.setUint16(6,20,true);
-      cv.setUint32(16,cr,true); cv.setUint32(20,sz,true); cv.setUint32(24,sz,true);
-      cv.setUint16(28,nb.length,true); cv.setUint32(42,off,true);
-      ce.set(nb,46); cd.push(ce);
-      off += lh.length + cb.length;
-    }
-    var cdOff = off, cdSz = 0;
-    for (var j = 0; j < cd.length; j++) { parts.push(cd[j]); cdSz += cd[j].length; }
-    var eo = new Uint8Array(22);
-    var ev = new DataView(eo.buffer);
-    ev.setUint32(0,0x06054b50,true);
-    ev.setUint16(8,files.length,true); ev.setUint16(10,files.length,true);
-    ev.setUint32(12,cdSz,true); ev.setUint32(16,cdOff,true);
-    parts.push(eo);
-    return new Blob(parts,{type:'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'});
-  }
-
-  function crc32(b) {
-    var c = 0xffffffff;
-    for (var i = 0; i < b.length; i++) {
-      c ^= b[i];
-      for (var j = 0; j < 8; j++) c = (c >>> 1) ^ (c & 1 ? 0xedb88320 : 0);
-    }
-    return (c ^ 0xffffffff) >>> 0;
-  }
 })();
@@ -14,21 +14,52 @@
  *        Mac:      /Applications/Google\ Chrome.app/Contents/MacOS/Google\ Chrome --remote-debugging-port=9222
  *        Linux:    google-chrome --remote-debugging-port=9222
  *   3. In that Chrome window, log into CXOne and navigate to the Intent Builder
- *      (the page with the kanban tree view of Categories/Topics/Intents).
+ *      (kanban tree or hierarchy-grid view of Categories/Topics/Intents).
  *   4. Run this script:  node scrapeIntentsLive.js
  *
+ * Unattended runs (launch mode) skip steps 2–3: the scraper starts its own
+ * Chromium, restores a session saved from a logged-in run and opens the
+ * Intent Builder itself (see lib/browserSession.js):
+ *
+ *   cxone-intents live --save-session session.json     (once, in step 3's Chrome)
+ *   cxone-intents live --launch --executable-path /usr/bin/chromium \
+ *     --session session.json --url https://.../intent-builder
+ *
  * The script will:
  *   - Connect to your running Chrome instance
- *   - Find the CXOne tab
- *   - Expand every collapsed tree node (Category → Topic → Intent)
+ *   - Find the CXOne tab (--tab-url / --tab-title pick one explicitly) and
+ *     check it hosts the Intent Builder before clicking anything
+ *   - Expand every collapsed tree node (Category → Topic → Intent), or in
+ *     grid view every contracted group row on every grid page
  *   - Click each Level-3 intent to load its detail panel
- *   - Extract percentage, volume, examples, and active status
+ *   - Extract percentage, volume, examples, and active status, with the
+ *     words CXOne highlights in each snippet (bold in the Examples cells),
+ *     and every other field of the info panel (description, dates, owner,
+ *     ...) as a column of its own (--rename-field / --drop-field)
+ *   - Tag every row with the model selected in the model-selection-dropdown
+ *     (--all-models: repeat for every model, one sheet each)
  *   - Write everything to CXOne_Intents_Output.xlsx
  */
 
+const fs = require('fs');
 const puppeteer = require('puppeteer-core');
 const ExcelJS = require('exceljs');
 const path = require('path');
+const log = require('./lib/logger');
+const intentTree = require('./lib/intentTree');
+const { jsonlCheckpoint } = require('./lib/checkpoint');
+const exportFormats = require('./lib/exportFormats');
+const { sheetName, writeQualityReport } = require('./scrapeIntents');
+const { addHierarchySheets, formatIntentRow } = require('./lib/hierarchyWorkbook');
+const percentageCheck = require('./lib/percentageCheck');
+const volumes = require('./lib/volumes');
+const quality = require('./lib/qualityReport');
+const panelReady = require('./lib/panelReady');
+const browserSession = require('./lib/browserSession');
+const tabSelection = require('./lib/tabSelection');
+const selectorProfile = require('./lib/selectorProfile');
+const phrases = require('./lib/phrases');
+const infoFields = require('./lib/infoFields');
 
 const OUTPUT_FILE = path.join(__dirname, 'CXOne_Intents_Output.xlsx');
 
@@ -36,20 +67,157 @@ const OUTPUT_FILE = path.join(__dirname, 'CXOne_Intents_Output.xlsx');
 const CONFIG = {
   // Chrome remote debugging URL
   browserURL: 'http://127.0.0.1:9222',
-  // How long to wait after clicking an intent for the detail panel to load (ms)
-  detailLoadDelay: 2000,
-  // How long to wait after expanding a tree node (ms)
-  expandDelay: 1000,
+  // Tab to scrape in the connected Chrome: case-insensitive regular
+  // expressions for the URL and / or title (lib/tabSelection). Neither =
+  // URLs mentioning cxone, nice or intent.
+  tabUrl: null,
+  tabTitle: null,
+  // Launch mode (unattended runs): start a local Chromium instead of
+  // connecting, restore sessionFile and open url (lib/browserSession)
+  launch: false,
+  // Chrome / Chromium binary; null = $PUPPETEER_EXECUTABLE_PATH or $CHROME_PATH
+  executablePath: null,
+  headless: true,
+  // Chrome profile directory to reuse (an alternative to sessionFile)
+  userDataDir: null,
+  // Saved cookies / web storage of a logged-in session (JSON)
+  sessionFile: null,
+  // Intent Builder URL opened in launch mode
+  url: null,
+  // Max wait for the Intent Builder to load in launch mode (ms)
+  navigationTimeout: 60000,
+  // Write the session of the CXOne tab here before scraping (connect mode),
+  // for later launch-mode runs
+  saveSession: null,
+  // Max wait for the detail panel to show the clicked intent (ms)
+  detailTimeout: 15000,
+  // The panel must stop changing for this long before it is read (ms)
+  settleTime: 400,
+  // Extra clicks for an intent whose panel does not become ready in time
+  detailRetries: 2,
+  // Re-opens of a panel that still looks stale after it settled (same
+  // phrases as the previous intent, or naming another intent)
+  staleRetries: 3,
+  // First stale retry waits this long (ms); each further one doubles it
+  staleBackoff: 1000,
+  // Phrases kept per intent: long lists are loaded ("Load more", scrolling,
+  // paging) until this many are in (0: no cap; lib/phrases.js)
+  maxPhrases: 500,
+  // Detail-panel info items other than volume, examples and active become
+  // one column each, headed by their title (lib/infoFields.js). rename maps
+  // a title to another header; drop lists titles to leave out.
+  infoFields: { rename: {}, drop: [] },
+  // Max wait for a clicked tree node to expand (ms)
+  expandTimeout: 10000,
   // Max wait for selectors (ms)
   selectorTimeout: 10000,
+  // Output format: xlsx, json (nested) or jsonl (one row per line)
+  format: 'xlsx',
+  // Where to write the export; defaults to OUTPUT_FILE with the format's extension
+  output: null,
+  // Per-intent progress (JSONL). Defaults to <output>.checkpoint.jsonl and
+  // is deleted once the workbook has been written.
+  checkpointFile: null,
+  // Skip intents already in the checkpoint from an interrupted run
+  resume: false,
+  // Intent Builder view to scrape: auto (kanban when present), kanban or grid
+  view: 'auto',
+  // In kanban view, also read the hierarchy-grid and report disagreements
+  crossCheck: true,
+  // Scrape every model in the model-selection-dropdown, not just the
+  // selected one; each model gets its own sheet
+  allModels: false,
+  // Fail the run (after writing the export) when percentages do not add up
+  strict: false,
+  // Extra slack when summing percentages, in points (lib/percentageCheck)
+  tolerance: percentageCheck.DEFAULT_TOLERANCE,
+  // Interactions in the period, for estimating volumes the panel does not
+  // show (lib/volumes). null = read it from the page header, if shown.
+  totalInteractions: null,
+  // Selector profile for the CXOne UI build: a name under selectors/ or a
+  // JSON file (lib/selectorProfile). null = the default profile.
+  profile: null,
+  // CSS selectors from the profile, overridable per run (--selector
+  // key=value). The tree keys (node, name, percentage, tag, grid*) are
+  // passed through to lib/intentTree.
+  selectors: selectorProfile.resolve(selectorProfile.loadProfile()),
 };
 
+/**
+ * CONFIG with per-run overrides applied; `selectors` is merged key by key
+ * over the chosen profile's.
+ */
+function resolveConfig(overrides = {}) {
+  const profileSelectors = overrides.profile
+    ? selectorProfile.resolve(selectorProfile.loadProfile(overrides.profile))
+    : CONFIG.selectors;
+  const config = {
+    ...CONFIG,
+    ...overrides,
+    selectors: { ...profileSelectors, ...overrides.selectors },
+    infoFields: { ...CONFIG.infoFields, ...overrides.infoFields },
+  };
+  if (!config.output) {
+    config.output = exportFormats.withExtension(OUTPUT_FILE, config.format);
+  }
+  if (!config.checkpointFile) {
+    const { dir, name } = path.parse(config.output);
+    config.checkpointFile = path.join(dir, `${name}.checkpoint.jsonl`);
+  }
+  return config;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Helpers
 // ─────────────────────────────────────────────────────────────────────────────
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+/** Options for the in-page CXOnePanel wait helpers. */
+function panelOptions(config, timeoutMs) {
+  return {
+    panelSelector: config.selectors.infoPanel,
+    titleSelector: config.selectors.infoPanelTitle,
+    phrasesSelector: config.selectors.phrases,
+    selectors: config.selectors,
+    collapsedIcon: config.selectors.collapsedIcon,
+    settleMs: config.settleTime,
+    timeoutMs,
+    backoffBaseMs: config.staleBackoff,
+  };
+}
+
+/**
+ * Evaluates one of the shared lib/ modules inside the page so it is available
+ * as a global (e.g. window.CXOneIntentTree). Evaluating the source string
+ * rather than adding a <script> tag keeps it working under the page's CSP.
+ */
+async function injectLibrary(page, name) {
+  const source = fs.readFileSync(path.join(__dirname, 'lib', `${name}.js`), 'utf-8');
+  await page.evaluate(source);
+}
+
+/** Options for the in-page CXOneGrid helpers. */
+function gridOptions(config) {
+  return {
+    rowSelector: config.selectors.gridRow,
+    expandSelector: config.selectors.gridExpand,
+    viewport: config.selectors.gridViewport,
+    pagingPanel: config.selectors.gridPagingPanel,
+    nextPage: config.selectors.gridNextPage,
+    firstPage: config.selectors.gridFirstPage,
+    currentPage: config.selectors.gridCurrentPage,
+    totalPages: config.selectors.gridTotalPages,
+    settleMs: config.settleTime,
+    timeoutMs: config.expandTimeout,
+  };
+}
+
+/** Interaction count shown in the Intent Builder header; null when absent. */
+async function readTotalInteractions(page, config) {
+  const text = await page.evaluate((selector) => {
+    const el = selector && document.querySelector(selector);
+    return el ? el.textContent : '';
+  }, config.selectors.totalInteractions);
+  return volumes.parseCount(text);
 }
 
 async function safeClick(page, element) {
@@ -62,12 +230,105 @@ async function safeClick(page, element) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Models
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Model currently selected in the Intent Builder header. */
+async function readSelectedModel(page, config) {
+  return page.evaluate((sel) => {
+    const text = (selector) => {
+      const el = document.querySelector(selector);
+      return el ? el.textContent.trim() : '';
+    };
+    return { model: text(sel.modelName), modelVersion: text(sel.modelVersion) };
+  }, config.selectors);
+}
+
+async function openModelList(page, config) {
+  const box = await page.$(config.selectors.modelBox);
+  if (!box || !(await safeClick(page, box))) return false;
+  try {
+    await page.waitForSelector(config.selectors.modelOption, { visible: true, timeout: config.selectorTimeout });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Name and version of every option in the open model list. */
+async function readModelOptions(page, config) {
+  return page.evaluate((sel) => {
+    return Array.from(document.querySelectorAll(sel.modelOption)).map((option) => {
+      const name = option.querySelector(sel.modelOptionName);
+      const version = option.querySelector(sel.modelOptionVersion);
+      return {
+        model: (name || option).textContent.trim(),
+        modelVersion: version ? version.textContent.trim() : '',
+      };
+    });
+  }, config.selectors);
+}
+
+/** Lists the models offered by the model-selection-dropdown. */
+async function listModels(page, config) {
+  if (!(await openModelList(page, config))) {
+    throw new Error(
+      `Could not open the model list (${config.selectors.modelBox} → ${config.selectors.modelOption}). ` +
+      'Check the modelBox / modelOption selectors.'
+    );
+  }
+  const models = await readModelOptions(page, config);
+  await page.keyboard.press('Escape');
+  return models;
+}
+
+function sameModel(a, b) {
+  return a.model === b.model && (!a.modelVersion || !b.modelVersion || a.modelVersion === b.modelVersion);
+}
+
+/**
+ * Switches the Intent Builder to `model` and waits until the header shows
+ * it and the tree (`treeSelector`) has re-rendered.
+ */
+async function selectModel(page, config, model, treeSelector) {
+  if (sameModel(await readSelectedModel(page, config), model)) return;
+
+  if (!(await openModelList(page, config))) {
+    throw new Error(`Could not open the model list to select "${model.model}".`);
+  }
+  const options = await readModelOptions(page, config);
+  const index = options.findIndex((option) => sameModel(option, model));
+  const handles = await page.$$(config.selectors.modelOption);
+  if (index < 0 || !handles[index] || !(await safeClick(page, handles[index]))) {
+    await page.keyboard.press('Escape');
+    throw new Error(`Model "${model.model}" is no longer in the model list.`);
+  }
+
+  await page.waitForFunction(
+    (sel, m) => {
+      const name = document.querySelector(sel.modelName);
+      const version = document.querySelector(sel.modelVersion);
+      return !!name && name.textContent.trim() === m.model &&
+        (!m.modelVersion || (!!version && version.textContent.trim() === m.modelVersion));
+    },
+    { timeout: config.detailTimeout },
+    config.selectors,
+    model
+  );
+  await page.evaluate(
+    (selector, o) => window.CXOnePanel.waitForSettled(selector, o),
+    treeSelector,
+    panelOptions(config, config.detailTimeout)
+  );
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Step 1 – Expand all kanban tree nodes so every intent is visible
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function expandAllTreeNodes(page) {
-  console.log('\n[1/4] Expanding all collapsed tree nodes...');
+async function expandAllTreeNodes(page, config) {
+  log.info('\n[1/4] Expanding all collapsed tree nodes...');
 
   let expandedCount = 0;
   let pass = 0;
@@ -78,196 +339,398 @@ async function expandAllTreeNodes(page) {
     pass++;
     // Find all collapsed p-tree toggler buttons (the chevron-right icons)
     // A collapsed node has a chevronrighticon inside its toggler
-    const togglers = await page.$$('.kanban-view-panel .p-tree-toggler:has(chevronrighticon)');
+    const togglers = await page.$$(config.selectors.collapsedToggler);
 
     if (togglers.length === 0) {
       break;
     }
 
-    console.log(`  Pass ${pass}: found ${togglers.length} collapsed node(s), expanding...`);
+    log.info(`  Pass ${pass}: found ${togglers.length} collapsed node(s), expanding...`);
 
+    const opts = panelOptions(config, config.expandTimeout);
     for (const toggler of togglers) {
-      await safeClick(page, toggler);
-      await sleep(CONFIG.expandDelay);
+      if (await safeClick(page, toggler)) {
+        await page.evaluate((el, o) => window.CXOnePanel.waitForExpanded(el, o), toggler, opts);
+      }
       expandedCount++;
     }
   }
 
-  console.log(`  Expanded ${expandedCount} tree node(s) across ${pass} pass(es).`);
+  log.info(`  Expanded ${expandedCount} tree node(s) across ${pass} pass(es).`);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Step 2 – Collect all visible nodes with their hierarchy
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function collectTreeNodes(page) {
-  console.log('\n[2/4] Collecting all visible tree nodes...');
-
-  const nodes = await page.evaluate(() => {
-    const result = [];
-    const els = document.querySelectorAll('.kanban-tree-node');
-
-    for (const el of els) {
-      const classList = el.className;
-      let level = 0;
-      if (classList.includes('node-level-1')) level = 1;
-      else if (classList.includes('node-level-2')) level = 2;
-      else if (classList.includes('node-level-3')) level = 3;
-      if (level === 0) continue;
-
-      const nameEl = el.querySelector('.kanban-tree-node-name');
-      const pctEl = el.querySelector('.kanban-tree-node-statistics .percentage');
-
-      result.push({
-        level,
-        name: nameEl ? nameEl.textContent.trim() : '',
-        percentage: pctEl ? pctEl.textContent.trim() : '0%',
-      });
-    }
-    return result;
-  });
+/** @returns {Promise<{rows: Object[], tree: Object}>} */
+async function collectTreeNodes(page, config) {
+  log.info('\n[2/4] Collecting all visible tree nodes...');
+
+  // Build hierarchy in the page with the shared extractor. Placeholder rows
+  // for collapsed topics are dropped: there is nothing to click for them.
+  const tree = await page.evaluate(
+    (selectors) => window.CXOneIntentTree.extractFromDom(document, { selectors }),
+    config.selectors
+  );
+  const rows = intentTree.toRows(tree, { placeholders: false });
+
+  log.info(`  Found ${rows.length} Level-3 intents.`);
+  return { rows, tree };
+}
+
+/**
+ * Grid view: steps 1 and 2 page by page. Every page is expanded and read
+ * before moving on, since ag-grid only renders the current page, and only
+ * the rows near its viewport: lib/gridView.js scrolls through each page to
+ * expand and collect every row. Rows remember their `gridPage` and
+ * `gridRowIndex` so clickIntent() can return to them. Categories and
+ * topics with fewer children than their ag-group-child-count are logged.
+ *
+ * @returns {Promise<{rows: Object[], tree: Object}>}
+ */
+async function collectGridRows(page, config) {
+  const opts = gridOptions(config);
+  const { total } = await page.evaluate((o) => window.CXOneGrid.pageInfo(o), opts);
 
-  // Build hierarchy: assign current category/topic to each intent
   const rows = [];
-  let currentCategory = '';
-  let currentTopic = '';
-
-  for (const node of nodes) {
-    if (node.level === 1) {
-      currentCategory = node.name;
-      currentTopic = '';
-    } else if (node.level === 2) {
-      currentTopic = node.name;
-    } else if (node.level === 3) {
-      rows.push({
-        category: currentCategory,
-        topic: currentTopic,
-        intent: node.name,
-        intentPercentage: node.percentage,
-        volume: '',
-        examples: '',
-        active: '',
-      });
+  const tree = { categories: [] };
+  for (let n = 1; n <= total; n++) {
+    const reached = await page.evaluate((n, o) => window.CXOneGrid.goToPage(n, o), n, opts);
+    if (!reached) {
+      log.warn(`  Could not reach grid page ${n} of ${total}; stopping here.`);
+      break;
     }
+    const result = await page.evaluate((o) => window.CXOneGrid.expandAllGroups(o), opts);
+    if (result.failed > 0) {
+      log.warn(`  Page ${n}: ${result.failed} group row(s) did not expand.`);
+    }
+
+    const pageTree = await page.evaluate(async (selectors, o) => {
+      const Tree = window.CXOneIntentTree;
+      return Tree.extractGridTree(await window.CXOneGrid.collectRows(o), Tree.domAdapter, { selectors });
+    }, config.selectors, opts);
+    const pageRows = intentTree.toRows(pageTree, { placeholders: false });
+    const shortfalls = intentTree.checkGridCounts(pageTree);
+    if (shortfalls.length > 0) {
+      log.warn(`  Page ${n}: ${shortfalls.length} group(s) have fewer rows than the grid reports:`);
+      for (const issue of shortfalls.slice(0, 10)) {
+        log.warn(`    ${issue.path}: ${issue.detail}`);
+      }
+    }
+    for (const row of pageRows) row.gridPage = n;
+    rows.push(...pageRows);
+    tree.categories.push(...pageTree.categories);
+    log.info(`  Page ${n}/${total}: expanded ${result.expanded} group(s), ${pageRows.length} intents`);
+  }
+
+  return { rows, tree };
+}
+
+/**
+ * Kanban view with the grid also in the page: reads the grid too and logs
+ * where the two views disagree. Never fails the run.
+ */
+async function crossCheckViews(page, config) {
+  log.info('\n  Cross-checking the kanban view against the hierarchy-grid...');
+  const kanban = await page.evaluate(
+    (selectors) => window.CXOneIntentTree.extractFromDom(document, { selectors }),
+    config.selectors
+  );
+  const { tree: grid } = await collectGridRows(page, config);
+  if (grid.categories.length === 0) {
+    log.info('  The grid has no rows rendered; cross-check skipped.');
+    return null;
   }
 
-  console.log(`  Found ${rows.length} Level-3 intents.`);
-  return rows;
+  const issues = intentTree.compareTrees(kanban, grid);
+  if (issues.length === 0) {
+    log.info('  Kanban and grid views agree.');
+  } else {
+    log.warn(`  Kanban and grid views disagree in ${issues.length} place(s):`);
+    for (const issue of issues.slice(0, 10)) {
+      log.warn(`    ${issue.path}: ${issue.issue} (${issue.detail})`);
+    }
+  }
+  return issues;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Step 3 – Click each intent and scrape the detail panel
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function scrapeIntentDetails(page, rows) {
-  console.log('\n[3/4] Clicking each intent to scrape detail panel...');
-  console.log(`  Processing ${rows.length} intents (this may take a while)...\n`);
+/**
+ * Clicks the Level-3 node the row was extracted from, addressed by its tree
+ * position / intent ID rather than its name (names repeat across topics).
+ * Returns false if the node is gone.
+ */
+async function clickIntent(page, row, config) {
+  const target = { treePath: row.treePath, intentId: row.intentId, intent: row.intent, rowIndex: row.gridRowIndex };
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    const progress = `[${i + 1}/${rows.length}]`;
+  if (row.gridPage) {
+    return page.evaluate(async (target, n, selectors, o) => {
+      const Grid = window.CXOneGrid;
+      const Tree = window.CXOneIntentTree;
+      if (!(await Grid.goToPage(n, o))) return false;
 
-    // Find the Level-3 node element by matching its name text
-    const clicked = await page.evaluate((intentName) => {
-      const nodes = document.querySelectorAll('.kanban-tree-node.node-level-3');
-      for (const node of nodes) {
-        const nameEl = node.querySelector('.kanban-tree-node-name');
-        if (nameEl && nameEl.textContent.trim() === intentName) {
-          node.click();
-          return true;
-        }
+      // The row where it was collected, if it still holds this intent;
+      // else look it up again in the whole page (the grid has changed)
+      const named = (el) => el && Tree.domAdapter.text(el, selectors.gridName) === target.intent;
+      let el = target.rowIndex !== undefined ? await Grid.revealRow(target.rowIndex, o) : null;
+      if (!named(el)) {
+        const tree = Tree.extractGridTree(await Grid.collectRows(o), Tree.domAdapter, { selectors });
+        const intent = Tree.findIntent(tree, target);
+        el = intent && intent.rowIndex !== undefined ? await Grid.revealRow(intent.rowIndex, o) : null;
       }
-      return false;
-    }, row.intent);
-
-    if (!clicked) {
-      console.log(`  ${progress} ${row.intent} — SKIPPED (node not found)`);
-      continue;
-    }
+      if (!el) return false;
+      (el.querySelector(selectors.gridGroupValue) || el).click();
+      return true;
+    }, target, row.gridPage, config.selectors, gridOptions(config));
+  }
 
-    // Wait for the detail panel to load
-    await sleep(CONFIG.detailLoadDelay);
+  return page.evaluate((target, selectors) => {
+    const tree = window.CXOneIntentTree.extractFromDom(document, { keepElements: true, selectors });
+    const intent = window.CXOneIntentTree.findIntent(tree, target);
+    if (!intent) return false;
+    intent.el.click();
+    return true;
+  }, target, config.selectors);
+}
 
-    // Scrape the detail panel data
-    const detail = await page.evaluate(() => {
-      const data = { volume: '', examples: '', active: '' };
+/** Checkpoint key; prefixed with the model when one run scrapes several. */
+function checkpointKey(row, config) {
+  const key = intentTree.intentKey(row);
+  return config.allModels ? `${row.model} ${row.modelVersion} | ${key}` : key;
+}
 
-      // Try multiple known selectors for the info panel
-      // The CXOne app uses .info-body with .info-item children
-      // each .info-item has a .sub-title and .item-value
+/**
+ * Volume, examples, active status and every info item from the open detail
+ * panel. Examples are read with lib/phrases.js, as in the console scripts,
+ * after loading the whole list: `exampleRecords` holds the records,
+ * `examples` their newline-joined text, `examplesReported` the count CXOne
+ * shows ('' when it shows none). `fields` lists all info items as
+ * {title, value}, for lib/infoFields.js.
+ */
+async function readDetailPanel(page, config) {
+  const loadOptions = { maxPhrases: config.maxPhrases, settleMs: config.settleTime };
+  return page.evaluate(async (sel, loadOpts) => {
+    const data = {
+      volume: '',
+      examples: '',
+      exampleRecords: [],
+      examplesReported: '',
+      examplesCaptured: 0,
+      examplesCapped: false,
+      active: '',
+      fields: [],
+    };
 
-      const infoItems = document.querySelectorAll('.info-body .info-item');
-      for (const item of infoItems) {
-        const titleEl = item.querySelector('.sub-title');
-        const valueEl = item.querySelector('.item-value');
-        if (!titleEl || !valueEl) continue;
+    // The CXOne app uses .info-body with .info-item children, each with a
+    // .sub-title and .item-value. All of them are kept in `fields`; volume
+    // and active status also get columns of their own.
+    data.fields = window.CXOnePhrases.readInfoFieldsFromDom(document, sel);
+    // Examples are read below, with the phrases container and exampleItems
+    for (const field of data.fields) {
+      const column = window.CXOnePhrases.builtInTitle(field.title);
+      if (column === 'volume') data.volume = field.value;
+      else if (column === 'active') data.active = field.value;
+    }
 
-        const title = titleEl.textContent.trim().toLowerCase();
-        const value = valueEl.textContent.trim();
+    // Examples: the phrases container (every page of it), else an Examples
+    // info item, else a sample list (sel.exampleItems)
+    const list = await window.CXOnePhrases.loadPanelFromDom(document, sel, loadOpts);
+    data.exampleRecords = list.records;
+    data.examples = window.CXOnePhrases.toText(list.records);
+    data.examplesReported = list.reported === null ? '' : list.reported;
+    data.examplesCaptured = list.captured;
+    data.examplesCapped = list.capped;
 
-        if (title.includes('volume')) {
-          data.volume = value;
-        } else if (title.includes('example') || title.includes('sample') || title.includes('utterance') || title.includes('training')) {
-          data.examples = value;
-        } else if (title.includes('active') || title.includes('status')) {
-          data.active = value;
+    // Alternative: check for percentage & volume in the panel header area
+    if (!data.volume) {
+      // Sometimes volume is shown near the percentage in the detail header
+      const headerStats = sel.headerVolume ? document.querySelectorAll(sel.headerVolume) : [];
+      for (const stat of headerStats) {
+        const text = stat.textContent.trim();
+        if (text && /\d/.test(text)) {
+          data.volume = text;
+          break;
         }
       }
+    }
 
-      // Alternative: Try to find examples in a list/table format
-      if (!data.examples) {
-        // Check for sample sentences in ag-grid or list within the detail view
-        const sampleRows = document.querySelectorAll(
-          'item-info-panel .sample-list .sample-item, ' +
-          'item-info-panel .example-row, ' +
-          '.intent-examples .example-text, ' +
-          '.info-body .examples-list li, ' +
-          '.sentence-list .sentence-item'
-        );
-        if (sampleRows.length > 0) {
-          data.examples = Array.from(sampleRows)
-            .map(el => el.textContent.trim())
-            .filter(Boolean)
-            .join('\n');
-        }
+    // Check for active status via toggle/checkbox in the detail panel
+    if (!data.active) {
+      const toggle = sel.activeToggle && document.querySelector(sel.activeToggle);
+      if (toggle) {
+        data.active = toggle.checked ? 'Yes' : 'No';
       }
+    }
 
-      // Alternative: check for percentage & volume in the panel header area
-      if (!data.volume) {
-        // Sometimes volume is shown near the percentage in the detail header
-        const headerStats = document.querySelectorAll('.panel-header .stat-value, .intent-stats .volume');
-        for (const stat of headerStats) {
-          const text = stat.textContent.trim();
-          if (text && /\d/.test(text)) {
-            data.volume = text;
-            break;
-          }
-        }
-      }
+    return data;
+  }, config.selectors, loadOptions);
+}
 
-      // Check for active status via toggle/checkbox in the detail panel
-      if (!data.active) {
-        const toggle = document.querySelector(
-          'item-info-panel .active-toggle input, ' +
-          'item-info-panel p-checkbox input, ' +
-          '.info-body .active-status'
-        );
-        if (toggle) {
-          data.active = toggle.checked ? 'Yes' : 'No';
-        }
-      }
+/**
+ * Clicks the intent until the panel names it and has settled, up to
+ * detailRetries extra clicks.
+ *
+ * @returns {Promise<{clicked: boolean, ready: boolean}>}
+ */
+async function openIntent(page, row, config, progress) {
+  let clicked = false;
+  let readiness = null;
+  for (let attempt = 0; attempt <= config.detailRetries; attempt++) {
+    if (attempt > 0) {
+      log.info(`  ${progress} ${row.intent} — panel not ready, retrying (${attempt}/${config.detailRetries})`);
+    }
+    clicked = await clickIntent(page, row, config);
+    if (!clicked) break;
+    readiness = await page.evaluate(
+      (name, o) => window.CXOnePanel.waitForPanel(name, o),
+      row.intent,
+      panelOptions(config, config.detailTimeout)
+    );
+    if (readiness.ready) break;
+  }
+  return { clicked, ready: !!(readiness && readiness.ready) };
+}
 
-      return data;
-    });
+/**
+ * Reads the open panel and checks it is not stale (lib/panelReady.js
+ * checkPanel): still naming this intent, and not showing the previous
+ * intent's phrases. Stale panels are re-opened after a growing backoff, up
+ * to staleRetries times.
+ *
+ * @returns {Promise<{detail: Object, check: Object, retries: number}>}
+ */
+async function readFreshPanel(page, row, config, previousFingerprint, progress) {
+  const opts = panelOptions(config, config.detailTimeout);
+  let detail = await readDetailPanel(page, config);
+  let check = await page.evaluate(
+    (name, previous, o) => window.CXOnePanel.checkPanel(name, previous, o),
+    row.intent, previousFingerprint, opts
+  );
+
+  let retries = 0;
+  while (check.stale && retries < config.staleRetries) {
+    retries++;
+    const delay = panelReady.backoffMs(retries, opts);
+    log.warn(`  ${progress} ${row.intent} — panel looks stale (${check.reason}), ` +
+      `retrying in ${delay} ms (${retries}/${config.staleRetries})`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+
+    const { clicked, ready } = await openIntent(page, row, config, progress);
+    if (!clicked || !ready) continue;
+    detail = await readDetailPanel(page, config);
+    check = await page.evaluate(
+      (name, previous, o) => window.CXOnePanel.checkPanel(name, previous, o),
+      row.intent, previousFingerprint, opts
+    );
+  }
+  return { detail, check, retries };
+}
+
+/**
+ * Step 3 for every row. Each row ends with a `status` (ok, resumed,
+ * not-found, not-ready, stale) and, once read, a `panelCheck`:
+ *
+ *   ok            fresh on the first read
+ *   recovered     stale at first, fresh after `panelRetries` retries
+ *   same-content  still the previous intent's phrases after every retry;
+ *                 kept, but flagged (the two intents may really share them)
+ *   other-intent  the panel never named this intent; left empty
+ *
+ * @param {Map<string, Object>} captured  checkpoint records from an
+ *   interrupted run (empty unless --resume)
+ */
+async function scrapeIntentDetails(page, rows, config, checkpoint, captured) {
+  log.info('\n[3/4] Clicking each intent to scrape detail panel...');
+  log.info(`  Processing ${rows.length} intents (this may take a while)...\n`);
+
+  // Phrases fingerprint of the last intent read, for the stale check
+  let previousFingerprint = '';
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const progress = `[${i + 1}/${rows.length}]`;
+    const key = checkpointKey(row, config);
+
+    const saved = captured.get(key);
+    if (saved) {
+      row.volume = saved.volume;
+      row.examples = saved.examples;
+      row.exampleRecords = saved.exampleRecords || phrases.fromText(saved.examples);
+      Object.assign(row, phrases.highlightFields(row.exampleRecords));
+      row.examplesReported = saved.examplesReported === undefined ? '' : saved.examplesReported;
+      row.examplesCaptured = row.exampleRecords.length;
+      row.examplesCapped = !!saved.examplesCapped;
+      row.active = saved.active;
+      row.info = infoFields.collectFields(saved.fields, config.infoFields);
+      row.panelCheck = saved.panelCheck || '';
+      row.panelRetries = saved.panelRetries || 0;
+      row.status = 'resumed';
+      previousFingerprint = '';
+      log.info(`  ${progress} ${row.category} > ${row.topic} > ${row.intent} (from checkpoint)`);
+      continue;
+    }
+
+    // Click, then wait until the panel shows this intent and has settled.
+    // A panel that never gets there is clicked again, up to detailRetries.
+    const { clicked, ready } = await openIntent(page, row, config, progress);
+    if (!clicked) {
+      row.status = 'not-found';
+      log.info(`  ${progress} ${row.intent} — SKIPPED (node not found)`);
+      continue;
+    }
+    if (!ready) {
+      // Reading now could copy the previous intent's examples; leave it empty
+      // (and out of the checkpoint, so --resume tries it again)
+      row.status = 'not-ready';
+      log.warn(`  ${progress} ${row.intent} — SKIPPED (panel not ready after ${config.detailRetries + 1} attempt(s))`);
+      continue;
+    }
+
+    // Scrape the detail panel data, re-opening it while it looks stale
+    const { detail, check, retries } = await readFreshPanel(page, row, config, previousFingerprint, progress);
+    row.panelRetries = retries;
+    if (check.reason === 'other-intent') {
+      row.panelCheck = check.reason;
+      row.status = 'stale';
+      log.warn(`  ${progress} ${row.intent} — SKIPPED (panel still shows another intent after ${retries} retries)`);
+      continue;
+    }
+    row.panelCheck = check.stale ? check.reason : retries > 0 ? 'recovered' : 'ok';
+    previousFingerprint = check.fingerprint;
 
     row.volume = detail.volume;
     row.examples = detail.examples;
+    row.exampleRecords = detail.exampleRecords;
+    Object.assign(row, phrases.highlightFields(row.exampleRecords));
+    row.examplesReported = detail.examplesReported;
+    row.examplesCaptured = detail.examplesCaptured;
+    row.examplesCapped = detail.examplesCapped;
     row.active = detail.active;
+    row.info = infoFields.collectFields(detail.fields, config.infoFields);
+    row.status = 'ok';
+    checkpoint.append({
+      key,
+      ...detail,
+      panelCheck: row.panelCheck,
+      panelRetries: row.panelRetries,
+      capturedAt: new Date().toISOString(),
+    });
 
-    const examplePreview = detail.examples
-      ? ` (${detail.examples.split('\n').length} examples)`
+    const reportedNote = detail.examplesReported !== '' && detail.examplesReported !== detail.examplesCaptured
+      ? ` of ${detail.examplesReported}`
+      : '';
+    const examplePreview = detail.exampleRecords.length || reportedNote
+      ? ` (${detail.exampleRecords.length}${reportedNote} examples)`
       : '';
-    console.log(`  ${progress} ${row.category} > ${row.topic} > ${row.intent}${examplePreview}`);
+    if (detail.examplesCapped) {
+      log.warn(`  ${progress} ${row.intent} — phrase list stopped at --max-phrases (${config.maxPhrases})`);
+    }
+    const retryNote = row.panelCheck === 'ok' ? '' : ` [${row.panelCheck}]`;
+    log.info(`  ${progress} ${row.category} > ${row.topic} > ${row.intent}${examplePreview}${retryNote}`);
   }
 }
 
@@ -275,21 +738,34 @@ async function scrapeIntentDetails(page, rows) {
 // Step 4 – Write Excel
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function writeExcel(rows) {
-  console.log('\n[4/4] Writing Excel file...');
+const INTENT_COLUMNS = [
+  { header: 'Category', key: 'category', width: 25 },
+  { header: 'Topic', key: 'topic', width: 30 },
+  { header: 'Intent', key: 'intent', width: 45 },
+  { header: 'Intent Percentage', key: 'intentPercentage', width: 18 },
+  { header: 'Volume', key: 'volume', width: 12 },
+  { header: 'Volume Source', key: 'volumeSource', width: 14 },
+  { header: 'Examples', key: 'examples', width: 60 },
+  { header: 'Highlights', key: 'highlights', width: 30 },
+  { header: 'Highlighted Terms', key: 'highlightTerms', width: 30 },
+  { header: 'Examples Reported', key: 'examplesReported', width: 12 },
+  { header: 'Examples Captured', key: 'examplesCaptured', width: 12 },
+  { header: 'Active', key: 'active', width: 10 },
+  { header: 'Intent ID', key: 'intentId', width: 45 },
+  { header: 'Panel Check', key: 'panelCheck', width: 14 },
+  { header: 'Panel Retries', key: 'panelRetries', width: 13 },
+  { header: 'Model', key: 'model', width: 25 },
+  { header: 'Model Version', key: 'modelVersion', width: 16 },
+];
 
-  const workbook = new ExcelJS.Workbook();
-  const sheet = workbook.addWorksheet('Intents');
-
-  sheet.columns = [
-    { header: 'Category', key: 'category', width: 25 },
-    { header: 'Topic', key: 'topic', width: 30 },
-    { header: 'Intent', key: 'intent', width: 45 },
-    { header: 'Intent Percentage', key: 'intentPercentage', width: 18 },
-    { header: 'Volume', key: 'volume', width: 12 },
-    { header: 'Examples', key: 'examples', width: 60 },
-    { header: 'Active', key: 'active', width: 10 },
-  ];
+/** INTENT_COLUMNS, then one column per info field the rows have. */
+function intentColumns(rows) {
+  return [...INTENT_COLUMNS, ...infoFields.fieldColumns(rows)];
+}
+
+function addIntentSheet(workbook, name, rows) {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = intentColumns(rows);
 
   // Style header
   const headerRow = sheet.getRow(1);
@@ -303,101 +779,359 @@ async function writeExcel(rows) {
 
   // Add data
   for (const row of rows) {
-    const excelRow = sheet.addRow(row);
-    // Wrap text in Examples column
-    excelRow.getCell('examples').alignment = { wrapText: true, vertical: 'top' };
+    formatIntentRow(sheet.addRow(infoFields.withFieldKeys(row)), row);
   }
 
   // Auto-filter & freeze
   sheet.autoFilter = {
     from: { row: 1, column: 1 },
-    to: { row: rows.length + 1, column: 7 },
+    to: { row: rows.length + 1, column: sheet.columns.length },
   };
   sheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
 
-  await workbook.xlsx.writeFile(OUTPUT_FILE);
-  console.log(`  Excel file written to: ${OUTPUT_FILE}`);
+/**
+ * A single model gets Categories / Topics summary sheets and an outlined
+ * Intents sheet; with --all-models each model gets one flat sheet, named
+ * after it. The Validation sheet comes last, tagged by model when several.
+ *
+ * @param {{meta: Object, rows: Object[], validation: Object[]}[]} results
+ */
+async function writeExcel(results, outputFile = OUTPUT_FILE) {
+  log.info('\n[4/4] Writing Excel file...');
+
+  const workbook = new ExcelJS.Workbook();
+  if (results.length === 1) {
+    Object.assign(workbook, exportFormats.workbookProperties(results[0].meta));
+    const { rows } = results[0];
+    addHierarchySheets(workbook, rows.map(infoFields.withFieldKeys), { columns: intentColumns(rows) });
+    percentageCheck.addValidationSheet(workbook, results[0].validation);
+  } else {
+    const models = results.map((result) => result.meta.model);
+    Object.assign(workbook, exportFormats.workbookProperties({ model: models.join(', ') }));
+    const used = new Set();
+    for (const { meta, rows } of results) {
+      addIntentSheet(workbook, sheetName(`${meta.model} ${meta.modelVersion}`, used), rows);
+    }
+    const issues = results.flatMap(({ meta, validation }) =>
+      validation.map((issue) => ({ model: meta.model, ...issue })));
+    percentageCheck.addValidationSheet(workbook, issues, {
+      name: sheetName('Validation', used),
+      columns: INTENT_COLUMNS.filter((column) => column.key === 'model'),
+    });
+  }
+
+  await workbook.xlsx.writeFile(outputFile);
+  log.info(`  Excel file written to: ${outputFile}`);
+}
+
+async function writeOutput(results, config) {
+  const source = config.launch
+    ? { source: 'live', url: config.url }
+    : { source: 'live', browserURL: config.browserURL };
+
+  if (config.format === 'json') {
+    log.info('\n[4/4] Writing JSON file...');
+    const nested = (result) =>
+      exportFormats.toNestedJson(result.rows, { ...source, ...result.meta, validation: result.validation });
+    const doc = results.length === 1
+      ? nested(results[0])
+      : {
+        generatedAt: new Date().toISOString(),
+        ...source,
+        models: results.map((result) => {
+          const modelDoc = nested(result);
+          delete modelDoc.generatedAt;
+          return modelDoc;
+        }),
+      };
+    fs.writeFileSync(config.output, JSON.stringify(doc, null, 2) + '\n');
+    log.info(`  JSON file written to: ${config.output}`);
+  } else if (config.format === 'jsonl') {
+    log.info('\n[4/4] Writing JSON Lines file...');
+    fs.writeFileSync(config.output, exportFormats.toJsonLines(results.flatMap((result) => result.rows)));
+    log.info(`  JSON Lines file written to: ${config.output}`);
+  } else {
+    await writeExcel(results, config.output);
+  }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Main
+// Browser
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function main() {
-  console.log('=== CXOne Intent Scraper (Live Browser) ===\n');
-  console.log('Connecting to Chrome at', CONFIG.browserURL, '...');
+/** Attaches to the user's Chrome and picks the CXOne tab. */
+async function connectToChrome(config) {
+  log.info('Connecting to Chrome at', config.browserURL, '...');
 
   let browser;
   try {
-    browser = await puppeteer.connect({ browserURL: CONFIG.browserURL });
+    browser = await puppeteer.connect({ browserURL: config.browserURL });
   } catch (err) {
-    console.error('\nFailed to connect to Chrome. Make sure Chrome is running with:');
-    console.error('  chrome --remote-debugging-port=9222\n');
-    console.error('Then log into CXOne and navigate to the Intent Builder page.\n');
-    console.error('Error:', err.message);
-    process.exit(1);
+    throw new Error(
+      `Failed to connect to Chrome at ${config.browserURL} (${err.message}). ` +
+      'Make sure Chrome is running with --remote-debugging-port and that you are ' +
+      'logged into CXOne on the Intent Builder page.'
+    );
   }
 
-  // Find the CXOne tab
-  const pages = await browser.pages();
-  let page = null;
-  for (const p of pages) {
-    const url = p.url();
-    if (url.includes('cxone') || url.includes('nice') || url.includes('intent')) {
-      page = p;
-      break;
+  try {
+    // Find the CXOne tab; ambiguous or missing matches list the tabs
+    const tabs = await tabSelection.describeTabs(await browser.pages(), config.selectors.intentBuilder);
+    const { tab, candidates } = tabSelection.selectTab(tabs, { url: config.tabUrl, title: config.tabTitle });
+    if (candidates.length > 1) {
+      log.info(`  ${candidates.length} tabs matched; using the one with the Intent Builder:`);
+      log.info(tabSelection.formatTabs(candidates));
     }
+    log.info(`  Using tab [${tab.index}]: ${tab.title || '(no title)'} — ${tab.url}`);
+    return { browser, page: tab.page };
+  } catch (err) {
+    await browser.disconnect();
+    throw err;
   }
+}
+
+/** The Intent Builder tab: launched (launch mode) or of the user's Chrome. */
+async function openBrowser(config) {
+  return config.launch ? launchIntentBuilder(config) : connectToChrome(config);
+}
 
-  if (!page) {
-    // Fall back to the active tab
-    page = pages[pages.length - 1];
-    console.log('  Could not auto-detect CXOne tab, using the last active tab.');
-    console.log('  Current URL:', page.url());
+/**
+ * A launched browser is ours to close; a connected one is disconnected
+ * (not closed) so the user's Chrome keeps running and the process can exit.
+ */
+async function closeBrowser(browser, config) {
+  if (config.launch) {
+    await browser.close();
   } else {
-    console.log('  Found CXOne tab:', page.url());
+    await browser.disconnect();
   }
+}
 
-  // Verify we see the kanban view
-  const hasKanban = await page.$('.kanban-view-panel');
-  if (!hasKanban) {
-    console.error('\nCould not find the kanban view on this page.');
-    console.error('Make sure you are on the CXOne Intent Builder page with the');
-    console.error('Category / Topic / Intent tree visible.');
-    process.exit(1);
+/** Fails before any clicking when `page` is not the Intent Builder. */
+async function verifyIntentBuilder(page, config) {
+  if (await page.$(config.selectors.intentBuilder)) return;
+  throw new Error(
+    `The selected tab (${page.url()}) does not host the Intent Builder ` +
+    `(no ${config.selectors.intentBuilder} element). Open the Intent Builder there, or pick ` +
+    'another tab with --tab-url / --tab-title.'
+  );
+}
+
+/**
+ * Launch mode: starts Chromium, restores the saved session and opens the
+ * Intent Builder. Throws browserSession.SessionExpiredError when CXOne asks
+ * for a login instead.
+ */
+async function launchIntentBuilder(config) {
+  if (!config.url) {
+    throw new Error('Launch mode needs the Intent Builder URL (--url).');
   }
+  const session = config.sessionFile ? browserSession.loadSession(config.sessionFile) : null;
 
+  log.info(`Launching ${config.headless ? 'headless ' : ''}Chromium ...`);
+  const browser = await browserSession.launchBrowser(puppeteer, config);
   try {
+    const page = (await browser.pages())[0] || (await browser.newPage());
+    if (session) {
+      await browserSession.restoreSession(page, session, config.url);
+      log.info(`  Restored ${session.cookies.length} cookie(s) from ${config.sessionFile}` +
+        (session.savedAt ? ` (saved ${session.savedAt})` : ''));
+    }
+    const readySelectors = {
+      auto: [config.selectors.kanbanPanel, config.selectors.gridPanel],
+      kanban: [config.selectors.kanbanPanel],
+      grid: [config.selectors.gridPanel],
+    }[config.view];
+    await browserSession.openIntentBuilder(page, {
+      url: config.url,
+      readySelectors,
+      timeoutMs: config.navigationTimeout,
+      sessionFile: config.sessionFile,
+    });
+    log.info('  Intent Builder loaded:', page.url());
+    return { browser, page };
+  } catch (err) {
+    await browser.close();
+    throw err;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Steps 1–3 for the model currently shown: expand, collect, click every
+ * intent. Rows are tagged with `meta` (model, version, capture time); the
+ * tree's percentages are checked before the (slow) detail step.
+ *
+ * @returns {Promise<{rows: Object[], validation: Object[]}>}
+ */
+async function scrapeModel(page, config, view, hasGrid, meta, checkpoint, captured) {
+  let collected;
+  if (view === 'grid') {
+    // Steps 1 + 2, page by page
+    log.info('\n[1/4] Expanding and collecting grid rows page by page...');
+    collected = await collectGridRows(page, config);
+    log.info(`\n[2/4] Found ${collected.rows.length} Level-3 intents across the grid pages.`);
+  } else {
     // Step 1: Expand all trees
-    await expandAllTreeNodes(page);
+    await expandAllTreeNodes(page, config);
 
     // Step 2: Collect the tree hierarchy
-    const rows = await collectTreeNodes(page);
+    collected = await collectTreeNodes(page, config);
 
-    if (rows.length === 0) {
-      console.error('No intents found. Make sure the kanban tree is visible.');
-      process.exit(1);
+    if (config.crossCheck && hasGrid) {
+      await crossCheckViews(page, config);
     }
+  }
+
+  const { rows, tree } = collected;
+  if (rows.length === 0) {
+    throw new Error(`No intents found for model "${meta.model}". Make sure the ${view} view is visible.`);
+  }
+  for (const row of rows) Object.assign(row, meta);
+
+  const validation = percentageCheck.validateTree(tree, { tolerance: config.tolerance });
+  percentageCheck.logIssues(validation, '  Validation');
 
-    // Step 3: Click each intent and scrape details
-    await scrapeIntentDetails(page, rows);
+  // Step 3: Click each intent and scrape details
+  await scrapeIntentDetails(page, rows, config, checkpoint, captured);
 
-    // Step 4: Write to Excel
-    await writeExcel(rows);
+  // Volumes the panel did not show are estimated from the percentages
+  const total = config.totalInteractions || await readTotalInteractions(page, config);
+  const counts = volumes.deriveVolumes(rows, total);
+  if (total) {
+    meta.totalInteractions = total;
+    log.info(`  Volumes: ${counts.scraped} scraped, ${counts.derived} estimated from ${total} interactions`);
+  } else if (counts.scraped < rows.length) {
+    log.info(`  Volumes: ${counts.scraped} scraped; pass --total-interactions to estimate the rest`);
+  }
+  return { rows, validation };
+}
+
+/**
+ * Live pipeline: connect (or launch) → expand → collect → click each intent → workbook.
+ * With allModels, steps 1–3 run once per model in the dropdown.
+ * Throws instead of exiting so the CLI can pick the exit code; with
+ * `strict`, percentage issues throw a ValidationError once the export is
+ * written.
+ *
+ * @param {Object} [overrides]  any CONFIG key; `selectors` merges per key
+ * @returns {Promise<{rows: Object[], models: Object[], validation: Object[], output: string,
+ *                    report: {json: string, html: string}}>}
+ */
+async function run(overrides = {}) {
+  const config = resolveConfig(overrides);
+
+  log.info('=== CXOne Intent Scraper (Live Browser) ===\n');
+
+  const { browser, page } = await openBrowser(config);
+  try {
+    await verifyIntentBuilder(page, config);
+    if (config.saveSession) {
+      const count = await browserSession.saveSession(page, config.saveSession);
+      log.info(`  Saved the session (${count} cookie(s)) to ${config.saveSession}`);
+    }
+
+    // Pick the view: kanban when present, else the hierarchy-grid
+    const hasKanban = !!(await page.$(config.selectors.kanbanPanel));
+    const hasGrid = !!(await page.$(config.selectors.gridPanel));
+    const view = config.view === 'auto' ? (hasKanban ? 'kanban' : 'grid') : config.view;
+    if ((view === 'kanban' && !hasKanban) || (view === 'grid' && !hasGrid)) {
+      throw new Error(
+        `Could not find the ${view === 'grid' ? 'hierarchy-grid' : 'kanban'} view on this page. ` +
+        'Make sure you are on the CXOne Intent Builder page with the Category / Topic / ' +
+        'Intent tree visible.'
+      );
+    }
+    log.info(`  Scraping the ${view} view.`);
+    const treeSelector = view === 'grid' ? config.selectors.gridPanel : config.selectors.kanbanPanel;
+
+    // Shared in-page helpers used by the steps below
+    await injectLibrary(page, 'intentTree');
+    await injectLibrary(page, 'panelReady');
+    await injectLibrary(page, 'gridView');
+    await injectLibrary(page, 'phrases');
+
+    const models = config.allModels ? await listModels(page, config) : [await readSelectedModel(page, config)];
+    if (config.allModels) {
+      log.info(`  ${models.length} model(s) in the model list: ${models.map((m) => m.model).join(', ')}`);
+    } else {
+      log.info(`  Model: ${models[0].model || '(not found)'} ${models[0].modelVersion}`);
+    }
+
+    // Without --resume a previous checkpoint is stale: start a fresh one
+    const checkpoint = jsonlCheckpoint(config.checkpointFile);
+    let captured = new Map();
+    if (config.resume) {
+      captured = checkpoint.load();
+      log.info(`  Resuming: ${captured.size} intent(s) already captured in ${checkpoint.file}`);
+    } else {
+      checkpoint.clear();
+    }
+
+    const results = [];
+    try {
+      for (const model of models) {
+        if (config.allModels) {
+          log.info(`\n=== Model: ${model.model} ${model.modelVersion} ===`);
+          await selectModel(page, config, model, treeSelector);
+        }
+        const meta = { ...model, capturedAt: new Date().toISOString() };
+        const { rows, validation } = await scrapeModel(page, config, view, hasGrid, meta, checkpoint, captured);
+        results.push({ meta, rows, validation });
+      }
+    } catch (err) {
+      log.warn(`\nScrape interrupted. ${checkpoint.load().size} intent(s) are saved in ${checkpoint.file};`);
+      log.warn('re-run with --resume to continue from there.');
+      throw err;
+    }
+
+    // Step 4: Write the export. The checkpoint is only needed until then.
+    await writeOutput(results, config);
+    checkpoint.clear();
 
     // Summary
+    const rows = results.flatMap((result) => result.rows);
     const withExamples = rows.filter((r) => r.examples).length;
     const categories = [...new Set(rows.map((r) => r.category))];
-    console.log('\n=== Summary ===');
-    console.log(`  Categories:    ${categories.length}`);
-    console.log(`  Total intents: ${rows.length}`);
-    console.log(`  With examples: ${withExamples}`);
-    console.log(`  Output file:   ${OUTPUT_FILE}`);
-    console.log('\nDone!');
+    log.info('\n=== Summary ===');
+    log.info(`  Models:        ${results.length}`);
+    log.info(`  Categories:    ${categories.length}`);
+    log.info(`  Total intents: ${rows.length}`);
+    log.info(`  With examples: ${withExamples}`);
+    log.info(`  Output file:   ${config.output}`);
+
+    const report = writeQualityReport(
+      results.map((result) => quality.buildReport(result.rows, { source: 'live', ...result.meta })),
+      config.output
+    );
+
+    const validation = results.flatMap(({ meta, validation: issues }) =>
+      issues.map((issue) => ({ model: meta.model, ...issue })));
+    if (config.strict && validation.length > 0) {
+      throw new percentageCheck.ValidationError(validation);
+    }
+    return { rows, models: results.map((result) => result.meta), validation, output: config.output, report };
+  } finally {
+    await closeBrowser(browser, config);
+  }
+}
+
+async function main() {
+  try {
+    await run();
+    log.info('\nDone!');
   } catch (err) {
-    console.error('Error during scraping:', err.message);
+    log.error('Error during scraping:', err.message);
     process.exit(1);
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = { CONFIG, OUTPUT_FILE, resolveConfig, openBrowser, closeBrowser, injectLibrary, run };
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Bundles the browser console scripts with the shared lib/ modules they use,
+ * so each one is still a single paste into DevTools.
+ *
+ *   npm run build:console   →   dist/scrapeIntentsBrowser.js
+ *                               dist/TAI_Export_Highlights.js
+ *
+ * Both are built from scrapeIntentsBrowser.js; TAI_Export_Highlights.js
+ * differs only in its localStorage checkpoint key, so a run of one never
+ * resumes the other's checkpoint.
+ *
+ * The selector profile (selectors/*.json) is embedded too: the default one,
+ * or `npm run build:console -- <profile name or file>`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const selectorProfile = require('../lib/selectorProfile');
+
+const ROOT = path.join(__dirname, '..');
+const DIST_DIR = path.join(ROOT, 'dist');
+
+// Shared modules, in load order. Each registers a window.CXOne* global.
+const LIBS = ['intentTree', 'checkpoint', 'panelReady', 'exportFormats', 'qualityReport', 'xlsxWriter', 'phrases', 'selectorProfile'];
+
+// Bundles written to dist/: the source script, and the checkpoint key it is
+// built with when that differs from the source's own
+const CONSOLE_SCRIPTS = [
+  { name: 'scrapeIntentsBrowser.js', source: 'scrapeIntentsBrowser.js' },
+  { name: 'TAI_Export_Highlights.js', source: 'scrapeIntentsBrowser.js', checkpointKey: 'TAI_Export_Highlights.checkpoint' },
+];
+
+const CHECKPOINT_KEY_LINE = /^(\s*const CHECKPOINT_KEY = )'[^']*'/m;
+
+function readSource(file) {
+  return fs.readFileSync(file, 'utf-8').replace(/\r\n/g, '\n');
+}
+
+/** The console script's source, with the variant's checkpoint key. */
+function scriptSource(script) {
+  const source = readSource(path.join(ROOT, script.source));
+  if (!script.checkpointKey) return source;
+  if (!CHECKPOINT_KEY_LINE.test(source)) {
+    throw new Error(`${script.source} has no CHECKPOINT_KEY line to build ${script.name} from`);
+  }
+  return source.replace(CHECKPOINT_KEY_LINE, (line, start) => `${start}'${script.checkpointKey}'`);
+}
+
+/**
+ * @param {{name: string, source: string, checkpointKey?: string}} script  one of CONSOLE_SCRIPTS
+ * @param {Object} [profile]  from selectorProfile.loadProfile() (default profile)
+ */
+function bundle(script, profile = selectorProfile.loadProfile()) {
+  const parts = LIBS.map((name) => {
+    const file = path.join(ROOT, 'lib', `${name}.js`);
+    return `// ── lib/${name}.js ──\n${readSource(file)}`;
+  });
+  const embedded = { profile: profile.profile, uiBuild: profile.uiBuild, selectors: profile.selectors };
+  parts.push(`// ── selectors: ${profile.chain.join(' → ')} ──\nCXOneSelectors.use(${JSON.stringify(embedded, null, 2)});\n`);
+  const label = script.source === script.name ? script.name : `${script.name} (from ${script.source})`;
+  parts.push(`// ── ${label} ──\n${scriptSource(script)}`);
+  return parts.join('\n');
+}
+
+function main() {
+  const profile = selectorProfile.loadProfile(process.argv[2]);
+  fs.mkdirSync(DIST_DIR, { recursive: true });
+  for (const script of CONSOLE_SCRIPTS) {
+    const outFile = path.join(DIST_DIR, script.name);
+    fs.writeFileSync(outFile, bundle(script, profile));
+    console.log(`Wrote ${path.relative(ROOT, outFile)} (selector profile ${profile.profile})`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { LIBS, CONSOLE_SCRIPTS, bundle };
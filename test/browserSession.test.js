@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { saveSession, loadSession } = require('../lib/browserSession');
+const { tempDir } = require('./helpers');
+
+const URL = 'https://na1.cxone.example.com/intent-builder';
+
+function fakePage(cookies) {
+  return {
+    url: () => URL,
+    browser: () => ({ cookies: async () => cookies }),
+    evaluate: async () => ({ localStorage: { token: 'a' }, sessionStorage: {} }),
+  };
+}
+
+test('saveSession keeps only the CXOne site\'s cookies', async (t) => {
+  const file = path.join(tempDir(t), 'session.json');
+  const saved = await saveSession(fakePage([
+    { name: 'app', domain: 'na1.cxone.example.com' },
+    { name: 'shared', domain: '.cxone.example.com' },
+    { name: 'sso', domain: 'auth.cxone.example.com' },
+    { name: 'mail', domain: '.mail.other-site.com' },
+    { name: 'bank', domain: 'bank.example.org' },
+    { name: 'lookalike', domain: 'cxone.example.com.evil.net' },
+  ]), file);
+
+  assert.equal(saved, 3);
+  const session = loadSession(file);
+  assert.deepEqual(session.cookies.map((c) => c.name), ['app', 'shared', 'sso']);
+  assert.deepEqual(session.localStorage, { token: 'a' });
+  if (process.platform !== 'win32') assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONSOLE_SCRIPTS, bundle } = require('../scripts/buildConsole');
+
+test('console bundles: one source, each with its own checkpoint key', () => {
+  const keys = CONSOLE_SCRIPTS.map((script) => bundle(script).match(/const CHECKPOINT_KEY = '([^']*)'/)[1]);
+  assert.deepEqual(keys, ['CXOneIntentScraper.checkpoint', 'TAI_Export_Highlights.checkpoint']);
+
+  const [scraper, highlights] = CONSOLE_SCRIPTS.map((script) => bundle(script).split('\n'));
+  assert.equal(scraper.length, highlights.length);
+  assert.deepEqual(highlights.filter((line, i) => line !== scraper[i]), [
+    '// ── TAI_Export_Highlights.js (from scrapeIntentsBrowser.js) ──',
+    "  const CHECKPOINT_KEY = 'TAI_Export_Highlights.checkpoint';  // localStorage key",
+  ]);
+});
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXIT, main } = require('../bin/cxone-intents');
+const { SAMPLE } = require('./helpers');
+
+test('--total-interactions: anything but a positive integer is a usage error', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'log', () => {});
+  for (const value of ['0', '-5', '1.5', 'lots', '']) {
+    assert.equal(await main(['parse', SAMPLE, '-q', '--total-interactions', value]), EXIT.USAGE, `parse ${value}`);
+    assert.equal(await main(['live', '-q', '--total-interactions', value]), EXIT.USAGE, `live ${value}`);
+  }
+});
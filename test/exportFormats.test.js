@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const exportFormats = require('../lib/exportFormats');
+
+test('toNestedJson: category and topic names that are Object.prototype keys', () => {
+  const rows = [
+    { category: 'constructor', topic: 'toString', intent: 'One', intentPercentage: '1%' },
+    { category: 'constructor', topic: 'toString', intent: 'Two', intentPercentage: '2%' },
+    { category: '__proto__', topic: 'hasOwnProperty', intent: 'Three', intentPercentage: '3%' },
+  ];
+  const { categories } = exportFormats.toNestedJson(rows);
+  assert.deepEqual(categories.map((c) => [c.name, c.topics.map((t) => [t.name, t.intents.map((i) => i.name)])]), [
+    ['constructor', [['toString', ['One', 'Two']]]],
+    ['__proto__', [['hasOwnProperty', ['Three']]]],
+  ]);
+  assert.equal('_topics' in categories[0], false);
+});
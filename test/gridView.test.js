@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const grid = require('../lib/gridView');
+const intentTree = require('../lib/intentTree');
+const { fixture, loadHtml, withDom } = require('./helpers');
+
+const ROW_HEIGHT = 20;
+const VIEWPORT_HEIGHT = 100;
+// Rows ag-grid keeps rendered above and below the viewport
+const BUFFER = 1;
+
+const OPTS = { settleMs: 0, pollMs: 1, timeoutMs: 200 };
+
+/**
+ * A virtualised ag-grid stand-in: only the rows near the viewport's scroll
+ * position are in the DOM, group rows start contracted and expand when
+ * their `.ag-group-contracted` toggle is clicked.
+ */
+function fakeGrid(t, categories) {
+  const document = withDom(t, '<hierarchy-grid><div class="ag-body-viewport">' +
+    '<div class="ag-center-cols-container"></div></div></hierarchy-grid>');
+  const viewport = document.querySelector('.ag-body-viewport');
+  const container = document.querySelector('.ag-center-cols-container');
+
+  let nextId = 0;
+  const node = (level, name, children) => ({ id: String(nextId++), level, name, children, expanded: false });
+  const roots = categories.map((c) =>
+    node(0, c.name, c.topics.map((topic) => node(1, topic.name, topic.intents.map((name) => node(2, name, null))))));
+
+  function displayed() {
+    const out = [];
+    (function walk(nodes) {
+      for (const n of nodes) {
+        out.push(n);
+        if (n.children && n.expanded) walk(n.children);
+      }
+    })(roots);
+    return out;
+  }
+
+  let scrollTop = 0;
+  function render() {
+    const rows = displayed();
+    const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - BUFFER);
+    const last = Math.min(rows.length - 1, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + BUFFER);
+    let html = '';
+    for (let i = first; i <= last; i++) {
+      const n = rows[i];
+      const group = n.children ? ` ag-row-group ag-row-group-${n.expanded ? 'expanded' : 'contracted'}` : '';
+      html += `<div role="row" row-index="${i}" row-id="${n.id}" class="ag-row ag-row-level-${n.level}${group}">` +
+        (n.children && !n.expanded ? '<span class="ag-group-contracted"></span>' : '') +
+        `<span class="ag-group-value"><span class="intent-name">${n.name}</span></span>` +
+        (n.children ? `<span class="ag-group-child-count">(${n.children.length})</span>` : '') +
+        '<div col-id="percentage">1%</div></div>';
+    }
+    container.innerHTML = html;
+  }
+
+  Object.defineProperty(viewport, 'clientHeight', { get: () => VIEWPORT_HEIGHT });
+  Object.defineProperty(viewport, 'scrollHeight', { get: () => displayed().length * ROW_HEIGHT });
+  Object.defineProperty(viewport, 'scrollTop', {
+    get: () => scrollTop,
+    set(value) {
+      scrollTop = Math.max(0, Math.min(value, displayed().length * ROW_HEIGHT - VIEWPORT_HEIGHT));
+      render();
+    },
+  });
+  container.addEventListener('click', (event) => {
+    if (!event.target.classList.contains('ag-group-contracted')) return;
+    const id = event.target.closest('.ag-row').getAttribute('row-id');
+    const all = [];
+    (function walk(nodes) {
+      for (const n of nodes) {
+        all.push(n);
+        if (n.children) walk(n.children);
+      }
+    })(roots);
+    all.find((n) => n.id === id).expanded = true;
+    render();
+  });
+
+  render();
+  return document;
+}
+
+const TREE = ['ALPHA', 'BETA'].map((category) => ({
+  name: category,
+  topics: ['One', 'Two'].map((topic) => ({
+    name: `${category} ${topic}`,
+    intents: [1, 2, 3].map((n) => `${category} ${topic} Intent ${n}`),
+  })),
+}));
+
+test('virtualised grid: every group expanded and every row collected by scrolling', async (t) => {
+  const document = fakeGrid(t, TREE);
+
+  const result = await grid.expandAllGroups(OPTS);
+  assert.deepEqual([result.expanded, result.failed], [6, 0]);
+
+  // Only a window of the 18 rows is rendered; reading the DOM alone misses intents
+  assert.ok(document.querySelectorAll('.ag-row').length < 18);
+  assert.ok(intentTree.toRows(intentTree.extractGridFromDom(document), { placeholders: false }).length < 12);
+
+  const rows = await grid.collectRows(OPTS);
+  assert.equal(rows.length, 18);
+  const tree = intentTree.extractGridTree(rows, intentTree.domAdapter);
+  assert.deepEqual(intentTree.checkGridCounts(tree), []);
+  const flat = intentTree.toRows(tree);
+  assert.equal(flat.length, 12);
+  assert.deepEqual(flat.slice(0, 2).map((r) => [r.topic, r.intent, r.gridRowIndex]), [
+    ['ALPHA One', 'ALPHA One Intent 1', 2],
+    ['ALPHA One', 'ALPHA One Intent 2', 3],
+  ]);
+
+  const last = flat[flat.length - 1];
+  const el = await grid.revealRow(last.gridRowIndex, OPTS);
+  assert.equal(el.querySelector('.intent-name').textContent, 'BETA Two Intent 3');
+  assert.ok(el.isConnected);
+  assert.equal(await grid.revealRow(99, OPTS), null);
+});
+
+test('checkGridCounts reports expanded groups with missing children', () => {
+  const tree = intentTree.extractGridFromCheerio(loadHtml(fixture('grid-anonymised.html')));
+  assert.deepEqual(intentTree.checkGridCounts(tree), []);
+
+  tree.categories[0].topics[0].intents.pop();
+  assert.deepEqual(intentTree.checkGridCounts(tree), [
+    { path: 'ALPHA > Alpha One', issue: 'count', detail: '1 intents read, grid reports 2' },
+  ]);
+});
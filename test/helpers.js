@@ -0,0 +1,52 @@
+/**
+ * Shared paths and loaders for the test suite (node --test).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const log = require('../lib/logger');
+
+// Progress lines would drown the test report; warnings still show
+log.configure({ quiet: true });
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// The full Intent Builder page shipped with the repo
+const SAMPLE = path.join(ROOT, 'CXOne_ReadIntents.txt');
+
+function fixture(name) {
+  return path.join(FIXTURES, name);
+}
+
+function loadHtml(file) {
+  return cheerio.load(fs.readFileSync(file, 'utf-8'));
+}
+
+/** A fresh temporary directory, removed when the test finishes. */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'cxone-intents-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * A jsdom document for the page-side helpers, installed as the global
+ * `document` / `window` until the test finishes.
+ */
+function withDom(t, html) {
+  const { JSDOM } = require('jsdom');
+  const dom = new JSDOM(html);
+  const saved = { document: global.document, window: global.window };
+  global.document = dom.window.document;
+  global.window = dom.window;
+  t.after(() => {
+    global.document = saved.document;
+    global.window = saved.window;
+    dom.window.close();
+  });
+  return dom.window.document;
+}
+
+module.exports = { ROOT, FIXTURES, SAMPLE, fixture, loadHtml, tempDir, withDom };
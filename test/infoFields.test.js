@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const phrases = require('../lib/phrases');
+const infoFields = require('../lib/infoFields');
+const selectorProfile = require('../lib/selectorProfile');
+const exportFormats = require('../lib/exportFormats');
+const { formatIntentRow } = require('../lib/hierarchyWorkbook');
+const { fixture, loadHtml } = require('./helpers');
+
+const SEL = selectorProfile.resolve(selectorProfile.loadProfile());
+
+const FIELDS = phrases.readInfoFieldsFromCheerio(loadHtml(fixture('panel-anonymised.html')), SEL);
+
+test('fixture: every info item as a title / value pair', () => {
+  assert.deepEqual(FIELDS, [
+    { title: 'Volume', value: '1,234' },
+    { title: 'Active', value: 'Yes' },
+    { title: 'Description', value: 'Customer cannot sign in.\nIncludes locked accounts.' },
+    { title: 'Created On', value: '2025-11-03' },
+    { title: 'Owner', value: '' },
+    { title: 'Keywords', value: 'password, login' },
+    { title: 'Modified On', value: '2026-01-20' },
+  ]);
+});
+
+test('collectFields: built-in titles skipped, renames and drops applied', () => {
+  assert.deepEqual(Object.keys(infoFields.collectFields(FIELDS)), ['Description', 'Created On', 'Owner', 'Keywords', 'Modified On']);
+
+  const info = infoFields.collectFields(FIELDS, {
+    rename: { 'created on:': 'Created', ACTIVE: 'Active Flag' },
+    drop: ['keywords', ' Owner '],
+  });
+  assert.deepEqual(info, {
+    'Active Flag': 'Yes',
+    Description: 'Customer cannot sign in.\nIncludes locked accounts.',
+    Created: '2025-11-03',
+    'Modified On': '2026-01-20',
+  });
+
+  const nearMisses = [
+    { title: 'Interactive Channel', value: 'Chat' },
+    { title: 'Inactive Since', value: '2025-12-01' },
+    { title: 'Training Status', value: 'Trained' },
+    { title: 'Volume Trend', value: 'Rising' },
+    { title: 'Status:', value: 'Enabled' },
+    { title: 'Sample Utterances', value: 'hi' },
+  ];
+  assert.deepEqual(Object.keys(infoFields.collectFields(nearMisses)),
+    ['Interactive Channel', 'Inactive Since', 'Training Status', 'Volume Trend']);
+  assert.deepEqual(nearMisses.map((f) => phrases.builtInTitle(f.title)), [null, null, null, null, 'active', 'examples']);
+
+  const repeated = infoFields.collectFields([{ title: 'Tag', value: 'a' }, { title: 'tag', value: 'b' }, { title: '', value: 'c' }]);
+  assert.deepEqual(repeated, { Tag: 'a', 'tag (2)': 'b' });
+});
+
+test('fields become workbook columns and JSON objects', async () => {
+  const rows = [
+    { intent: 'Reset Password', info: infoFields.collectFields(FIELDS, { drop: ['Keywords'] }) },
+    { intent: 'Locked Out', info: { Owner: 'Support', Team: 'Access' } },
+    { intent: 'Not Read' },
+  ];
+  const columns = infoFields.fieldColumns(rows);
+  assert.deepEqual(columns.map((c) => [c.header, c.key]), [
+    ['Description', 'info:Description'],
+    ['Created On', 'info:Created On'],
+    ['Owner', 'info:Owner'],
+    ['Modified On', 'info:Modified On'],
+    ['Team', 'info:Team'],
+  ]);
+  assert.equal(columns[0].width, 'Includes locked accounts.'.length + 2);
+
+  const sheet = new ExcelJS.Workbook().addWorksheet('Intents');
+  sheet.columns = [{ header: 'Intent', key: 'intent' }, ...columns];
+  for (const row of rows) formatIntentRow(sheet.addRow(infoFields.withFieldKeys(row)), row);
+  assert.equal(sheet.getRow(2).getCell('info:Description').alignment.wrapText, true);
+  assert.equal(sheet.getRow(2).getCell('info:Created On').alignment, undefined);
+  assert.deepEqual(columns.map((c) => sheet.getRow(3).getCell(c.key).value), [null, null, 'Support', null, 'Access']);
+
+  assert.deepEqual(exportFormats.exportRow(rows[1]).info, { Owner: 'Support', Team: 'Access' });
+  assert.equal('info' in exportFormats.exportRow({ ...rows[1], info: {} }), false);
+  assert.equal(exportFormats.toNestedJson(rows).categories[0].topics[0].intents[0].info.Created, undefined);
+  assert.equal(exportFormats.toNestedJson(rows).categories[0].topics[0].intents[0].info['Created On'], '2025-11-03');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { diffIntents } = require('../lib/intentDiff');
+const exportFormats = require('../lib/exportFormats');
+const { loadExport } = require('../diffIntents');
+const { tempDir } = require('./helpers');
+
+const row = (category, topic, intent, intentId, examples = '') => ({ category, topic, intent, intentId, examples });
+
+test('intents pair by intentId before path and name', () => {
+  const before = [
+    row('Billing', 'Cards', 'Expired Card', 'id-1', 'my card expired'),
+    row('Billing', 'Cards', 'Lost Card', 'id-2'),
+    row('Billing', 'Cards', 'Stolen Card', 'id-3'),
+    row('Orders', 'Returns', 'Refund', ''),
+  ];
+  const after = [
+    // Renamed, examples rewritten: only the id recognises it
+    row('Billing', 'Cards', 'Card Out Of Date', 'id-1', 'card no longer valid'),
+    row('Payments', 'Cards', 'Lost Card', 'id-2'),
+    // Ids differ: paired by path as before
+    row('Billing', 'Cards', 'Stolen Card', 'id-9'),
+    row('Orders', 'Returns', 'Refund', ''),
+  ];
+  const { summary, changes } = diffIntents(before, after);
+
+  const byType = (type) => changes.filter((c) => c.type === type);
+  assert.deepEqual(byType('renamed').map((c) => [c.before.intent, c.after.intent, c.moved]), [
+    ['Expired Card', 'Card Out Of Date', false],
+  ]);
+  assert.deepEqual(byType('moved').map((c) => [c.before.category, c.after.category]), [['Billing', 'Payments']]);
+  assert.deepEqual(byType('unchanged').map((c) => c.after.intent), ['Stolen Card', 'Refund']);
+  assert.deepEqual([summary.added, summary.removed], [0, 0]);
+});
+
+async function writeWorkbook(file, sheets) {
+  const workbook = new ExcelJS.Workbook();
+  for (const [name, rows] of Object.entries(sheets)) {
+    const sheet = workbook.addWorksheet(name);
+    sheet.addRow(['Category', 'Topic', 'Intent']);
+    for (const r of rows) sheet.addRow(r);
+  }
+  await workbook.xlsx.writeFile(file);
+}
+
+test('loadExport: a workbook with several intent sheets needs one named', async (t) => {
+  const file = path.join(tempDir(t), 'models.xlsx');
+  await writeWorkbook(file, {
+    'Model A': [['Billing', 'Cards', 'Lost Card']],
+    'Model B': [['Orders', 'Returns', 'Refund']],
+  });
+
+  await assert.rejects(loadExport(file), /2 intent sheets \("Model A", "Model B"\); choose one with --sheet/);
+  await assert.rejects(loadExport(file, { sheet: 'Model C' }), /no sheet "Model C"/);
+  const rows = await loadExport(file, { sheet: 'Model B' });
+  assert.deepEqual(rows.map((r) => r.intent), ['Refund']);
+
+  const single = path.join(tempDir(t), 'single.xlsx');
+  await writeWorkbook(single, { Snapshot: [['Billing', 'Cards', 'Lost Card']] });
+  assert.deepEqual((await loadExport(single)).map((r) => r.intent), ['Lost Card']);
+});
+
+test('loadExport: batch and multi-model JSON exports, one document picked', async (t) => {
+  const nested = (intent, meta) => {
+    const doc = exportFormats.toNestedJson([{ category: 'Billing', topic: 'Cards', intent, intentPercentage: '5%' }], meta);
+    delete doc.generatedAt;
+    return doc;
+  };
+  const dir = tempDir(t);
+  const batch = path.join(dir, 'batch.json');
+  fs.writeFileSync(batch, JSON.stringify({
+    snapshots: [
+      nested('Lost Card', { model: 'Retail', sourceFile: 'jan.html' }),
+      nested('Stolen Card', { model: 'Retail', sourceFile: 'feb.html' }),
+    ],
+  }));
+  const models = path.join(dir, 'models.json');
+  fs.writeFileSync(models, JSON.stringify({ models: [nested('Refund', { model: 'Orders' })] }));
+
+  await assert.rejects(loadExport(batch), /2 models or snapshots \("jan.html", "feb.html"\); choose one with --model/);
+  await assert.rejects(loadExport(batch, { model: 'Retail' }), /"Retail" names 2 snapshots/);
+  await assert.rejects(loadExport(batch, { model: 'mar.html' }), /no model or snapshot "mar.html"/);
+  assert.deepEqual((await loadExport(batch, { model: 'feb.html' })).map((r) => r.intent), ['Stolen Card']);
+  assert.deepEqual((await loadExport(models)).map((r) => [r.category, r.intent]), [['Billing', 'Refund']]);
+  assert.deepEqual((await loadExport(models, { model: 'Orders' })).map((r) => r.intent), ['Refund']);
+});
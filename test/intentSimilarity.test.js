@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const similarity = require('../lib/intentSimilarity');
+const { loadExport } = require('../diffIntents');
+const { run } = require('../analyseIntents');
+const { fixture, tempDir } = require('./helpers');
+
+const EXAMPLES = fixture('examples-anonymised.json');
+
+test('normalisePhrase ignores case, accents, punctuation and spacing', () => {
+  assert.equal(similarity.normalisePhrase('  Cancel my  ORDER! '), 'cancel my order');
+  assert.equal(similarity.normalisePhrase("Can't log in — café"), 'cant log in cafe');
+});
+
+test('cosine of TF-IDF vectors: identical examples 1, nothing shared 0', () => {
+  const intents = [
+    { examples: ['cancel my order'] },
+    { examples: ['cancel my order'] },
+    { examples: ['xyz'] },
+  ];
+  const vectors = similarity.tfidfVectors(intents, similarity.DEFAULTS);
+  assert.ok(Math.abs(similarity.cosine(vectors[0], vectors[1]) - 1) < 1e-9);
+  assert.equal(similarity.cosine(vectors[0], vectors[2]), 0);
+});
+
+test('fixture: duplicates, ranked pairs and topic matrices', async () => {
+  const result = similarity.analyseIntents(await loadExport(EXAMPLES));
+  assert.deepEqual(result.summary, {
+    intents: 7,
+    examples: 25,
+    duplicatePhrases: 2,
+    confusablePairs: 4,
+    mergeCandidates: 0,
+    topicsCompared: 2,
+  });
+
+  // "Cancel my order!" repeats within one intent and is not a duplicate there
+  assert.deepEqual(result.duplicates.map((d) => [d.phrase, d.intents]), [
+    ['cancel my order', ['ORDERS > Cancellation > Cancel Order', 'ORDERS > Refunds > Refund Status']],
+    ['i forgot my password', ['ACCOUNT > Access > Reset Password', 'ACCOUNT > Access > Locked Out']],
+  ]);
+
+  const similarities = result.pairs.map((p) => p.similarity);
+  assert.deepEqual(similarities, [...similarities].sort((a, b) => b - a));
+  assert.deepEqual([result.pairs[0].a.intent, result.pairs[0].b.intent], ['Update Email', 'Change Address']);
+
+  // Below the threshold, but listed because the two share a phrase
+  const password = result.pairs.find((p) => p.a.intent === 'Reset Password');
+  assert.ok(password.similarity < similarity.DEFAULTS.threshold);
+  assert.deepEqual([password.b.intent, password.duplicates, password.sameTopic], ['Locked Out', 1, true]);
+  assert.ok(password.terms.includes('password'));
+
+  const access = result.topics[0];
+  assert.deepEqual([access.category, access.topic, access.intents], ['ACCOUNT', 'Access', ['Reset Password', 'Locked Out', 'Update Email']]);
+  assert.deepEqual(access.matrix.map((row, i) => row[i]), [1, 1, 1]);
+  assert.equal(access.matrix[0][1], access.matrix[1][0]);
+});
+
+test('collapsed rows and intents without examples are left out', async () => {
+  const intents = similarity.collectIntents(await loadExport(EXAMPLES));
+  assert.equal(intents.length, 7);
+  assert.ok(!intents.some((i) => i.intent === 'Collapsed' || i.intent === 'No Examples'));
+});
+
+test('merge suggestion when most examples are duplicated', () => {
+  const rows = [
+    { category: 'A', topic: 'T', intent: 'One', examples: 'pay my bill\nbill payment' },
+    { category: 'A', topic: 'T', intent: 'Two', examples: 'pay my bill\nbill payment\nwhere do I send the cheque' },
+  ];
+  const [pair] = similarity.analyseIntents(rows).pairs;
+  assert.equal(pair.duplicateShare, 1);
+  assert.equal(pair.suggestion, similarity.SUGGESTIONS.merge);
+});
+
+test('run: analysis workbook and JSON', async (t) => {
+  const dir = tempDir(t);
+  const output = path.join(dir, 'analysis.xlsx');
+  const result = await run({ input: EXAMPLES, output, limit: 2 });
+  assert.equal(result.summary.confusablePairs, 4);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(output);
+  assert.deepEqual(workbook.worksheets.map((s) => s.name), ['Summary', 'Confusable Pairs', 'Duplicate Phrases', 'Topic Similarity']);
+  assert.equal(workbook.getWorksheet('Confusable Pairs').rowCount, 1 + 2);
+  assert.equal(workbook.getWorksheet('Duplicate Phrases').rowCount, 1 + 2);
+  // Per topic: title, header and one row per intent, then a blank row
+  assert.equal(workbook.getWorksheet('Topic Similarity').getRow(1).getCell(1).value, 'ACCOUNT > Access');
+  assert.equal(workbook.getWorksheet('Topic Similarity').getRow(1 + 1 + 3 + 1 + 1).getCell(1).value, 'ORDERS > Cancellation');
+
+  const doc = JSON.parse(fs.readFileSync(result.jsonOutput, 'utf-8'));
+  assert.equal(doc.pairs.length, 2);
+  assert.equal(doc.topics.length, 2);
+});
+
+test('run: a saved page has no examples to compare', async () => {
+  await assert.rejects(run({ input: fixture('kanban-anonymised.html'), output: '/nonexistent/a.xlsx' }), /at least 2 are needed/);
+});
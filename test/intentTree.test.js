@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const intentTree = require('../lib/intentTree');
+const { SAMPLE, fixture, loadHtml } = require('./helpers');
+
+function countTree(tree) {
+  const topics = tree.categories.flatMap((c) => c.topics);
+  return {
+    categories: tree.categories.length,
+    topics: topics.length,
+    collapsedTopics: topics.filter((t) => t.collapsed).length,
+    intents: topics.reduce((sum, t) => sum + t.intents.length, 0),
+  };
+}
+
+test('sample page: kanban hierarchy', () => {
+  const tree = intentTree.extractFromCheerio(loadHtml(SAMPLE));
+  assert.deepEqual(countTree(tree), { categories: 11, topics: 47, collapsedTopics: 44, intents: 71 });
+  assert.deepEqual(
+    tree.categories.map((c) => [c.name, c.percentage, c.topics.length]),
+    [
+      ['ACCOUNT', '12.74%', 2],
+      ['ADMIN', '0.66%', 2],
+      ['BILLING', '14.84%', 3],
+      ['CUSTOMER SERVICE', '18.89%', 9],
+      ['FINANCIAL SERVICES', '6.08%', 6],
+      ['HEALTH & WELLNESS', '9.37%', 7],
+      ['INSURANCE', '6.3%', 2],
+      ['SALES', '10.21%', 6],
+      ['SERVICE', '10.52%', 6],
+      ['TECHNICAL SUPPORT', '0.59%', 2],
+      ['TRAVEL & TOURISM', '9.81%', 2],
+    ]
+  );
+
+  const first = tree.categories[0].topics[0].intents[0];
+  assert.equal(first.name, 'Having Account Access Issues');
+  assert.equal(first.percentage, '1.48%');
+  assert.equal(first.id, 'account/account-access/having-account-access-issues');
+  assert.deepEqual(first.path, [0, 0, 0]);
+});
+
+test('sample page: rows with a placeholder per collapsed topic', () => {
+  const rows = intentTree.toRows(intentTree.extractFromCheerio(loadHtml(SAMPLE)));
+  assert.equal(rows.length, 115);
+
+  const placeholders = rows.filter((r) => r.collapsed);
+  assert.equal(placeholders.length, 44);
+  assert.ok(placeholders.every((r) => r.intent === intentTree.COLLAPSED_INTENT && r.intentId === ''));
+  assert.ok(placeholders.every((r) => r.intentPercentage === r.topicPercentage));
+  // Placeholders come after every real intent
+  assert.ok(rows.slice(0, 71).every((r) => !r.collapsed));
+
+  assert.equal(intentTree.toRows(intentTree.extractFromCheerio(loadHtml(SAMPLE)), { placeholders: false }).length, 71);
+});
+
+test('sample page: grid view holds only contracted categories and agrees with the kanban', () => {
+  const $ = loadHtml(SAMPLE);
+  const grid = intentTree.extractGridFromCheerio($);
+  assert.equal(grid.categories.length, 11);
+  assert.ok(grid.categories.every((c) => c.collapsed && c.topics.length === 0));
+  assert.equal(intentTree.toRows(grid).length, 11);
+
+  assert.deepEqual(intentTree.compareTrees(intentTree.extractFromCheerio($), grid), []);
+});
+
+test('kanban fixture: tags, ID attributes, duplicate names and missing percentages', () => {
+  const tree = intentTree.extractFromCheerio(loadHtml(fixture('kanban-anonymised.html')));
+  assert.deepEqual(countTree(tree), { categories: 2, topics: 3, collapsedTopics: 1, intents: 5 });
+
+  const [alphaOne, alphaTwo] = tree.categories[0].topics;
+  assert.equal(alphaOne.intents[0].tag, 'New');
+  assert.equal(alphaOne.intents[1].id, 'int-0042');
+  assert.equal(alphaTwo.collapsed, true);
+
+  const betaIntents = tree.categories[1].topics[0].intents;
+  assert.deepEqual(betaIntents.map((i) => i.id), [
+    'beta/beta-one/repeat-order',
+    'beta/beta-one/repeat-order~2',
+    'beta/beta-one/unscored-intent',
+  ]);
+  assert.equal(betaIntents[2].percentage, '0%');
+  assert.equal(betaIntents[2].percentageMissing, true);
+});
+
+test('grid fixture: row-index order and contracted groups', () => {
+  const tree = intentTree.extractGridFromCheerio(loadHtml(fixture('grid-anonymised.html')));
+  const [alpha, beta] = tree.categories;
+  assert.equal(alpha.name, 'ALPHA');
+  assert.equal(alpha.childCount, 2);
+  assert.deepEqual(alpha.topics[0].intents.map((i) => i.name), ['Reset Password', 'Update Email']);
+  assert.deepEqual([alpha.topics[1].name, alpha.topics[1].collapsed, alpha.topics[1].childCount], ['Alpha Two', true, 3]);
+  assert.deepEqual([beta.name, beta.collapsed, beta.topics.length], ['BETA', true, 0]);
+
+  const rows = intentTree.toRows(tree);
+  assert.deepEqual(
+    rows.map((r) => [r.category, r.topic, r.collapsed || false]),
+    [
+      ['ALPHA', 'Alpha One', false],
+      ['ALPHA', 'Alpha One', false],
+      ['ALPHA', 'Alpha Two', true],
+      ['BETA', '', true],
+    ]
+  );
+});
+
+test('kanban and grid fixtures cross-check clean; a changed percentage is reported', () => {
+  const kanban = intentTree.extractFromCheerio(loadHtml(fixture('kanban-anonymised.html')));
+  const grid = intentTree.extractGridFromCheerio(loadHtml(fixture('grid-anonymised.html')));
+  assert.deepEqual(intentTree.compareTrees(kanban, grid), []);
+
+  grid.categories[0].topics[0].intents[1].percentage = '16%';
+  assert.deepEqual(intentTree.compareTrees(kanban, grid), [
+    { path: 'ALPHA > Alpha One > Update Email', issue: 'percentage', detail: 'kanban 15%, grid 16%' },
+  ]);
+});
+
+test('nodes before any parent are kept under an unnamed category and topic', () => {
+  const $ = cheerio.load(
+    '<div class="kanban-tree-node node-level-3"><div class="kanban-tree-node-name">Orphan</div></div>' +
+    '<div class="kanban-tree-node node-level-1"><div class="kanban-tree-node-name">CAT</div></div>'
+  );
+  const tree = intentTree.extractFromCheerio($);
+  assert.equal(tree.categories.length, 2);
+  assert.deepEqual([tree.categories[0].name, tree.categories[0].topics[0].name], ['', '']);
+  assert.equal(tree.categories[0].topics[0].intents[0].name, 'Orphan');
+});
+
+test('intent IDs stay unique when names slug the same across categories', () => {
+  const node = (level, name) =>
+    `<div class="kanban-tree-node node-level-${level}"><div class="kanban-tree-node-name">${name}</div></div>`;
+  const $ = cheerio.load([
+    node(1, 'Billing &amp; Payments'), node(2, 'X'), node(3, 'Y'),
+    node(1, 'Billing / Payments'), node(2, 'X'), node(3, 'Y'),
+    node(1, 'Café'), node(2, 'Заказ'), node(3, 'Отмена'),
+    node(1, 'Cafe'), node(2, 'Счёт'), node(3, 'Оплата'),
+  ].join(''));
+  const rows = intentTree.toRows(intentTree.extractFromCheerio($));
+  assert.deepEqual(rows.map((r) => r.intentId), [
+    'billing-payments/x/y',
+    'billing-payments/x/y~2',
+    'cafe//',
+    'cafe//~2',
+  ]);
+  assert.equal(new Set(rows.map(intentTree.intentKey)).size, rows.length);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const panelReady = require('../lib/panelReady');
+const { withDom } = require('./helpers');
+
+function showPanel(document, name, body) {
+  document.body.innerHTML = `<item-info-panel><h3>${name}</h3>` +
+    `<div class="phrases-snippets-container">${body}</div></item-info-panel>`;
+}
+
+const EMPTY = '<h4>Phrases</h4><span class="phrase-count">0 phrases</span>' +
+  '<p>No phrases found</p><button>Add phrase</button>';
+
+test('checkPanel: intents without phrases in a row are not same-content', (t) => {
+  const document = withDom(t, '');
+  const opts = { selectors: { phraseCount: '.phrase-count' } };
+
+  showPanel(document, 'Lost Card', EMPTY);
+  const first = panelReady.checkPanel('Lost Card', '', opts);
+  assert.deepEqual(first, { stale: false, reason: '', fingerprint: '' });
+
+  showPanel(document, 'Stolen Card', EMPTY);
+  assert.deepEqual(panelReady.checkPanel('Stolen Card', first.fingerprint, opts), { stale: false, reason: '', fingerprint: '' });
+});
+
+test('checkPanel: the previous intent\'s phrases under a new title are stale', (t) => {
+  const document = withDom(t, '');
+
+  showPanel(document, 'Lost Card', '<div>I lost my card</div><div>card missing</div><button>Copy</button>');
+  const first = panelReady.checkPanel('Lost Card', '');
+  assert.notEqual(first.fingerprint, '');
+
+  // Same phrases, other chrome: still the same content
+  showPanel(document, 'Stolen Card', '<div>I lost my card</div><div>Card missing!</div>');
+  assert.equal(panelReady.checkPanel('Stolen Card', first.fingerprint).reason, 'same-content');
+
+  showPanel(document, 'Stolen Card', '<div>my card was stolen</div>');
+  assert.equal(panelReady.checkPanel('Stolen Card', first.fingerprint).stale, false);
+  assert.equal(panelReady.checkPanel('Lost Card', first.fingerprint).reason, 'other-intent');
+});
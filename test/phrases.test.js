@@ -0,0 +1,238 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const ExcelJS = require('exceljs');
+const phrases = require('../lib/phrases');
+const selectorProfile = require('../lib/selectorProfile');
+const exportFormats = require('../lib/exportFormats');
+const { groupExamples } = require('../lib/trainingData');
+const { formatIntentRow } = require('../lib/hierarchyWorkbook');
+const { fixture, loadHtml, withDom } = require('./helpers');
+
+const SEL = selectorProfile.resolve(selectorProfile.loadProfile());
+
+function readHtml(html, sel = SEL) {
+  return phrases.readPanelFromCheerio(cheerio.load(html), sel);
+}
+
+test('cleanText and normaliseKey', () => {
+  assert.equal(phrases.cleanText('  reset\u00a0my \u200bpassword \n'), 'reset my password');
+  assert.equal(phrases.normaliseKey("I FORGOT my  Password!"), phrases.normaliseKey('i forgot my password'));
+  assert.equal(phrases.normaliseKey("Can't log in — café"), 'cant log in cafe');
+  assert.equal(phrases.normaliseKey('I don\u2019t know'), phrases.normaliseKey("I don't know"));
+});
+
+test('isChrome: counts, pagers and buttons, but not phrases', () => {
+  for (const text of ['Show more', 'View all 25', 'Load more phrases', 'See all 1,204 results', '12 phrases', '1-10 of 50', 'Page 2 of 5', 'Phrases (4)', 'Snippets:', 'No examples found', '…']) {
+    assert.equal(phrases.isChrome(text), true, text);
+  }
+  for (const text of ['show me more options', 'cancel my order', 'I was charged 12 dollars', '1', '2024', '1.5',
+    'view all my bills', 'show more options', 'see all transactions', 'Load more credit']) {
+    assert.equal(phrases.isChrome(text), false, text);
+  }
+});
+
+test('numbers are phrases unless they are the phraseCount element', () => {
+  const html = `<item-info-panel><div class="phrases-snippets-container">
+    <span class="phrase-count">3</span>
+    <div class="phrase">2024</div><div class="phrase">1.5</div><div class="phrase">1</div>
+  </div></item-info-panel>`;
+  const sel = { ...SEL, phraseItems: '.phrase', phraseCount: '.phrase-count' };
+  assert.deepEqual(readHtml(html, sel).records.map((r) => r.text), ['2024', '1.5', '1']);
+  assert.deepEqual(readHtml(html, { ...sel, phraseItems: '' }).records.map((r) => r.text), ['2024', '1.5', '1']);
+});
+
+test('joinSegments keeps highlight offsets through whitespace collapsing', () => {
+  const joined = phrases.joinSegments([
+    { text: '  I need to  ', highlight: false },
+    { text: 'reset', highlight: true },
+    { text: ' ', highlight: false },
+    { text: 'my\npassword', highlight: true },
+    { text: ' today ', highlight: false },
+  ]);
+  assert.equal(joined.text, 'I need to reset my password today');
+  assert.deepEqual(joined.highlights, [{ text: 'reset my password', start: 10, end: 27 }]);
+});
+
+test('fixture: records without chrome or duplicates, with snippets and highlights', () => {
+  const { source, records } = phrases.readPanelFromCheerio(loadHtml(fixture('panel-anonymised.html')), SEL);
+  assert.equal(source, 'phrases');
+  assert.deepEqual(records.map((r) => [r.position, r.kind, r.text]), [
+    [1, 'phrase', 'I forgot my password'],
+    [2, 'phrase', 'reset my password, please'],
+    [3, 'phrase', "Can't log in"],
+    [4, 'snippet', 'Agent: how can I help? Customer: I need to reset my password today'],
+    [5, 'snippet', 'Customer: locked out after the password change'],
+  ]);
+  assert.deepEqual(records[0].highlights, [{ text: 'password', start: 12, end: 20 }]);
+  assert.deepEqual(records[3].highlights.map((h) => h.text), ['reset my password']);
+  for (const record of records) {
+    for (const h of record.highlights) assert.equal(record.text.slice(h.start, h.end), h.text);
+  }
+  assert.equal(phrases.toText(records).split('\n').length, 5);
+});
+
+test('without item selectors, one phrase per rendered line', () => {
+  const html = `<item-info-panel><div class="phrases-snippets-container">
+    <h4>Phrases</h4>
+    <div>where is my <b>parcel</b></div>
+    <div>track order<br>Track order.<br>order status<button>Copy</button></div>
+    <div class="p-paginator">1 2 3</div>
+  </div></item-info-panel>`;
+  const { records } = readHtml(html, { ...SEL, phraseItems: '' });
+  assert.deepEqual(records.map((r) => r.text), ['where is my parcel', 'track order', 'order status']);
+});
+
+test('falls back to an Examples info item, then exampleItems', () => {
+  const info = `<item-info-panel><div class="info-body">
+    <div class="info-item"><span class="sub-title">Volume</span><span class="item-value">12</span></div>
+    <div class="info-item"><span class="sub-title">Sample utterances</span><span class="item-value"><p>pay my bill</p><p>bill payment</p></span></div>
+  </div></item-info-panel>`;
+  assert.deepEqual(readHtml(info).records.map((r) => [r.source, r.text]), [['info', 'pay my bill'], ['info', 'bill payment']]);
+
+  const list = `<item-info-panel><div class="sample-list"><div class="sample-item">refund please</div><div class="sample-item">Refund, please</div></div></item-info-panel>`;
+  assert.deepEqual(readHtml(list).records.map((r) => [r.source, r.text]), [['list', 'refund please']]);
+
+  assert.deepEqual(readHtml('<item-info-panel></item-info-panel>'), { source: '', records: [] });
+});
+
+test('exports carry the records; older text becomes records too', () => {
+  const exampleRecords = phrases.fromText('Cancel my order!\ncancel my order\n3 phrases\nwhere is my refund');
+  assert.deepEqual(exampleRecords.map((r) => [r.position, r.text]), [[1, 'Cancel my order!'], [2, 'where is my refund']]);
+
+  const row = { category: 'A', topic: 'T', intent: 'I', examples: phrases.toText(exampleRecords), exampleRecords };
+  assert.deepEqual(exportFormats.exportRow(row).exampleRecords, exampleRecords);
+  assert.equal(exportFormats.toNestedJson([row]).categories[0].topics[0].intents[0].exampleRecords, exampleRecords);
+  assert.equal('exampleRecords' in exportFormats.exportRow({ ...row, exampleRecords: [] }), false);
+});
+
+test('training sets dedupe with the same key', () => {
+  const [group] = groupExamples([{ category: 'A', topic: 'T', intent: 'I', examples: 'Cancel my order!\ncancel my  order\nstop my order' }]);
+  assert.deepEqual(group.examples, ['Cancel my order!', 'stop my order']);
+});
+
+test('highlight columns and bold runs follow the examples', () => {
+  const { records } = phrases.readPanelFromCheerio(loadHtml(fixture('panel-anonymised.html')), SEL);
+  const fields = phrases.highlightFields(records);
+  assert.equal(fields.highlights, 'password\n\n\nreset my password\npassword');
+  assert.equal(fields.highlightTerms, 'password; reset my password');
+
+  const runs = phrases.highlightRuns(records);
+  assert.equal(runs.map((r) => r.text).join(''), phrases.toText(records));
+  assert.deepEqual(runs.filter((r) => r.bold).map((r) => r.text), ['password', 'reset my password', 'password']);
+
+  assert.deepEqual(phrases.highlightFields(phrases.fromText('no highlights')), { highlights: '', highlightTerms: '' });
+  assert.equal(phrases.highlightRuns(phrases.fromText('no highlights')), null);
+});
+
+test('formatIntentRow: bold highlights in an exceljs Examples cell', () => {
+  const sheet = new ExcelJS.Workbook().addWorksheet('Intents');
+  sheet.columns = [{ header: 'Intent', key: 'intent' }, { header: 'Examples', key: 'examples' }];
+  const exampleRecords = phrases.buildExamples([{ text: 'reset my password', highlights: [{ text: 'password', start: 9, end: 17 }] }]);
+  const row = { intent: 'Reset Password', examples: phrases.toText(exampleRecords), exampleRecords };
+  const excelRow = sheet.addRow(row);
+  formatIntentRow(excelRow, row);
+
+  const cell = excelRow.getCell('examples');
+  assert.deepEqual(cell.value.richText, [{ text: 'reset my ' }, { text: 'password', font: { bold: true } }]);
+  assert.equal(cell.text, 'reset my password');
+  assert.equal(cell.alignment.wrapText, true);
+});
+
+test('parseReportedCount reads the total of a count or pager', () => {
+  assert.equal(phrases.parseReportedCount('12 phrases'), 12);
+  assert.equal(phrases.parseReportedCount('Phrases (1,204)'), 1204);
+  assert.equal(phrases.parseReportedCount('Showing 1 - 10 of 50'), 50);
+  assert.equal(phrases.parseReportedCount('Phrases'), null);
+});
+
+/** jsdom does no layout: count every attached element as visible. */
+function assumeVisible() {
+  Object.defineProperty(global.window.HTMLElement.prototype, 'offsetParent', {
+    configurable: true,
+    get() {
+      return this.parentNode;
+    },
+  });
+}
+
+/**
+ * A panel whose phrase list grows by `pageSize` per "Load more" click out
+ * of `total` phrases; the button is disabled once all are shown unless
+ * `endless`.
+ */
+function loadMorePanel(t, { total, pageSize, endless = false, count = '' }) {
+  const document = withDom(t, '<item-info-panel><div class="phrases-snippets-container">' +
+    `<span class="phrase-count">${count}</span><ul class="phrase-list"></ul>` +
+    '<button class="load-more">Load more</button></div></item-info-panel>');
+  assumeVisible();
+  const list = document.querySelector('.phrase-list');
+  const button = document.querySelector('.load-more');
+  let shown = 0;
+  function showMore() {
+    const upTo = Math.min(total, shown + pageSize);
+    for (; shown < upTo; shown++) {
+      const li = document.createElement('li');
+      li.innerHTML = `<span class="phrase-text">phrase number ${shown + 1}</span><button>Copy</button>`;
+      list.appendChild(li);
+    }
+    if (shown >= total && !endless) button.disabled = true;
+  }
+  button.addEventListener('click', showMore);
+  showMore();
+  return document;
+}
+
+const LOAD = { settleMs: 0, timeoutMs: 100, pollMs: 1 };
+
+test('loadPanelFromDom: clicks "Load more" until the list is complete', async (t) => {
+  const document = loadMorePanel(t, { total: 7, pageSize: 3, count: '7 phrases' });
+  const list = await phrases.loadPanelFromDom(document, SEL, { ...LOAD, maxPhrases: 0 });
+  assert.deepEqual([list.records.length, list.reported, list.captured, list.capped, list.steps], [7, 7, 7, false, 2]);
+  assert.equal(list.records[6].text, 'phrase number 7');
+});
+
+test('loadPanelFromDom: a complete list of exactly maxPhrases is not capped', async (t) => {
+  const document = loadMorePanel(t, { total: 5, pageSize: 3 });
+  const list = await phrases.loadPanelFromDom(document, SEL, { ...LOAD, maxPhrases: 5 });
+  assert.deepEqual([list.captured, list.capped], [5, false]);
+});
+
+test('loadPanelFromDom: capped when the list goes on past maxPhrases', async (t) => {
+  // More read than the cap
+  let list = await phrases.loadPanelFromDom(loadMorePanel(t, { total: 5, pageSize: 3 }), SEL, { ...LOAD, maxPhrases: 4 });
+  assert.deepEqual([list.captured, list.capped], [4, true]);
+
+  // Exactly the cap read, but "Load more" still enabled
+  list = await phrases.loadPanelFromDom(loadMorePanel(t, { total: 6, pageSize: 3, endless: true }), SEL, { ...LOAD, maxPhrases: 6 });
+  assert.deepEqual([list.captured, list.capped, list.steps], [6, true, 1]);
+
+  // Exactly the cap read, more reported
+  list = await phrases.loadPanelFromDom(loadMorePanel(t, { total: 3, pageSize: 3, count: '12 phrases' }), SEL, { ...LOAD, maxPhrases: 3 });
+  assert.deepEqual([list.captured, list.reported, list.capped], [3, 12, true]);
+});
+
+test('loadPanelFromDom: steps through a paginator', async (t) => {
+  const document = withDom(t, '<item-info-panel><div class="phrases-snippets-container">' +
+    '<ul class="phrase-list"></ul><span class="p-paginator-current"></span>' +
+    '<button class="p-paginator-next">Next</button></div></item-info-panel>');
+  assumeVisible();
+  const pages = [['pay my bill', 'bill payment'], ['Pay my bill!', 'where do I send the cheque'], ['direct debit']];
+  let page = 0;
+  const next = document.querySelector('.p-paginator-next');
+  function show() {
+    document.querySelector('.phrase-list').innerHTML = pages[page].map((p) => `<li>${p}</li>`).join('');
+    const start = pages.slice(0, page).flat().length + 1;
+    document.querySelector('.p-paginator-current').textContent = `Showing ${start} - ${start + pages[page].length - 1} of 5`;
+    next.disabled = page === pages.length - 1;
+  }
+  next.addEventListener('click', () => {
+    page++;
+    show();
+  });
+  show();
+
+  const list = await phrases.loadPanelFromDom(document, SEL, { ...LOAD, maxPhrases: 0 });
+  assert.deepEqual(list.records.map((r) => r.text), ['pay my bill', 'bill payment', 'where do I send the cheque', 'direct debit']);
+  assert.deepEqual([list.reported, list.capped, list.steps], [5, false, 2]);
+});
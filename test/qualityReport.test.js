@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const qualityReport = require('../lib/qualityReport');
+const exportFormats = require('../lib/exportFormats');
+
+test('quality report flags lists captured short of the reported count', () => {
+  const rows = [
+    { category: 'A', topic: 'T', intent: 'Full', status: 'ok', examples: 'one two\nthree four', examplesReported: 2, examplesCaptured: 2 },
+    { category: 'A', topic: 'T', intent: 'Short', status: 'ok', examples: 'five six', examplesReported: 40, examplesCaptured: 1 },
+    { category: 'A', topic: 'T', intent: 'Capped', status: 'ok', examples: 'seven eight', examplesReported: '', examplesCaptured: 1, examplesCapped: true },
+  ];
+  const report = qualityReport.buildReport(rows);
+  assert.deepEqual(report.checks.incompleteExamples.map((e) => [e.path, e.reported, e.captured, e.reason]), [
+    ['A > T > Short', 40, 1, 'List not fully loaded'],
+    ['A > T > Capped', '', 1, 'Phrase cap reached'],
+  ]);
+  assert.match(qualityReport.toHtml(report), /fewer examples captured than reported/);
+  assert.equal(exportFormats.exportRow(rows[1]).examplesReported, 40);
+});
+
+test('quality report: intent names that are Object.prototype keys', () => {
+  const rows = ['constructor', 'toString', 'Constructor', '__proto__'].map((intent, i) =>
+    ({ category: 'A', topic: `T${i}`, intent, status: 'ok', examples: 'one two' }));
+  const report = qualityReport.buildReport(rows);
+  assert.deepEqual(report.checks.duplicateNames.map((d) => [d.name, d.count]), [['constructor', 2]]);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseSnapshot, run } = require('../scrapeIntents');
+const { SAMPLE, fixture, tempDir } = require('./helpers');
+
+test('parseSnapshot: sample page', () => {
+  const { meta, rows, view, crossCheck, validation } = parseSnapshot(SAMPLE);
+  assert.equal(view, 'kanban');
+  assert.equal(rows.length, 115);
+  assert.equal(rows.filter((r) => r.collapsed).length, 44);
+  assert.equal(new Set(rows.map((r) => r.category)).size, 11);
+  assert.deepEqual(crossCheck, []);
+  assert.deepEqual(validation, []);
+
+  assert.equal(meta.model, 'Generic - Base');
+  assert.equal(meta.modelVersion, 'Jan 27, 2026');
+  assert.ok(rows.every((r) => r.model === 'Generic - Base' && r.sourceFile === 'CXOne_ReadIntents.txt'));
+});
+
+test('parseSnapshot: kanban fixture derives volumes and flags the missing percentage', () => {
+  const { meta, rows, validation } = parseSnapshot(fixture('kanban-anonymised.html'));
+  assert.equal(meta.totalInteractions, 10000);
+  assert.deepEqual(
+    rows.map((r) => [r.intent, r.intentPercentage, r.volume, r.volumeSource]),
+    [
+      ['Reset Password', '25%', 2500, 'derived'],
+      ['Update Email', '15%', 1500, 'derived'],
+      ['Repeat Order', '20%', 2000, 'derived'],
+      ['Repeat Order', '20%', 2000, 'derived'],
+      ['Unscored Intent', '0%', 0, 'derived'],
+      ['(collapsed - expand topic in CXOne to capture intents)', '20%', '', ''],
+    ]
+  );
+  assert.deepEqual(validation.map((v) => [v.path, v.issue]), [['BETA > Beta One > Unscored Intent', 'missing']]);
+});
+
+test('parseSnapshot: grid fixture picks the grid view', () => {
+  const { view, rows, crossCheck } = parseSnapshot(fixture('grid-anonymised.html'));
+  assert.equal(view, 'grid');
+  assert.equal(rows.length, 4);
+  assert.equal(rows.filter((r) => r.collapsed).length, 2);
+  assert.equal(crossCheck, null);
+});
+
+test('parseSnapshot: explicit view and unknown view', () => {
+  assert.equal(parseSnapshot(SAMPLE, { view: 'grid' }).rows.length, 11);
+  assert.throws(() => parseSnapshot(SAMPLE, { view: 'list' }), /Unknown view "list"/);
+});
+
+test('run: workbook and quality report for the sample page', async (t) => {
+  const dir = tempDir(t);
+  const output = path.join(dir, 'intents.xlsx');
+  const result = await run({ input: SAMPLE, output });
+  assert.equal(result.rows.length, 115);
+  assert.ok(fs.existsSync(result.report.json));
+  assert.ok(fs.existsSync(result.report.html));
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(output);
+  assert.equal(workbook.title, 'CXOne Intents - Generic - Base Jan 27, 2026');
+  assert.deepEqual(workbook.worksheets.map((s) => s.name), ['Categories', 'Topics', 'Intents', 'Validation']);
+  assert.equal(workbook.getWorksheet('Categories').rowCount, 1 + 11);
+  assert.equal(workbook.getWorksheet('Topics').rowCount, 1 + 47);
+
+  // Header, then each category row, its topic rows and their intent rows
+  const intents = workbook.getWorksheet('Intents');
+  assert.equal(intents.rowCount, 1 + 11 + 47 + 115);
+  let intentRows = 0;
+  intents.eachRow((row) => { if (row.outlineLevel === 2) intentRows++; });
+  assert.equal(intentRows, 115);
+});
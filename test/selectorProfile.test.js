@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const selectorProfile = require('../lib/selectorProfile');
+const { SAMPLE, fixture, loadHtml, tempDir } = require('./helpers');
+
+function checkPage(file, profile) {
+  const $ = loadHtml(file);
+  return selectorProfile.check(selectorProfile.resolve(profile), (css) => $(css).length, profile);
+}
+
+test('default profile sets every key', () => {
+  const profile = selectorProfile.loadProfile();
+  assert.equal(profile.profile, selectorProfile.DEFAULT_PROFILE);
+  assert.deepEqual(Object.keys(profile.selectors).sort(), Object.keys(selectorProfile.KEYS).sort());
+  assert.deepEqual(selectorProfile.listProfiles(), ['cxone-2026-01']);
+});
+
+test('doctor: the sample page has no broken selectors', () => {
+  const report = checkPage(SAMPLE, selectorProfile.loadProfile());
+  assert.deepEqual(report.counts, { ok: 28, missing: 0, absent: 2, skipped: 15, unset: 1, invalid: 0 });
+  assert.deepEqual(report.scopes, { page: true, kanban: true, grid: true, panel: false, modelList: false });
+});
+
+test('doctor: the fixtures show only their own view', () => {
+  const profile = selectorProfile.loadProfile();
+  assert.deepEqual(checkPage(fixture('kanban-anonymised.html'), profile).scopes,
+    { page: true, kanban: true, grid: false, panel: false, modelList: false });
+  const grid = checkPage(fixture('grid-anonymised.html'), profile);
+  assert.equal(grid.scopes.kanban, false);
+  assert.equal(grid.scopes.grid, true);
+  assert.equal(grid.counts.missing, 0);
+});
+
+test('a profile that extends another reports what it broke', (t) => {
+  const dir = tempDir(t);
+  const base = path.join(__dirname, '..', 'selectors', 'cxone-2026-01.json');
+  fs.writeFileSync(path.join(dir, 'renamed.json'), JSON.stringify({
+    profile: 'renamed',
+    extends: base,
+    uiBuild: { ngVersion: '18.0.0' },
+    selectors: { name: '.tree-node-title', gridRow: '[[broken' },
+  }));
+  const profile = selectorProfile.loadProfile('renamed', dir);
+  assert.deepEqual(profile.chain, ['cxone-2026-01', 'renamed']);
+  assert.equal(profile.uiBuild.ngVersion, '18.0.0');
+
+  const report = checkPage(SAMPLE, profile);
+  const broken = report.results.filter((r) => r.status === 'missing' || r.status === 'invalid');
+  assert.deepEqual(broken.map((r) => [r.key, r.status]), [['name', 'missing'], ['gridRow', 'invalid']]);
+});
+
+test('loadProfile rejects unknown keys, gaps and cycles', (t) => {
+  const dir = tempDir(t);
+  const write = (name, data) => fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(data));
+  write('typo', { selectors: { nodee: '.x' } });
+  write('partial', { selectors: { node: '.x' } });
+  write('a', { extends: 'b', selectors: {} });
+  write('b', { extends: 'a', selectors: {} });
+
+  assert.throws(() => selectorProfile.loadProfile('typo', dir), /unknown key\(s\): nodee/);
+  assert.throws(() => selectorProfile.loadProfile('partial', dir), /does not set: intentBuilder/);
+  assert.throws(() => selectorProfile.loadProfile('a', dir), /extends itself/);
+  assert.throws(() => selectorProfile.loadProfile('nope', dir), /not found.*available: a, b, partial, typo/);
+});
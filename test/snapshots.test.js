@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { ROOT } = require('./helpers');
+
+// In a child process: TZ is read when Node starts
+function captureTimestampIn(tz, file) {
+  const script = `console.log(require(${JSON.stringify(path.join(ROOT, 'lib', 'snapshots'))}).captureTimestamp(process.argv[1]))`;
+  return execFileSync(process.execPath, ['-e', script, file], { env: { ...process.env, TZ: tz }, encoding: 'utf-8' }).trim();
+}
+
+test('captureTimestamp keeps the file name\'s date east and west of UTC', () => {
+  for (const tz of ['Asia/Tokyo', 'Pacific/Auckland', 'America/Los_Angeles', 'UTC']) {
+    assert.equal(captureTimestampIn(tz, 'retail_2026-01-31_00-30.html'), '2026-01-31T00:30:00.000Z', tz);
+    assert.equal(captureTimestampIn(tz, 'retail-20260201.html'), '2026-02-01T00:00:00.000Z', tz);
+  }
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const training = require('../lib/trainingData');
+
+const LEX_NAME = /^([A-Za-z]_?)+$/;
+
+const ROWS = [
+  { category: 'Billing & Payments', topic: 'Cards', intent: 'Expired', examples: 'my card expired' },
+  { category: 'Billing / Payments', topic: 'Cards', intent: 'Expired', examples: 'card out of date' },
+  { category: 'Заказ', topic: 'Отмена', intent: 'Отменить', examples: 'отменить заказ' },
+  { category: 'Счёт', topic: 'Оплата', intent: 'Оплатить', examples: 'оплатить счёт' },
+  { category: 'Orders 2024', topic: 'Q1', intent: 'Refund 10%', examples: 'refund ten percent' },
+];
+
+test('colliding labels get unique ids and file names', () => {
+  const groups = training.groupExamples(ROWS);
+  assert.deepEqual(groups.map((g) => g.id), [
+    'billing_payments-cards-expired',
+    'billing_payments-cards-expired_2',
+    'unnamed-unnamed-unnamed',
+    'unnamed-unnamed-unnamed_2',
+    'orders_2024-q1-refund_10',
+  ]);
+
+  const files = training.toDialogflow(groups).map((f) => f.file);
+  assert.equal(new Set(files).size, files.length);
+  const rasaIntents = training.toRasa(groups).split('\n').filter((line) => line.startsWith('- intent:'));
+  assert.equal(new Set(rasaIntents).size, groups.length);
+});
+
+test('Lex V1 intent names: letters and "_" only, unique', () => {
+  const groups = training.groupExamples(ROWS);
+  const names = training.toLex(groups).resource.intents.map((i) => i.name);
+  for (const name of names) {
+    assert.match(name, LEX_NAME);
+    assert.ok(name.length <= 100, name);
+  }
+  assert.equal(new Set(names).size, names.length);
+  assert.equal(names[0], 'billing_payments_cards_expired');
+  assert.equal(names[4], 'orders_two_zero_two_four_q_one_refund_one_zero');
+
+  const long = training.groupExamples([{ category: 'x'.repeat(80), topic: 'y'.repeat(80), intent: 'z', examples: 'hi' }]);
+  const [lex] = training.toLex(long).resource.intents;
+  assert.match(lex.name, LEX_NAME);
+  assert.equal(lex.name.length <= 100, true);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const volumes = require('../lib/volumes');
+
+test('parseCount: the interaction count, not the period or other numbers', () => {
+  const cases = {
+    '12,345': 12345,
+    '12 345': 12345,
+    '12.3K': 12300,
+    '1.2M interactions': 1200000,
+    'Last 30 days: 12,345 interactions': 12345,
+    'Interactions: 12,345 (last 30 days)': 12345,
+    'Last 7 days · 2,048 conversations · 3 channels': 2048,
+    'Period 2026-01-01 to 2026-01-31, total 45,120': 45120,
+    'No data': null,
+    '': null,
+  };
+  for (const [text, expected] of Object.entries(cases)) {
+    assert.equal(volumes.parseCount(text), expected, text);
+  }
+  assert.equal(volumes.parseCount(undefined), null);
+});
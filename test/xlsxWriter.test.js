@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const xlsxWriter = require('../lib/xlsxWriter');
+const exportFormats = require('../lib/exportFormats');
+const phrases = require('../lib/phrases');
+const { parseSnapshot } = require('../scrapeIntents');
+const { SAMPLE } = require('./helpers');
+
+// Columns of the console scripts' export
+const HEADERS = ['Category', 'Topic', 'Intent', 'Intent Percentage', 'Volume', 'Examples', 'Tag', 'Intent ID', 'Model', 'Model Version'];
+const KEYS = ['category', 'topic', 'intent', 'intentPercentage', 'volume', 'examples', 'tag', 'intentId', 'model', 'modelVersion'];
+
+async function readWorkbook(bytes) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.from(bytes));
+  return workbook;
+}
+
+/** Local file headers of a stored ZIP: name, CRC and size as written. */
+function zipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const entries = [];
+  let off = 0;
+  while (view.getUint32(off, true) === 0x04034b50) {
+    const size = view.getUint32(off + 18, true);
+    const nameLength = view.getUint16(off + 26, true);
+    const name = Buffer.from(bytes.subarray(off + 30, off + 30 + nameLength)).toString();
+    const data = bytes.subarray(off + 30 + nameLength, off + 30 + nameLength + size);
+    entries.push({ name, crc: view.getUint32(off + 14, true), data });
+    off += 30 + nameLength + size;
+  }
+  return entries;
+}
+
+test('crc32 matches the reference value', () => {
+  assert.equal(xlsxWriter.crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+  assert.equal(xlsxWriter.crc32(new Uint8Array(0)), 0);
+});
+
+test('columnName', () => {
+  assert.deepEqual([0, 9, 25, 26, 27, 701, 702].map(xlsxWriter.columnName), ['A', 'J', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+});
+
+test('buildZip: stored entries with their checksums and a closing directory', () => {
+  const bytes = xlsxWriter.buildZip([
+    { name: 'a.txt', content: 'hello' },
+    { name: 'dir/b.xml', content: '<x>ü</x>' },
+  ]);
+  const entries = zipEntries(bytes);
+  assert.deepEqual(entries.map((e) => e.name), ['a.txt', 'dir/b.xml']);
+  for (const entry of entries) assert.equal(entry.crc, xlsxWriter.crc32(entry.data));
+  assert.equal(Buffer.from(entries[1].data).toString(), '<x>ü</x>');
+
+  // End of central directory: signature and entry count
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  assert.equal(view.getUint32(bytes.length - 22, true), 0x06054b50);
+  assert.equal(view.getUint16(bytes.length - 22 + 10, true), 2);
+});
+
+test('buildXlsx: the sample page re-read with exceljs', async () => {
+  const { meta, rows } = parseSnapshot(SAMPLE);
+  const bytes = xlsxWriter.buildXlsx(rows, { headers: HEADERS, keys: KEYS, properties: exportFormats.workbookProperties(meta) });
+  const workbook = await readWorkbook(bytes);
+
+  assert.equal(workbook.title, 'CXOne Intents - Generic - Base Jan 27, 2026');
+  assert.equal(workbook.subject, 'Generic - Base');
+  assert.equal(workbook.worksheets.length, 1);
+
+  const sheet = workbook.getWorksheet('Intents');
+  assert.equal(sheet.rowCount, 1 + 115);
+  assert.deepEqual(sheet.getRow(1).values.slice(1), HEADERS);
+  assert.equal(sheet.getRow(1).getCell(1).font.bold, true);
+  assert.deepEqual(sheet.views[0], { ...sheet.views[0], state: 'frozen', ySplit: 1 });
+  assert.equal(sheet.autoFilter, 'A1:J116');
+
+  const first = sheet.getRow(2);
+  assert.deepEqual(
+    [first.getCell(1).value, first.getCell(2).value, first.getCell(3).value, first.getCell(8).value, first.getCell(9).value],
+    ['ACCOUNT', 'Account Access', 'Having Account Access Issues', 'account/account-access/having-account-access-issues', 'Generic - Base']
+  );
+  // Percentages are numbers with two decimals, not text
+  assert.equal(first.getCell(4).value, 1.48);
+  assert.equal(first.getCell(4).numFmt, '0.00');
+
+  const placeholders = [];
+  sheet.eachRow((row, n) => {
+    if (n > 1 && row.getCell(3).value === '(collapsed - expand topic in CXOne to capture intents)') placeholders.push(n);
+  });
+  assert.equal(placeholders.length, 44);
+  assert.equal(placeholders[0], 2 + 71);
+});
+
+test('buildXlsx: escaping, multi-line examples and non-numeric percentages', async () => {
+  const rows = [
+    {
+      category: 'R&D <lab>',
+      topic: 'Say "hi"',
+      intent: 'Ask',
+      intentPercentage: 'n/a',
+      examples: 'first line\nsecond & last',
+      tag: '',
+    },
+    { category: 'Empty', topic: '', intent: 'Zero', intentPercentage: '0%', volume: 0 },
+  ];
+  const workbook = await readWorkbook(xlsxWriter.buildXlsx(rows, { headers: HEADERS, keys: KEYS, sheetName: 'Mine' }));
+  const sheet = workbook.getWorksheet('Mine');
+  assert.equal(sheet.rowCount, 3);
+
+  const row = sheet.getRow(2);
+  assert.equal(row.getCell(1).value, 'R&D <lab>');
+  assert.equal(row.getCell(2).value, 'Say "hi"');
+  assert.equal(row.getCell(4).value, 'n/a');
+  assert.equal(row.getCell(6).value, 'first line\nsecond & last');
+  assert.equal(row.getCell(6).alignment.wrapText, true);
+
+  assert.equal(sheet.getRow(3).getCell(4).value, 0);
+  assert.equal(sheet.getRow(3).getCell(5).value, '0');
+});
+
+test('buildXlsx: rich-text Examples cells with highlighted words in bold', async () => {
+  const exampleRecords = phrases.buildExamples([
+    { text: 'I need to reset my password', highlights: [{ text: 'reset', start: 10, end: 15 }] },
+    { text: 'locked out & stuck' },
+  ]);
+  const rows = [
+    { intent: 'Reset', examples: phrases.toText(exampleRecords), exampleRecords, ...phrases.highlightFields(exampleRecords) },
+    { intent: 'Plain', examples: 'no highlights' },
+  ];
+  const workbook = await readWorkbook(xlsxWriter.buildXlsx(rows, {
+    headers: ['Intent', 'Examples', 'Highlights'],
+    keys: ['intent', 'examples', 'highlights'],
+    richText: { examples: (row) => phrases.highlightRuns(row.exampleRecords) },
+  }));
+  const sheet = workbook.getWorksheet('Intents');
+
+  const cell = sheet.getRow(2).getCell(2);
+  assert.deepEqual(cell.value.richText.map((r) => [r.text, !!(r.font && r.font.bold)]), [
+    ['I need to ', false],
+    ['reset', true],
+    [' my password\nlocked out & stuck', false],
+  ]);
+  assert.equal(cell.alignment.wrapText, true);
+  assert.equal(sheet.getRow(2).getCell(3).value, 'reset\n');
+  assert.equal(sheet.getRow(3).getCell(2).value, 'no highlights');
+});
+
+test('buildXlsx: example counts are numbers, a missing count stays blank', async () => {
+  const rows = [{ intent: 'A', examplesReported: 40, examplesCaptured: 12 }, { intent: 'B', examplesReported: '', examplesCaptured: 0 }];
+  const keys = ['intent', 'examplesReported', 'examplesCaptured'];
+  const workbook = await readWorkbook(xlsxWriter.buildXlsx(rows, { headers: keys, keys }));
+  const sheet = workbook.getWorksheet('Intents');
+  assert.deepEqual(sheet.getRow(2).values.slice(1), ['A', 40, 12]);
+  assert.deepEqual([2, 3].map((c) => sheet.getRow(3).getCell(c).text), ['', '0']);
+});